@@ -5,18 +5,35 @@
  */
 
 const MessengerClient = require('./src/client/MessengerClient');
-const { AuthMethods, MessageTypes, EventTypes } = require('./src/constants');
-const { MessengerError, AuthError, NetworkError } = require('./src/utils/errors');
+const MessengerClientPool = require('./src/client/MessengerClientPool');
+const { AuthMethods, MessageTypes, EventTypes, ChallengeTypes, AuthStates, RequestPriorities, CircuitStates } = require('./src/constants');
+const { MessengerError, AuthError, NetworkError, RateLimitError, AbortError, CircuitOpenError } = require('./src/utils/errors');
+const { MemorySessionStore, FileSessionStore } = require('./src/utils/sessions');
+const { DeviceProfile } = require('./src/utils/profile');
+const { InMemorySpanExporter, ExportResultCode } = require('./src/utils/tracing');
 
 // Export main classes and utilities
 module.exports = {
   MessengerClient,
+  MessengerClientPool,
   AuthMethods,
   MessageTypes,
   EventTypes,
+  ChallengeTypes,
+  AuthStates,
+  RequestPriorities,
+  CircuitStates,
   MessengerError,
   AuthError,
-  NetworkError
+  NetworkError,
+  RateLimitError,
+  AbortError,
+  CircuitOpenError,
+  MemorySessionStore,
+  FileSessionStore,
+  DeviceProfile,
+  InMemorySpanExporter,
+  ExportResultCode
 };
 
 // Export default client instance
@@ -4,47 +4,190 @@
  */
 
 const crypto = require('crypto');
-const { Endpoints, Protocol, AuthMethods } = require('../constants');
-const { AuthError, NetworkError } = require('../utils/errors');
-const { generateDeviceId, generateClientId } = require('../utils/device');
+const QRCode = require('qrcode');
+const { Endpoints, AuthMethods, EventTypes, ChallengeTypes, AuthStates } = require('../constants');
+const { MessengerError, AuthError, NetworkError, AbortError } = require('../utils/errors');
+const { generateTotp, getTotpCandidates, getTimeUntilNextStep } = require('../utils/totp');
+const { parseForm, resolveUrl } = require('../utils/forms');
+const { parseCookieList } = require('../utils/cookies');
+const { abortableWait, linkSignals, throwIfAborted } = require('../utils/abort');
+const { DeviceProfile } = require('../utils/profile');
+const CheckpointChallenge = require('./CheckpointChallenge');
+
+// Bumped whenever the exported session format changes
+const SESSION_VERSION = 1;
+
+// QR code login defaults
+const QR_POLL_INTERVAL = 2000; // 2 seconds
+const QR_LOGIN_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const QR_MAX_REGENERATIONS = 5;
+
+// One-time login codes are valid for 10 minutes unless the server says otherwise
+const ONE_TIME_CODE_TTL = 10 * 60 * 1000;
+
+// Allowed authentication state transitions
+const AUTH_TRANSITIONS = {
+  [AuthStates.IDLE]: [AuthStates.SUBMITTING, AuthStates.AUTHENTICATED, AuthStates.LOGGED_OUT],
+  [AuthStates.SUBMITTING]: [AuthStates.CHALLENGE_REQUIRED, AuthStates.AUTHENTICATED, AuthStates.IDLE, AuthStates.EXPIRED, AuthStates.LOGGED_OUT],
+  [AuthStates.CHALLENGE_REQUIRED]: [AuthStates.SUBMITTING, AuthStates.AUTHENTICATED, AuthStates.IDLE, AuthStates.LOGGED_OUT],
+  [AuthStates.AUTHENTICATED]: [AuthStates.SUBMITTING, AuthStates.EXPIRED, AuthStates.LOGGED_OUT],
+  [AuthStates.EXPIRED]: [AuthStates.SUBMITTING, AuthStates.AUTHENTICATED, AuthStates.LOGGED_OUT],
+  [AuthStates.LOGGED_OUT]: [AuthStates.SUBMITTING, AuthStates.AUTHENTICATED]
+};
 
 class AuthManager {
   constructor(client) {
     this.client = client;
     this.network = client.network;
+    this.log = client.logger.child({ component: 'auth' });
     
     // Authentication state
     this.accessToken = null;
     this.userId = null;
-    this.deviceId = null;
-    this.clientId = null;
     this.sessionCookies = null;
-    this.twoFactorRequired = false;
     this.twoFactorMethod = null;
+    this._state = AuthStates.IDLE;
     
-    // Generate device identifiers
-    this.deviceId = generateDeviceId();
-    this.clientId = generateClientId();
+    // Checkpoint page state (html, url, parsed form and current challenge)
+    this.checkpoint = null;
+    
+    // Pending passwordless login (contact point, channel and form tokens)
+    this.oneTimeCode = null;
+  }
+  
+  /**
+   * Current authentication state
+   */
+  get state() {
+    return this._state;
+  }
+  
+  /**
+   * Whether a login challenge is waiting for an answer
+   */
+  get twoFactorRequired() {
+    return this._state === AuthStates.CHALLENGE_REQUIRED;
+  }
+  
+  /**
+   * Move to a new authentication state and emit auth_state
+   */
+  _transition(state, details = {}) {
+    const previousState = this._state;
+    
+    if (state === previousState) {
+      return;
+    }
+    
+    if (!AUTH_TRANSITIONS[previousState].includes(state)) {
+      throw new AuthError(`Invalid authentication state transition: ${previousState} -> ${state}`);
+    }
+    
+    this._state = state;
+    this.client.emit(EventTypes.AUTH_STATE, { state, previousState, ...details });
+  }
+  
+  /**
+   * Run a login step, moving through submitting to the state its result implies
+   * Failed steps return to the state they started from
+   */
+  async _runAuthentication(step) {
+    const previousState = this._state;
+    
+    if (previousState === AuthStates.SUBMITTING) {
+      throw new AuthError('Authentication is already in progress');
+    }
+    
+    this._transition(AuthStates.SUBMITTING);
+    
+    try {
+      const result = await step();
+      
+      if (result.success) {
+        this._transition(AuthStates.AUTHENTICATED, { userId: result.userId });
+      } else if (result.requiresTwoFactor) {
+        this._transition(AuthStates.CHALLENGE_REQUIRED, { challenge: result.challenge.type });
+      } else if (result.requiresCode) {
+        this._transition(AuthStates.CHALLENGE_REQUIRED, { challenge: AuthMethods.ONE_TIME_CODE });
+      } else {
+        this._transition(previousState);
+      }
+      
+      return result;
+    } catch (error) {
+      this._transition(previousState, { error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Device identifiers come from the client's device profile
+   */
+  get deviceId() {
+    return this.client.deviceProfile.deviceId;
+  }
+  
+  get clientId() {
+    return this.client.deviceProfile.clientId;
   }
   
   /**
    * Main authentication method
+   * options.signal cancels the login, so does destroying the client
    */
-  async authenticate(credentials, method = AuthMethods.EMAIL) {
+  async authenticate(credentials, method = AuthMethods.EMAIL, options = {}) {
+    if (method === AuthMethods.TWO_FACTOR && this._state !== AuthStates.CHALLENGE_REQUIRED) {
+      throw new AuthError('Two-factor authentication not required: no login challenge is pending');
+    }
+    
+    // destroy() replaces the network controller, keep the one this login started with
+    const { signal, dispose } = linkSignals(options.signal, this.network.abortController.signal);
+    
     try {
+      return await this._runAuthentication(() => this._authenticate(credentials, method, signal));
+    } finally {
+      dispose();
+    }
+  }
+  
+  /**
+   * Dispatch to the login flow for a method
+   */
+  async _authenticate(credentials, method, signal = null) {
+    try {
+      throwIfAborted(signal, 'login');
+      
+      // A new login starts over, only two-factor answers continue the pending checkpoint
+      if (method !== AuthMethods.TWO_FACTOR) {
+        this.checkpoint = null;
+        this.twoFactorMethod = null;
+      }
+      
       switch (method) {
         case AuthMethods.EMAIL:
-          return await this._authenticateWithEmail(credentials);
+          return await this._authenticateWithEmail(credentials, signal);
         case AuthMethods.PHONE:
-          return await this._authenticateWithPhone(credentials);
+          return await this._authenticateWithPhone(credentials, signal);
         case AuthMethods.USERNAME:
-          return await this._authenticateWithUsername(credentials);
+          return await this._authenticateWithUsername(credentials, signal);
         case AuthMethods.TWO_FACTOR:
           return await this._completeTwoFactor(credentials);
+        case AuthMethods.QR_CODE:
+          return await this._authenticateWithQrCode(credentials, signal);
+        case AuthMethods.ACCESS_TOKEN:
+          return await this._authenticateWithAccessToken(credentials);
+        case AuthMethods.COOKIES:
+          return await this._authenticateWithCookies(credentials);
+        case AuthMethods.ONE_TIME_CODE:
+          return await this._authenticateWithOneTimeCode(credentials);
         default:
           throw new AuthError(`Unsupported authentication method: ${method}`);
       }
     } catch (error) {
+      // Cancellations and errors this library already classified keep their class
+      if (error instanceof MessengerError) {
+        throw error;
+      }
       throw new AuthError(`Authentication failed: ${error.message}`);
     }
   }
@@ -52,8 +195,8 @@ class AuthManager {
   /**
    * Authenticate with email and password
    */
-  async _authenticateWithEmail(credentials) {
-    const { email, password } = credentials;
+  async _authenticateWithEmail(credentials, signal = null) {
+    const { email, password, totpSecret = this.client.options.totpSecret } = credentials;
     
     if (!email || !password) {
       throw new AuthError('Email and password are required');
@@ -83,15 +226,16 @@ class AuthManager {
     
     // Check for 2FA requirement
     if (this._isTwoFactorRequired(loginResponse)) {
-      this.twoFactorRequired = true;
       this.twoFactorMethod = this._detectTwoFactorMethod(loginResponse);
       
-      return {
-        success: false,
-        requiresTwoFactor: true,
-        method: this.twoFactorMethod,
-        message: 'Two-factor authentication required'
-      };
+      const challenge = await this._setCheckpoint(loginResponse);
+      
+      // Headless deployments can answer authenticator challenges themselves
+      if (this.twoFactorMethod === 'totp' && totpSecret && challenge.type === ChallengeTypes.ENTER_CODE) {
+        return await this._completeTwoFactorWithTotp(totpSecret, signal);
+      }
+      
+      return this._getChallengeResult(challenge);
     }
     
     // Check for successful login
@@ -107,7 +251,7 @@ class AuthManager {
   /**
    * Authenticate with phone number
    */
-  async _authenticateWithPhone(credentials) {
+  async _authenticateWithPhone(credentials, signal = null) {
     const { phone, password } = credentials;
     
     if (!phone || !password) {
@@ -116,13 +260,13 @@ class AuthManager {
     
     // Convert phone to email format for login
     const phoneEmail = `${phone}@facebook.com`;
-    return await this._authenticateWithEmail({ email: phoneEmail, password });
+    return await this._authenticateWithEmail({ ...credentials, email: phoneEmail }, signal);
   }
   
   /**
    * Authenticate with username
    */
-  async _authenticateWithUsername(credentials) {
+  async _authenticateWithUsername(credentials, signal = null) {
     const { username, password } = credentials;
     
     if (!username || !password) {
@@ -131,42 +275,574 @@ class AuthManager {
     
     // Convert username to email format for login
     const usernameEmail = `${username}@facebook.com`;
-    return await this._authenticateWithEmail({ email: usernameEmail, password });
+    return await this._authenticateWithEmail({ ...credentials, email: usernameEmail }, signal);
   }
   
   /**
-   * Complete two-factor authentication
+   * Authenticate with an access token issued to another tool
+   * Accepts the token itself or { accessToken, userId, cookies }
    */
-  async _completeTwoFactor(credentials) {
-    if (!this.twoFactorRequired) {
-      throw new AuthError('Two-factor authentication not required');
+  async _authenticateWithAccessToken(credentials) {
+    const { accessToken, userId, cookies } = typeof credentials === 'string'
+      ? { accessToken: credentials }
+      : (credentials || {});
+    
+    if (!accessToken) {
+      throw new AuthError('Access token is required');
+    }
+    
+    if (cookies) {
+      this.client.cookieJar.setCookies(parseCookieList(cookies));
+    }
+    
+    return await this._verifyExternalSession(accessToken, userId);
+  }
+  
+  /**
+   * Authenticate with cookies exported from a browser or another tool
+   * Accepts appstate/cookie arrays, their JSON, a Cookie header string, or { cookies, accessToken }
+   */
+  async _authenticateWithCookies(credentials) {
+    const { cookies, accessToken } = credentials && credentials.cookies
+      ? credentials
+      : { cookies: credentials };
+    
+    let parsed;
+    try {
+      parsed = parseCookieList(cookies);
+    } catch (error) {
+      throw new AuthError(`Invalid cookies: ${error.message}`);
+    }
+    
+    const sessionCookie = name => parsed.find(cookie => cookie.name === name);
+    if (!sessionCookie('c_user') || !sessionCookie('xs')) {
+      throw new AuthError('Cookies must include the c_user and xs session cookies');
+    }
+    
+    this.client.cookieJar.setCookies(parsed);
+    
+    const userId = sessionCookie('c_user').value;
+    const token = accessToken || await this._fetchAccessToken();
+    
+    return await this._verifyExternalSession(token, userId);
+  }
+  
+  /**
+   * Fetch an access token for the session held in the cookie jar
+   */
+  async _fetchAccessToken() {
+    const response = await this.network.get(Endpoints.ACCESS_TOKEN_PAGE, {
+      headers: this._getAuthHeaders()
+    });
+    
+    const html = typeof response.data === 'string' ? response.data : '';
+    const accessToken = this._extractToken(html, /"accessToken":"(EAA[A-Za-z0-9]+)"/) ||
+                        this._extractToken(html, /\b(EAA[A-Za-z0-9]{20,})/);
+    
+    if (!accessToken) {
+      throw new AuthError('Could not obtain an access token, the cookies may have expired');
+    }
+    
+    return accessToken;
+  }
+  
+  /**
+   * Adopt a session created elsewhere once the token is confirmed to belong to the expected user
+   */
+  async _verifyExternalSession(accessToken, expectedUserId) {
+    this.accessToken = accessToken;
+    this.twoFactorMethod = null;
+    
+    let userInfo;
+    try {
+      userInfo = await this._getUserInfo();
+    } catch (error) {
+      this.accessToken = null;
+      throw error;
+    }
+    
+    if (expectedUserId && String(userInfo.userId) !== String(expectedUserId)) {
+      this.accessToken = null;
+      throw new AuthError(`Session belongs to user ${userInfo.userId}, expected ${expectedUserId}`);
     }
     
-    const { code, method } = credentials;
+    this.userId = userInfo.userId;
+    this.sessionCookies = this.client.cookieJar.toObject(Endpoints.LOGIN);
+    
+    return this.getSessionResult();
+  }
+  
+  /**
+   * Passwordless login
+   * { email } or { phone } requests a code (emits code_sent), { code } then completes the login
+   */
+  async _authenticateWithOneTimeCode(credentials) {
+    const { code } = credentials || {};
+    
+    if (code) {
+      return await this._verifyOneTimeCode(code);
+    }
+    
+    return await this._requestOneTimeCode(credentials || {});
+  }
+  
+  /**
+   * Ask the server to send a login code to the phone or email on file
+   */
+  async _requestOneTimeCode(credentials) {
+    const { email, phone, channel = phone ? 'sms' : 'email' } = credentials;
+    const contactpoint = email || phone;
+    
+    if (!contactpoint) {
+      throw new AuthError('Email or phone number is required to request a login code');
+    }
+    
+    const loginForm = await this._getLoginForm();
+    
+    const response = await this.network.post(Endpoints.LOGIN_CODE_SEND, {
+      contactpoint,
+      channel,
+      lsd: loginForm.lsd,
+      jazoest: loginForm.jazoest,
+      m_ts: loginForm.m_ts,
+      li: loginForm.li
+    }, {
+      headers: this._getAuthHeaders()
+    });
+    
+    const body = response.data || {};
+    const error = this._getOneTimeCodeError(response);
+    if (error) {
+      throw new AuthError(error);
+    }
+    
+    const expiresIn = typeof body === 'object' && body.expires_in ? body.expires_in * 1000 : ONE_TIME_CODE_TTL;
+    
+    this.oneTimeCode = {
+      contactpoint,
+      channel,
+      form: loginForm,
+      sentAt: Date.now(),
+      expiresAt: Date.now() + expiresIn
+    };
+    
+    const delivery = {
+      channel,
+      destination: (typeof body === 'object' && body.contact_point_masked) || contactpoint,
+      expiresAt: this.oneTimeCode.expiresAt
+    };
+    
+    this.client.emit(EventTypes.CODE_SENT, delivery);
+    
+    return {
+      success: false,
+      requiresCode: true,
+      ...delivery,
+      message: 'Login code sent'
+    };
+  }
+  
+  /**
+   * Submit a login code requested with _requestOneTimeCode
+   */
+  async _verifyOneTimeCode(code) {
+    if (!this.oneTimeCode) {
+      throw new AuthError('No login code has been requested');
+    }
+    
+    if (Date.now() > this.oneTimeCode.expiresAt) {
+      this.oneTimeCode = null;
+      throw new AuthError('Login code has expired, request a new one');
+    }
+    
+    const { contactpoint, channel, form } = this.oneTimeCode;
+    
+    const response = await this.network.post(Endpoints.LOGIN_CODE_VERIFY, {
+      contactpoint,
+      channel,
+      code: String(code).replace(/\s/g, ''),
+      lsd: form.lsd,
+      jazoest: form.jazoest,
+      m_ts: form.m_ts,
+      li: form.li
+    }, {
+      headers: this._getAuthHeaders(),
+      followRedirect: false
+    });
+    
+    // Keep the pending request so a mistyped code can be retried
+    const error = this._getOneTimeCodeError(response);
+    if (error) {
+      throw new AuthError(error);
+    }
+    
+    // A checkpoint can still follow a passwordless login
+    if (this._isTwoFactorRequired(response)) {
+      this.oneTimeCode = null;
+      this.twoFactorMethod = this._detectTwoFactorMethod(response);
+      return this._getChallengeResult(await this._setCheckpoint(response));
+    }
+    
+    if (this._isLoginSuccessful(response)) {
+      this.oneTimeCode = null;
+      return await this._completeAuthentication(response);
+    }
+    
+    throw new AuthError('Invalid login code');
+  }
+  
+  /**
+   * Get the error of a one-time code response, if any
+   */
+  _getOneTimeCodeError(response) {
+    const body = response.data;
+    
+    if (typeof body === 'string') {
+      return /<div[^>]*class="[^"]*error/i.test(body) ? this._extractLoginError(response) : null;
+    }
+    
+    if (body && body.error) {
+      return body.error.message || String(body.error);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Authenticate by scanning a QR code with an already logged-in device
+   * Emits qr_generated, qr_scanned and qr_expired while waiting for approval
+   */
+  async _authenticateWithQrCode(options, signal = null) {
+    const {
+      formats = ['terminal'],
+      pollInterval = QR_POLL_INTERVAL,
+      timeout = QR_LOGIN_TIMEOUT,
+      maxRegenerations = QR_MAX_REGENERATIONS
+    } = options || {};
+    
+    const deadline = Date.now() + timeout;
+    let regenerations = 0;
+    let scanned = false;
+    let qrCode = await this._generateQrCode(formats, regenerations, signal);
+    
+    while (Date.now() < deadline) {
+      await abortableWait(pollInterval, signal, 'QR code login');
+      throwIfAborted(signal, 'QR code login');
+      
+      const status = Date.now() >= qrCode.expiresAt
+        ? { state: 'expired' }
+        : await this._getQrLoginStatus(qrCode.nonce, signal);
+      
+      switch (status.state) {
+        case 'scanned':
+          if (!scanned) {
+            scanned = true;
+            this.client.emit(EventTypes.QR_SCANNED, { nonce: qrCode.nonce });
+          }
+          break;
+          
+        case 'approved':
+          if (status.accessToken) {
+            this.accessToken = status.accessToken;
+          }
+          return await this._completeAuthentication(status.response);
+          
+        case 'expired':
+          this.client.emit(EventTypes.QR_EXPIRED, { 
+            nonce: qrCode.nonce, 
+            regenerations 
+          });
+          
+          if (regenerations >= maxRegenerations) {
+            throw new AuthError('QR code expired too many times');
+          }
+          
+          regenerations++;
+          scanned = false;
+          qrCode = await this._generateQrCode(formats, regenerations, signal);
+          break;
+          
+        default:
+          // Still waiting for the code to be scanned
+          break;
+      }
+    }
+    
+    throw new AuthError('QR code login timed out');
+  }
+  
+  /**
+   * Request a login nonce and render it as a QR code
+   */
+  async _generateQrCode(formats, regeneration, signal = null) {
+    const response = await this.network.post(Endpoints.LOGIN_QR, {
+      device_id: this.deviceId,
+      client_id: this.clientId,
+      generate_session_cookies: 1
+    }, {
+      headers: this._getAuthHeaders(),
+      signal
+    });
+    
+    const data = response.data || {};
+    if (!data.nonce) {
+      throw new AuthError('Failed to get QR login nonce');
+    }
+    
+    const url = data.url || `${Endpoints.LOGIN_QR_APPROVE}?nonce=${encodeURIComponent(data.nonce)}`;
+    const qrCode = {
+      nonce: data.nonce,
+      url,
+      expiresAt: Date.now() + (data.expires_in || 60) * 1000,
+      regeneration,
+      ...(await this._renderQrCode(url, formats))
+    };
+    
+    this.client.emit(EventTypes.QR_GENERATED, qrCode);
+    
+    return qrCode;
+  }
+  
+  /**
+   * Render QR code content in the requested formats (terminal, png, dataUrl)
+   */
+  async _renderQrCode(content, formats) {
+    const rendered = {};
+    
+    if (formats.includes('terminal')) {
+      rendered.terminal = await QRCode.toString(content, { type: 'terminal', small: true });
+    }
+    
+    if (formats.includes('png')) {
+      rendered.png = await QRCode.toBuffer(content, { type: 'png' });
+    }
+    
+    if (formats.includes('dataUrl')) {
+      rendered.dataUrl = await QRCode.toDataURL(content);
+    }
+    
+    return rendered;
+  }
+  
+  /**
+   * Poll the server for the approval state of a QR login nonce
+   */
+  async _getQrLoginStatus(nonce, signal = null) {
+    const response = await this.network.get(Endpoints.LOGIN_QR_STATUS, {
+      params: { nonce, device_id: this.deviceId },
+      headers: this._getAuthHeaders(),
+      signal
+    });
+    
+    const data = response.data || {};
+    
+    return {
+      state: data.status || 'pending',
+      accessToken: data.access_token || null,
+      response
+    };
+  }
+  
+  /**
+   * Complete two-factor authentication
+   */
+  async _completeTwoFactor(credentials) {
+    const { code } = credentials;
     
     if (!code) {
       throw new AuthError('Two-factor authentication code is required');
     }
     
-    // Submit 2FA code
-    const twoFactorData = {
-      code,
-      submit: 'Submit',
-      lsd: this._extractLsd(),
-      jazoest: this._extractJazoest()
-    };
+    if (!this.checkpoint || this.checkpoint.challenge.type !== ChallengeTypes.ENTER_CODE) {
+      throw new AuthError('Checkpoint is not waiting for a code');
+    }
+    
+    let result = await this._submitCheckpoint({ code });
+    
+    // The code was accepted, remember this browser so the checkpoint is not repeated
+    if (!result.success && result.challenge.type === ChallengeTypes.SAVE_BROWSER) {
+      result = await this._submitCheckpoint({ save: true });
+    }
+    
+    // Still asking for a code means the previous one was rejected
+    if (!result.success && result.challenge.type === ChallengeTypes.ENTER_CODE) {
+      const error = this._extractLoginError({ data: this.checkpoint.html });
+      throw new AuthError(error || 'Two-factor authentication failed');
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Keep the checkpoint page from a response and announce the next challenge
+   */
+  async _setCheckpoint(response) {
+    const location = response.headers && response.headers.location;
+    const previousUrl = this.checkpoint ? this.checkpoint.form.action : Endpoints.LOGIN_2FA;
+    const url = location ? resolveUrl(location, previousUrl) : previousUrl;
+    let html = typeof response.data === 'string' ? response.data : '';
+    
+    // Redirected to the checkpoint, load the page that holds the form
+    if (location && response.status >= 300 && response.status < 400) {
+      const page = await this.network.get(url, {
+        headers: this._getAuthHeaders()
+      });
+      html = typeof page.data === 'string' ? page.data : '';
+    }
     
-    const twoFactorResponse = await this.network.post(Endpoints.LOGIN_2FA, twoFactorData, {
+    const form = parseForm(html, url);
+    const step = this.checkpoint ? this.checkpoint.step + 1 : 1;
+    const challenge = new CheckpointChallenge(this, {
+      type: this._detectChallengeType(html, form),
+      step,
+      url,
+      form,
+      method: this.twoFactorMethod
+    });
+    
+    this.checkpoint = { html, url, form, step, challenge };
+    this.client.emit(EventTypes.CHECKPOINT, challenge);
+    
+    return challenge;
+  }
+  
+  /**
+   * Submit the current checkpoint form with the values for its step
+   */
+  async _submitCheckpoint(values = {}) {
+    if (!this.checkpoint) {
+      throw new AuthError('No checkpoint in progress');
+    }
+    
+    const { form, challenge } = this.checkpoint;
+    const response = await this.network.post(form.action, this._buildCheckpointData(challenge, values), {
       headers: this._getAuthHeaders(),
       followRedirect: false
     });
     
-    if (this._isLoginSuccessful(twoFactorResponse)) {
-      return await this._completeAuthentication(twoFactorResponse);
+    if (this._isTwoFactorRequired(response)) {
+      return this._getChallengeResult(await this._setCheckpoint(response));
+    }
+    
+    if (this._isLoginSuccessful(response)) {
+      this.checkpoint = null;
+      this.twoFactorMethod = null;
+      return await this._completeAuthentication(response);
+    }
+    
+    const error = this._extractLoginError(response);
+    throw new AuthError(error || 'Checkpoint submission failed');
+  }
+  
+  /**
+   * Merge the hidden form state with the answer for a checkpoint step
+   */
+  _buildCheckpointData(challenge, values) {
+    const { code, method, save, ...fields } = values;
+    const { form } = challenge;
+    const data = { ...form.fields };
+    
+    switch (challenge.type) {
+      case ChallengeTypes.ENTER_CODE:
+        if (code) {
+          data[form.inputs.find(name => /code/i.test(name)) || 'approvals_code'] = code;
+        }
+        break;
+      case ChallengeTypes.CHOOSE_METHOD:
+        if (method) {
+          data.verification_method = method;
+        }
+        break;
+      case ChallengeTypes.SAVE_BROWSER:
+        data.name_action_selected = save === false ? 'dont_save' : 'save_device';
+        break;
+      default:
+        break;
+    }
+    
+    Object.assign(data, fields);
+    
+    // Facebook expects the name of the pressed submit button
+    const [button] = form.buttons;
+    if (button && data[button.name] === undefined) {
+      data[button.name] = button.value;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Work out what a checkpoint page is asking for
+   */
+  _detectChallengeType(html, form) {
+    const actions = form.options.name_action_selected || [];
+    
+    if (actions.includes('save_device') || actions.includes('dont_save')) {
+      return ChallengeTypes.SAVE_BROWSER;
+    }
+    
+    if (form.options.verification_method) {
+      return ChallengeTypes.CHOOSE_METHOD;
+    }
+    
+    if (form.inputs.some(name => /code/i.test(name))) {
+      return ChallengeTypes.ENTER_CODE;
+    }
+    
+    if (/approve|check your notifications/i.test(html)) {
+      return ChallengeTypes.APPROVE_DEVICE;
+    }
+    
+    return ChallengeTypes.UNKNOWN;
+  }
+  
+  /**
+   * Build the result returned while a checkpoint is pending
+   */
+  _getChallengeResult(challenge) {
+    return {
+      success: false,
+      requiresTwoFactor: true,
+      method: this.twoFactorMethod,
+      challenge,
+      message: 'Two-factor authentication required'
+    };
+  }
+  
+  /**
+   * Complete two-factor authentication with generated TOTP codes
+   * Tries neighbouring time steps for clock drift, then once more on the next step
+   */
+  async _completeTwoFactorWithTotp(secret, signal = null) {
+    const { totpWindow = 1, totpRetryNextStep = true } = this.client.options;
+    let lastError = null;
+    
+    for (const code of getTotpCandidates(secret, { window: totpWindow })) {
+      try {
+        return await this._completeTwoFactor({ code, method: 'totp' });
+      } catch (error) {
+        // Only a rejected code is worth another attempt
+        if (!(error instanceof AuthError)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    
+    if (totpRetryNextStep) {
+      await abortableWait(getTimeUntilNextStep(), signal, 'TOTP verification');
+      
+      try {
+        return await this._completeTwoFactor({ code: generateTotp(secret), method: 'totp' });
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          throw error;
+        }
+        lastError = error;
+      }
     }
     
-    const error = this._extractLoginError(twoFactorResponse);
-    throw new AuthError(error || 'Two-factor authentication failed');
+    throw new AuthError(`Automatic TOTP verification failed: ${lastError.message}`);
   }
   
   /**
@@ -200,13 +876,20 @@ class AuthManager {
     this.userId = userInfo.userId;
     this.accessToken = userInfo.accessToken;
     
-    // Store session data
+    return this.getSessionResult();
+  }
+  
+  /**
+   * Build the authentication result for the current session
+   */
+  getSessionResult() {
     const sessionData = {
       userId: this.userId,
       accessToken: this.accessToken,
       deviceId: this.deviceId,
       clientId: this.clientId,
-      cookies: this.sessionCookies
+      deviceProfile: this.client.deviceProfile.toJSON(),
+      cookies: this.client.cookieJar.toJSON()
     };
     
     return {
@@ -217,27 +900,105 @@ class AuthManager {
     };
   }
   
+  /**
+   * Export the current session in a serializable form
+   */
+  exportSession() {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    return {
+      version: SESSION_VERSION,
+      ...this.getSessionResult().sessionData,
+      exportedAt: Date.now()
+    };
+  }
+  
+  /**
+   * Restore authentication state from an exported session
+   */
+  restoreSession(session) {
+    if (!session || !session.accessToken || !session.userId) {
+      throw new AuthError('Invalid session data: accessToken and userId are required');
+    }
+    
+    if (session.version && session.version > SESSION_VERSION) {
+      throw new AuthError(`Unsupported session version: ${session.version}`);
+    }
+    
+    this.accessToken = session.accessToken;
+    this.userId = session.userId;
+    this._restoreCookies(session.cookies);
+    this.twoFactorMethod = null;
+    
+    // Keep the original device identity so the server sees the same phone
+    if (session.deviceProfile) {
+      this.client.deviceProfile = DeviceProfile.fromJSON(session.deviceProfile);
+    } else if (session.deviceId && session.clientId) {
+      this.client.deviceProfile = new DeviceProfile({
+        ...this.client.deviceProfile.toJSON(),
+        deviceId: session.deviceId,
+        clientId: session.clientId
+      });
+    }
+    
+    return this.getSessionResult();
+  }
+  
+  /**
+   * Replace the shared jar with the session cookies
+   * Accepts a serialized jar or the flat name/value map of older sessions
+   */
+  _restoreCookies(cookies) {
+    const jar = this.client.cookieJar;
+    
+    // Cookies of the session being replaced must not leak into the restored one
+    jar.clear();
+    
+    if (Array.isArray(cookies)) {
+      jar.setCookies(cookies);
+    } else if (cookies && typeof cookies === 'object') {
+      jar.setCookies(parseCookieList(cookies));
+    }
+    
+    this.sessionCookies = jar.toObject(Endpoints.LOGIN);
+  }
+  
+  /**
+   * Check that the current access token is still accepted by the server
+   */
+  async validateSession(options = {}) {
+    if (!this.accessToken) {
+      return false;
+    }
+    
+    try {
+      const userInfo = await this._getUserInfo(options);
+      return String(userInfo.userId) === String(this.userId);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return false;
+      }
+      
+      if (error instanceof NetworkError && [401, 403].includes(error.getStatusCode())) {
+        return false;
+      }
+      
+      throw error;
+    }
+  }
+  
   /**
    * Get user information after login
    */
-  async _getUserInfo() {
+  async _getUserInfo(options = {}) {
     // Use GraphQL to get user info
-    const query = `
-      query {
-        viewer {
-          id
-          name
-          profile_pic
-        }
-      }
-    `;
-    
-    const response = await this.network.post(Endpoints.GRAPHQL, {
-      query,
-      variables: {},
-      access_token: this.accessToken
-    }, {
-      headers: this._getAuthHeaders()
+    const response = await this.network.graphql('GetViewer', {}, {
+      accessToken: this.accessToken,
+      headers: this._getAuthHeaders(),
+      signal: options.signal,
+      priority: options.priority
     });
     
     if (response.data && response.data.data && response.data.data.viewer) {
@@ -253,36 +1014,16 @@ class AuthManager {
   /**
    * Get user profile
    */
-  async getProfile() {
+  async getProfile(options = {}) {
     if (!this.accessToken) {
       throw new AuthError('Not authenticated');
     }
     
-    const query = `
-      query {
-        viewer {
-          id
-          name
-          first_name
-          last_name
-          profile_pic
-          cover_photo
-          email
-          birthday
-          gender
-          hometown
-          current_city
-          relationship_status
-        }
-      }
-    `;
-    
-    const response = await this.network.post(Endpoints.GRAPHQL, {
-      query,
-      variables: {},
-      access_token: this.accessToken
-    }, {
-      headers: this._getAuthHeaders()
+    const response = await this.network.graphql('GetProfile', {}, {
+      accessToken: this.accessToken,
+      headers: this._getAuthHeaders(),
+      signal: options.signal,
+      priority: options.priority
     });
     
     if (response.data && response.data.data && response.data.data.viewer) {
@@ -295,50 +1036,286 @@ class AuthManager {
   /**
    * Update user status
    */
-  async updateStatus(status) {
+  async updateStatus(status, options = {}) {
     if (!this.accessToken) {
       throw new AuthError('Not authenticated');
     }
     
-    const mutation = `
-      mutation UpdateStatus($status: String!) {
-        updateStatus(input: { status: $status }) {
-          success
-          status
-        }
+    const response = await this.network.graphql('UpdateStatus', { status }, {
+      accessToken: this.accessToken,
+      headers: this._getAuthHeaders(),
+      signal: options.signal,
+      priority: options.priority
+    });
+    
+    return response.data;
+  }
+  
+  /**
+   * List the sessions where the account is logged in
+   */
+  async getActiveSessions(options = {}) {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    try {
+      const data = await this._postGraphQL('GetActiveSessions', {}, options);
+      
+      if (data && data.viewer && data.viewer.active_sessions) {
+        return (data.viewer.active_sessions.nodes || []).map(node => this._normalizeSession(node));
       }
-    `;
+      
+      throw new MessengerError('Unexpected response');
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to get active sessions: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Revoke a session returned by getActiveSessions()
+   * Revoking the current session also clears the local login
+   */
+  async revokeSession(sessionId, options = {}) {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
     
-    const response = await this.network.post(Endpoints.GRAPHQL, {
-      query: mutation,
-      variables: { status },
-      access_token: this.accessToken
-    }, {
-      headers: this._getAuthHeaders()
+    if (!sessionId) {
+      throw new AuthError('Session ID is required');
+    }
+    
+    let result;
+    try {
+      const data = await this._postGraphQL('RevokeSession', { sessionId }, options);
+      result = data && data.revokeSession;
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to revoke session: ${error.message}`);
+    }
+    
+    if (!result || !result.success) {
+      throw new MessengerError('Failed to revoke session');
+    }
+    
+    // The server already ended this session, only local state is left to clear
+    if (result.was_current) {
+      await this.client.logout({ revokeToken: false });
+    }
+    
+    return { success: true, sessionId, wasCurrent: !!result.was_current };
+  }
+  
+  /**
+   * Revoke every other session, and optionally the current one as well
+   */
+  async logoutEverywhere(options = {}) {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    const { includeCurrent = false } = options;
+    
+    let result;
+    try {
+      const data = await this._postGraphQL('LogoutAllSessions', { keepCurrent: !includeCurrent }, options);
+      result = data && data.logoutAllSessions;
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to log out other sessions: ${error.message}`);
+    }
+    
+    if (!result || !result.success) {
+      throw new MessengerError('Failed to log out other sessions');
+    }
+    
+    if (includeCurrent) {
+      await this.client.logout({ revokeToken: false });
+    }
+    
+    return { success: true, revokedCount: result.revoked_count || 0 };
+  }
+  
+  /**
+   * List devices that can log in without a checkpoint
+   */
+  async getTrustedDevices(options = {}) {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    try {
+      const data = await this._postGraphQL('GetTrustedDevices', {}, options);
+      
+      if (data && data.viewer && data.viewer.trusted_devices) {
+        return (data.viewer.trusted_devices.nodes || []).map(node => this._normalizeTrustedDevice(node));
+      }
+      
+      throw new MessengerError('Unexpected response');
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to get trusted devices: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Remove a trusted device so its next login has to pass a checkpoint again
+   */
+  async removeTrustedDevice(deviceId, options = {}) {
+    if (!this.accessToken) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    if (!deviceId) {
+      throw new AuthError('Device ID is required');
+    }
+    
+    let result;
+    try {
+      const data = await this._postGraphQL('RemoveTrustedDevice', { deviceId }, options);
+      result = data && data.removeTrustedDevice;
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to remove trusted device: ${error.message}`);
+    }
+    
+    if (!result || !result.success) {
+      throw new MessengerError('Failed to remove trusted device');
+    }
+    
+    return { success: true, deviceId };
+  }
+  
+  /**
+   * Run an authenticated GraphQL operation and return its data
+   */
+  async _postGraphQL(operation, variables = {}, options = {}) {
+    const response = await this.network.graphql(operation, variables, {
+      accessToken: this.accessToken,
+      headers: this._getAuthHeaders(),
+      signal: options.signal,
+      priority: options.priority
     });
     
-    return response.data;
+    const body = response.data || {};
+    
+    if (body.errors && body.errors.length > 0) {
+      throw new MessengerError(body.errors[0].message || 'GraphQL error');
+    }
+    
+    return body.data;
+  }
+  
+  /**
+   * Normalize an active session node
+   */
+  _normalizeSession(node) {
+    const device = node.device || {};
+    
+    return {
+      id: node.id,
+      isCurrent: !!node.is_current,
+      device: {
+        name: device.name || null,
+        os: device.os || null,
+        app: device.app || null,
+        type: device.type || null
+      },
+      location: this._normalizeLocation(node.location),
+      createdAt: this._toTimestamp(node.created_time),
+      lastActive: this._toTimestamp(node.last_active_time)
+    };
+  }
+  
+  /**
+   * Normalize a trusted device node
+   */
+  _normalizeTrustedDevice(node) {
+    return {
+      id: node.id,
+      name: node.name || null,
+      os: node.os || null,
+      browser: node.browser || null,
+      location: this._normalizeLocation(node.location),
+      addedAt: this._toTimestamp(node.added_time),
+      lastUsed: this._toTimestamp(node.last_used_time)
+    };
+  }
+  
+  /**
+   * Normalize a session location
+   */
+  _normalizeLocation(location) {
+    const { city = null, region = null, country = null, ip_address: ip = null } = location || {};
+    
+    return {
+      city,
+      region,
+      country,
+      ip,
+      description: [city, region, country].filter(Boolean).join(', ') || null
+    };
+  }
+  
+  /**
+   * Convert a GraphQL time (unix seconds or ISO string) to milliseconds
+   */
+  _toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    
+    if (typeof value === 'number') {
+      // Unix seconds are far below any millisecond timestamp
+      return value < 1e12 ? value * 1000 : value;
+    }
+    
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
   }
   
   /**
    * Logout and cleanup
    */
-  async logout() {
+  async logout(options = {}) {
+    const { revokeToken = true } = options;
+    
     try {
-      if (this.accessToken) {
+      if (this.accessToken && revokeToken) {
         // Revoke access token
-        await this.network.delete(`${Endpoints.GRAPHQL}?access_token=${this.accessToken}`);
+        await this.network.delete(`${Endpoints.GRAPHQL}?access_token=${this.accessToken}`, {
+          skipSessionGuard: true
+        });
       }
       
       // Clear session data
       this.accessToken = null;
       this.userId = null;
       this.sessionCookies = null;
-      this.twoFactorRequired = false;
+      this.client.cookieJar.clear();
       this.twoFactorMethod = null;
+      this.checkpoint = null;
+      this.oneTimeCode = null;
+      this._transition(AuthStates.LOGGED_OUT);
       
     } catch (error) {
-      console.error('Logout error:', error);
+      this.log.error('Logout failed', { error });
     }
   }
   
@@ -347,8 +1324,7 @@ class AuthManager {
    */
   _getAuthHeaders() {
     return {
-      'User-Agent': Protocol.USER_AGENT,
-      'Accept-Language': Protocol.ACCEPT_LANGUAGE,
+      ...this.client.deviceProfile.getHeaders(),
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
       'Accept-Encoding': 'gzip, deflate, br',
       'DNT': '1',
@@ -367,34 +1343,39 @@ class AuthManager {
   }
   
   _extractCookies(response) {
-    const cookies = response.headers['set-cookie'];
-    if (!cookies) return {};
-    
-    const cookieObj = {};
-    cookies.forEach(cookie => {
-      const [nameValue] = cookie.split(';');
-      const [name, value] = nameValue.split('=');
-      cookieObj[name.trim()] = value.trim();
-    });
+    const jar = this.client.cookieJar;
+    const url = (response.config && response.config.url) || Endpoints.LOGIN;
+    
+    // NetworkManager already stored them, this covers responses built elsewhere
+    jar.setCookiesFromResponse(response, url);
     
-    return cookieObj;
+    return jar.toObject(Endpoints.LOGIN);
+  }
+  
+  _getSetCookieNames(response) {
+    const cookies = (response.headers && response.headers['set-cookie']) || [];
+    return [].concat(cookies).map(cookie => cookie.split('=')[0].trim());
   }
   
   _isTwoFactorRequired(response) {
-    return response.data.includes('checkpoint') || 
+    const location = (response.headers && response.headers.location) || '';
+    
+    return location.includes('checkpoint') ||
+           response.data.includes('checkpoint') || 
            response.data.includes('two-factor') ||
            response.data.includes('2FA');
   }
   
   _isLoginSuccessful(response) {
-    return response.data.includes('c_user') ||
+    return this._getSetCookieNames(response).includes('c_user') ||
+           response.data.includes('c_user') ||
            response.data.includes('xs') ||
            response.data.includes('access_token');
   }
   
   _detectTwoFactorMethod(response) {
     if (response.data.includes('SMS')) return 'sms';
-    if (response.data.includes('TOTP')) return 'totp';
+    if (response.data.includes('TOTP') || response.data.includes('authentication app')) return 'totp';
     if (response.data.includes('backup')) return 'backup';
     return 'unknown';
   }
@@ -405,16 +1386,6 @@ class AuthManager {
     return errorMatch ? errorMatch[1].trim() : 'Unknown login error';
   }
   
-  _extractLsd() {
-    // Extract lsd token from current page
-    return this._extractToken(document.documentElement.innerHTML, 'name="lsd" value="([^"]+)"');
-  }
-  
-  _extractJazoest() {
-    // Extract jazoest token from current page
-    return this._extractToken(document.documentElement.innerHTML, 'name="jazoest" value="([^"]+)"');
-  }
-  
   /**
    * Get current authentication status
    */
@@ -424,6 +1395,8 @@ class AuthManager {
       userId: this.userId,
       twoFactorRequired: this.twoFactorRequired,
       twoFactorMethod: this.twoFactorMethod,
+      state: this._state,
+      checkpoint: this.checkpoint ? this.checkpoint.challenge.toJSON() : null,
       deviceId: this.deviceId,
       clientId: this.clientId
     };
@@ -3,8 +3,7 @@
  * Manages chat creation, deletion, and thread information
  */
 
-const { Endpoints } = require('../constants');
-const { MessengerError, AuthError } = require('../utils/errors');
+const { MessengerError, AuthError, AbortError } = require('../utils/errors');
 
 class ChatManager {
   constructor(client) {
@@ -31,73 +30,19 @@ class ChatManager {
     const { forceRefresh = false, limit = 50, offset = 0, type = 'all' } = options;
     
     // Check cache if not forcing refresh
-    if (!forceRefresh && this._isCacheValid()) {
+    if (!forceRefresh && this.client.metrics.trackCache('chats', this._isCacheValid())) {
       return this._getCachedChats(limit, offset, type);
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetChats($limit: Int!, $offset: Int!, $type: String!) {
-            viewer {
-              threads(first: $limit, offset: $offset, type: $type) {
-                edges {
-                  node {
-                    id
-                    name
-                    type
-                    participants {
-                      id
-                      name
-                      first_name
-                      last_name
-                      profile_pic
-                      online_status
-                      last_seen
-                    }
-                    last_message {
-                      id
-                      text
-                      type
-                      timestamp
-                      sender {
-                        id
-                        name
-                      }
-                    }
-                    unread_count
-                    updated_at
-                    created_at
-                    is_group
-                    group_info {
-                      name
-                      description
-                      cover_photo
-                      admins {
-                        id
-                        name
-                      }
-                    }
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-                totalCount
-              }
-            }
-          }
-        `,
-        variables: {
-          limit,
-          offset,
-          type
-        }
+      const response = await this.network.graphql('GetChats', {
+        limit,
+        offset,
+        type
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.viewer) {
@@ -116,6 +61,10 @@ class ChatManager {
       throw new MessengerError('Failed to get chats');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get chats: ${error.message}`);
     }
   }
@@ -123,75 +72,23 @@ class ChatManager {
   /**
    * Get chat thread by ID
    */
-  async getChatById(threadId) {
+  async getChatById(threadId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     // Check cache first
-    if (this.threads.has(threadId)) {
+    if (this.client.metrics.trackCache('threads', this.threads.has(threadId))) {
       return this.threads.get(threadId);
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetThread($threadId: ID!) {
-            thread(id: $threadId) {
-              id
-              name
-              type
-              participants {
-                id
-                name
-                first_name
-                last_name
-                profile_pic
-                online_status
-                last_seen
-              }
-              last_message {
-                id
-                text
-                type
-                timestamp
-                sender {
-                  id
-                  name
-                }
-              }
-              unread_count
-              updated_at
-              created_at
-              is_group
-              group_info {
-                name
-                description
-                cover_photo
-                admins {
-                  id
-                  name
-                }
-                members {
-                  id
-                  name
-                  profile_pic
-                }
-              }
-              settings {
-                notifications_enabled
-                mute_until
-                theme
-                emoji
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId
-        }
+      const response = await this.network.graphql('GetThread', {
+        threadId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.thread) {
@@ -206,6 +103,10 @@ class ChatManager {
       throw new MessengerError('Thread not found');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get thread: ${error.message}`);
     }
   }
@@ -225,35 +126,17 @@ class ChatManager {
     const { name, description, isGroup = false } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation CreateThread($input: CreateThreadInput!) {
-            createThread(input: $input) {
-              success
-              thread {
-                id
-                name
-                type
-                participants {
-                  id
-                  name
-                  profile_pic
-                }
-                created_at
-              }
-            }
-          }
-        `,
-        variables: {
-          input: {
-            participantIds,
-            name,
-            description,
-            isGroup
-          }
+      const response = await this.network.graphql('CreateThread', {
+        input: {
+          participantIds,
+          name,
+          description,
+          isGroup
         }
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.createThread) {
@@ -271,6 +154,10 @@ class ChatManager {
       throw new MessengerError('Failed to create thread');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to create thread: ${error.message}`);
     }
   }
@@ -279,38 +166,32 @@ class ChatManager {
    * Create group chat
    */
   async createGroupChat(participantIds, name, options = {}) {
-    const { description, coverPhoto } = options;
+    const { description, coverPhoto, signal } = options;
     
     return await this.createChat(participantIds, {
       name,
       description,
       isGroup: true,
-      coverPhoto
+      coverPhoto,
+      signal
     });
   }
   
   /**
    * Delete chat thread
    */
-  async deleteChat(threadId) {
+  async deleteChat(threadId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation DeleteThread($threadId: ID!) {
-            deleteThread(input: { threadId: $threadId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          threadId
-        }
+      const response = await this.network.graphql('DeleteThread', {
+        threadId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.deleteThread) {
@@ -328,6 +209,10 @@ class ChatManager {
       throw new MessengerError('Failed to delete thread');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to delete thread: ${error.message}`);
     }
   }
@@ -335,25 +220,18 @@ class ChatManager {
   /**
    * Leave group chat
    */
-  async leaveGroupChat(threadId) {
+  async leaveGroupChat(threadId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation LeaveThread($threadId: ID!) {
-            leaveThread(input: { threadId: $threadId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          threadId
-        }
+      const response = await this.network.graphql('LeaveThread', {
+        threadId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.leaveThread) {
@@ -371,6 +249,10 @@ class ChatManager {
       throw new MessengerError('Failed to leave thread');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to leave thread: ${error.message}`);
     }
   }
@@ -378,34 +260,19 @@ class ChatManager {
   /**
    * Add participants to group chat
    */
-  async addParticipants(threadId, participantIds) {
+  async addParticipants(threadId, participantIds, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation AddParticipants($threadId: ID!, $participantIds: [ID!]!) {
-            addParticipants(input: { threadId: $threadId, participantIds: $participantIds }) {
-              success
-              thread {
-                id
-                participants {
-                  id
-                  name
-                  profile_pic
-                }
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId,
-          participantIds
-        }
+      const response = await this.network.graphql('AddParticipants', {
+        threadId,
+        participantIds
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.addParticipants) {
@@ -423,6 +290,10 @@ class ChatManager {
       throw new MessengerError('Failed to add participants');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to add participants: ${error.message}`);
     }
   }
@@ -430,34 +301,19 @@ class ChatManager {
   /**
    * Remove participants from group chat
    */
-  async removeParticipants(threadId, participantIds) {
+  async removeParticipants(threadId, participantIds, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation RemoveParticipants($threadId: ID!, $participantIds: [ID!]!) {
-            removeParticipants(input: { threadId: $threadId, participantIds: $participantIds }) {
-              success
-              thread {
-                id
-                participants {
-                  id
-                  name
-                  profile_pic
-                }
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId,
-          participantIds
-        }
+      const response = await this.network.graphql('RemoveParticipants', {
+        threadId,
+        participantIds
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.removeParticipants) {
@@ -475,6 +331,10 @@ class ChatManager {
       throw new MessengerError('Failed to remove participants');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to remove participants: ${error.message}`);
     }
   }
@@ -482,38 +342,19 @@ class ChatManager {
   /**
    * Update group chat settings
    */
-  async updateGroupSettings(threadId, settings) {
+  async updateGroupSettings(threadId, settings, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation UpdateThreadSettings($threadId: ID!, $input: UpdateThreadSettingsInput!) {
-            updateThreadSettings(input: { threadId: $threadId, settings: $input }) {
-              success
-              thread {
-                id
-                name
-                description
-                cover_photo
-                settings {
-                  notifications_enabled
-                  mute_until
-                  theme
-                  emoji
-                }
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId,
-          input: settings
-        }
+      const response = await this.network.graphql('UpdateThreadSettings', {
+        threadId,
+        input: settings
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.updateThreadSettings) {
@@ -531,6 +372,10 @@ class ChatManager {
       throw new MessengerError('Failed to update thread settings');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to update thread settings: ${error.message}`);
     }
   }
@@ -546,49 +391,14 @@ class ChatManager {
     const { limit = 50, type = 'all' } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query SearchThreads($query: String!, $limit: Int!, $type: String!) {
-            searchThreads(query: $query, first: $limit, type: $type) {
-              edges {
-                node {
-                  id
-                  name
-                  type
-                  participants {
-                    id
-                    name
-                    profile_pic
-                  }
-                  last_message {
-                    id
-                    text
-                    timestamp
-                    sender {
-                      id
-                      name
-                    }
-                  }
-                  unread_count
-                  updated_at
-                }
-              }
-              pageInfo {
-                hasNextPage
-                hasPreviousPage
-                startCursor
-                endCursor
-              }
-            }
-          }
-        `,
-        variables: {
-          query,
-          limit,
-          type
-        }
+      const response = await this.network.graphql('SearchThreads', {
+        query,
+        limit,
+        type
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.searchThreads) {
@@ -603,6 +413,10 @@ class ChatManager {
       throw new MessengerError('Search failed');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Search failed: ${error.message}`);
     }
   }
@@ -610,34 +424,18 @@ class ChatManager {
   /**
    * Get chat statistics
    */
-  async getChatStats(threadId) {
+  async getChatStats(threadId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetThreadStats($threadId: ID!) {
-            thread(id: $threadId) {
-              id
-              stats {
-                total_messages
-                total_participants
-                created_at
-                last_activity
-                message_count_today
-                message_count_week
-                message_count_month
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId
-        }
+      const response = await this.network.graphql('GetThreadStats', {
+        threadId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.thread) {
@@ -647,6 +445,10 @@ class ChatManager {
       throw new MessengerError('Failed to get thread stats');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get thread stats: ${error.message}`);
     }
   }
@@ -699,7 +501,7 @@ class ChatManager {
    */
   _getAuthHeaders() {
     return {
-      'Authorization': `Bearer ${this.client.auth.accessToken}`,
+      'Authorization': `Bearer ${this.client.getAccessToken()}`,
       'Content-Type': 'application/json'
     };
   }
@@ -0,0 +1,82 @@
+/**
+ * CheckpointChallenge - A single step of a login checkpoint
+ * Emitted through the client 'checkpoint' event and answered with submit()
+ */
+
+const { ChallengeTypes } = require('../constants');
+const { AuthError } = require('../utils/errors');
+
+class CheckpointChallenge {
+  constructor(auth, { type, step, url, form, method }) {
+    this.auth = auth;
+    this.client = auth.client;
+    
+    this.type = type;
+    this.step = step;
+    this.url = url;
+    this.form = form;
+    this.method = method;
+    this.submitted = false;
+  }
+  
+  /**
+   * Verification methods offered on a "choose method" step
+   */
+  get methods() {
+    if (this.type !== ChallengeTypes.CHOOSE_METHOD) {
+      return [];
+    }
+    
+    return this.form.options.verification_method || [];
+  }
+  
+  /**
+   * Answer this step
+   * enter_code: { code }, choose_method: { method }, save_browser: { save },
+   * approve_device: {} once the login was approved on the other device.
+   * Extra keys are sent as raw form fields.
+   */
+  async submit(values = {}) {
+    if (this.submitted) {
+      throw new AuthError('Checkpoint step has already been submitted');
+    }
+    
+    if (!this.auth.checkpoint || this.auth.checkpoint.challenge !== this) {
+      throw new AuthError('Checkpoint step is no longer active');
+    }
+    
+    this.submitted = true;
+    
+    let result;
+    try {
+      result = await this.auth._runAuthentication(() => this.auth._submitCheckpoint(values));
+    } catch (error) {
+      // A step that failed (wrong code, network error) can be answered again
+      this.submitted = false;
+      throw error;
+    }
+    
+    // Finishing the last step logs the client in just like login() would
+    if (result.success) {
+      return await this.client._handleAuthenticated(result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get a plain description of this step
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      step: this.step,
+      url: this.url,
+      method: this.method,
+      methods: this.methods,
+      inputs: this.form.inputs
+    };
+  }
+}
+
+module.exports = CheckpointChallenge;
\ No newline at end of file
@@ -3,8 +3,7 @@
  * Manages contacts, friends, and user information
  */
 
-const { Endpoints } = require('../constants');
-const { MessengerError, AuthError } = require('../utils/errors');
+const { MessengerError, AuthError, AbortError } = require('../utils/errors');
 
 class ContactManager {
   constructor(client) {
@@ -32,47 +31,18 @@ class ContactManager {
     const { forceRefresh = false, limit = 100, offset = 0 } = options;
     
     // Check cache if not forcing refresh
-    if (!forceRefresh && this._isCacheValid()) {
+    if (!forceRefresh && this.client.metrics.trackCache('contacts', this._isCacheValid())) {
       return this._getCachedContacts(limit, offset);
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetContacts($limit: Int!, $offset: Int!) {
-            viewer {
-              contacts(first: $limit, offset: $offset) {
-                edges {
-                  node {
-                    id
-                    name
-                    first_name
-                    last_name
-                    profile_pic
-                    is_friend
-                    is_blocked
-                    mutual_friends
-                    online_status
-                    last_seen
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-                totalCount
-              }
-            }
-          }
-        `,
-        variables: {
-          limit,
-          offset
-        }
+      const response = await this.network.graphql('GetContacts', {
+        limit,
+        offset
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.viewer) {
@@ -91,6 +61,10 @@ class ContactManager {
       throw new MessengerError('Failed to get contacts');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get contacts: ${error.message}`);
     }
   }
@@ -106,46 +80,18 @@ class ContactManager {
     const { forceRefresh = false, limit = 100, offset = 0 } = options;
     
     // Check cache if not forcing refresh
-    if (!forceRefresh && this._isCacheValid()) {
+    if (!forceRefresh && this.client.metrics.trackCache('friends', this._isCacheValid())) {
       return this._getCachedFriends(limit, offset);
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetFriends($limit: Int!, $offset: Int!) {
-            viewer {
-              friends(first: $limit, offset: $offset) {
-                edges {
-                  node {
-                    id
-                    name
-                    first_name
-                    last_name
-                    profile_pic
-                    online_status
-                    last_seen
-                    mutual_friends
-                    friendship_status
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-                totalCount
-              }
-            }
-          }
-        `,
-        variables: {
-          limit,
-          offset
-        }
+      const response = await this.network.graphql('GetFriends', {
+        limit,
+        offset
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.viewer) {
@@ -164,6 +110,10 @@ class ContactManager {
       throw new MessengerError('Failed to get friends');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get friends: ${error.message}`);
     }
   }
@@ -171,46 +121,23 @@ class ContactManager {
   /**
    * Get user by ID
    */
-  async getUserById(userId) {
+  async getUserById(userId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     // Check cache first
-    if (this.contacts.has(userId)) {
+    if (this.client.metrics.trackCache('users', this.contacts.has(userId))) {
       return this.contacts.get(userId);
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetUser($userId: ID!) {
-            user(id: $userId) {
-              id
-              name
-              first_name
-              last_name
-              profile_pic
-              cover_photo
-              is_friend
-              is_blocked
-              mutual_friends
-              online_status
-              last_seen
-              about
-              birthday
-              gender
-              hometown
-              current_city
-              relationship_status
-            }
-          }
-        `,
-        variables: {
-          userId
-        }
+      const response = await this.network.graphql('GetUser', {
+        userId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.user) {
@@ -225,6 +152,10 @@ class ContactManager {
       throw new MessengerError('User not found');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get user: ${error.message}`);
     }
   }
@@ -240,38 +171,14 @@ class ContactManager {
     const { limit = 50, type = 'all' } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query SearchUsers($query: String!, $limit: Int!, $type: String!) {
-            searchUsers(query: $query, first: $limit, type: $type) {
-              edges {
-                node {
-                  id
-                  name
-                  first_name
-                  last_name
-                  profile_pic
-                  is_friend
-                  mutual_friends
-                  online_status
-                }
-              }
-              pageInfo {
-                hasNextPage
-                hasPreviousPage
-                startCursor
-                endCursor
-              }
-            }
-          }
-        `,
-        variables: {
-          query,
-          limit,
-          type
-        }
+      const response = await this.network.graphql('SearchUsers', {
+        query,
+        limit,
+        type
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.searchUsers) {
@@ -286,6 +193,10 @@ class ContactManager {
       throw new MessengerError('Search failed');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Search failed: ${error.message}`);
     }
   }
@@ -293,30 +204,18 @@ class ContactManager {
   /**
    * Add friend
    */
-  async addFriend(userId) {
+  async addFriend(userId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation AddFriend($userId: ID!) {
-            addFriend(input: { userId: $userId }) {
-              success
-              friendship {
-                id
-                status
-                created_at
-              }
-            }
-          }
-        `,
-        variables: {
-          userId
-        }
+      const response = await this.network.graphql('AddFriend', {
+        userId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.addFriend) {
@@ -334,6 +233,10 @@ class ContactManager {
       throw new MessengerError('Failed to add friend');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to add friend: ${error.message}`);
     }
   }
@@ -341,25 +244,18 @@ class ContactManager {
   /**
    * Remove friend
    */
-  async removeFriend(userId) {
+  async removeFriend(userId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation RemoveFriend($userId: ID!) {
-            removeFriend(input: { userId: $userId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          userId
-        }
+      const response = await this.network.graphql('RemoveFriend', {
+        userId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.removeFriend) {
@@ -377,6 +273,10 @@ class ContactManager {
       throw new MessengerError('Failed to remove friend');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to remove friend: ${error.message}`);
     }
   }
@@ -384,25 +284,18 @@ class ContactManager {
   /**
    * Block user
    */
-  async blockUser(userId) {
+  async blockUser(userId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation BlockUser($userId: ID!) {
-            blockUser(input: { userId: $userId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          userId
-        }
+      const response = await this.network.graphql('BlockUser', {
+        userId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.blockUser) {
@@ -420,6 +313,10 @@ class ContactManager {
       throw new MessengerError('Failed to block user');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to block user: ${error.message}`);
     }
   }
@@ -427,25 +324,18 @@ class ContactManager {
   /**
    * Unblock user
    */
-  async unblockUser(userId) {
+  async unblockUser(userId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation UnblockUser($userId: ID!) {
-            unblockUser(input: { userId: $userId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          userId
-        }
+      const response = await this.network.graphql('UnblockUser', {
+        userId
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.unblockUser) {
@@ -463,6 +353,10 @@ class ContactManager {
       throw new MessengerError('Failed to unblock user');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to unblock user: ${error.message}`);
     }
   }
@@ -478,38 +372,13 @@ class ContactManager {
     const { limit = 100, offset = 0 } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetBlockedUsers($limit: Int!, $offset: Int!) {
-            viewer {
-              blockedUsers(first: $limit, offset: $offset) {
-                edges {
-                  node {
-                    id
-                    name
-                    first_name
-                    last_name
-                    profile_pic
-                    blocked_at
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-                totalCount
-              }
-            }
-          }
-        `,
-        variables: {
-          limit,
-          offset
-        }
+      const response = await this.network.graphql('GetBlockedUsers', {
+        limit,
+        offset
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.viewer) {
@@ -528,6 +397,10 @@ class ContactManager {
       throw new MessengerError('Failed to get blocked users');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get blocked users: ${error.message}`);
     }
   }
@@ -543,39 +416,14 @@ class ContactManager {
     const { limit = 50, offset = 0 } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetMutualFriends($userId: ID!, $limit: Int!, $offset: Int!) {
-            user(id: $userId) {
-              mutualFriends(first: $limit, offset: $offset) {
-                edges {
-                  node {
-                    id
-                    name
-                    first_name
-                    last_name
-                    profile_pic
-                    online_status
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-                totalCount
-              }
-            }
-          }
-        `,
-        variables: {
-          userId,
-          limit,
-          offset
-        }
+      const response = await this.network.graphql('GetMutualFriends', {
+        userId,
+        limit,
+        offset
       }, {
-        headers: this._getAuthHeaders()
+        headers: this._getAuthHeaders(),
+        signal: options.signal,
+        priority: options.priority
       });
       
       if (response.data && response.data.data && response.data.data.user) {
@@ -591,6 +439,10 @@ class ContactManager {
       throw new MessengerError('Failed to get mutual friends');
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get mutual friends: ${error.message}`);
     }
   }
@@ -3,9 +3,10 @@
  * Supports text, media, reactions, and real-time messaging
  */
 
-const { Endpoints, MessageTypes, Limits } = require('../constants');
-const { MessengerError, AuthError } = require('../utils/errors');
+const { Endpoints, MessageTypes, Limits, RequestPriorities } = require('../constants');
+const { MessengerError, AuthError, AbortError } = require('../utils/errors');
 const { encryptMessage, generateMessageId } = require('../utils/encryption');
+const { throwIfAborted, abortableWait } = require('../utils/abort');
 
 class MessageManager {
   constructor(client) {
@@ -32,16 +33,18 @@ class MessageManager {
       throw new MessengerError(`Text message must be between 1 and ${Limits.MAX_TEXT_LENGTH} characters`);
     }
     
+    const { signal, priority, ...messageOptions } = options;
+    
     const messageData = {
       thread_id: threadId,
       message: text,
       type: MessageTypes.TEXT,
       timestamp: Date.now(),
       message_id: generateMessageId(),
-      ...options
+      ...messageOptions
     };
     
-    return await this._sendMessage(messageData);
+    return await this._sendMessage(messageData, { signal, priority });
   }
   
   /**
@@ -59,58 +62,78 @@ class MessageManager {
       throw new MessengerError(`File size exceeds limit for ${type}`);
     }
     
-    // Upload media first
-    const uploadResult = await this._uploadMedia(mediaData);
-    
-    const messageData = {
-      thread_id: threadId,
-      type: type,
-      media_id: uploadResult.media_id,
-      caption: caption || '',
-      timestamp: Date.now(),
-      message_id: generateMessageId(),
-      ...options
-    };
+    const { signal, priority, ...messageOptions } = options;
+    const { tracer } = this.client;
     
-    return await this._sendMessage(messageData);
+    // One span around upload and send, to tell which of them was slow
+    return await tracer.trace('messages.sendMedia', {
+      attributes: {
+        'messenger.thread_id': threadId,
+        'messenger.message_type': type,
+        'messenger.media_size': data.length
+      }
+    }, async () => {
+      // Upload media first
+      const uploadResult = await tracer.trace('media.upload', {
+        attributes: { 'messenger.media_size': data.length }
+      }, () => this._uploadMedia(mediaData, { signal, priority }));
+      
+      const messageData = {
+        thread_id: threadId,
+        type: type,
+        media_id: uploadResult.media_id,
+        caption: caption || '',
+        timestamp: Date.now(),
+        message_id: generateMessageId(),
+        ...messageOptions
+      };
+      
+      return await this._sendMessage(messageData, { signal, priority });
+    });
   }
   
   /**
    * Send sticker
    */
   async sendSticker(threadId, stickerId, options = {}) {
+    const { signal, priority, ...messageOptions } = options;
+    
     const messageData = {
       thread_id: threadId,
       type: MessageTypes.STICKER,
       sticker_id: stickerId,
       timestamp: Date.now(),
       message_id: generateMessageId(),
-      ...options
+      ...messageOptions
     };
     
-    return await this._sendMessage(messageData);
+    return await this._sendMessage(messageData, { signal, priority });
   }
   
   /**
    * Send GIF
    */
   async sendGif(threadId, gifUrl, options = {}) {
+    const { signal, priority, ...messageOptions } = options;
+    
     const messageData = {
       thread_id: threadId,
       type: MessageTypes.GIF,
       gif_url: gifUrl,
       timestamp: Date.now(),
       message_id: generateMessageId(),
-      ...options
+      ...messageOptions
     };
     
-    return await this._sendMessage(messageData);
+    return await this._sendMessage(messageData, { signal, priority });
   }
   
   /**
    * Send location
    */
   async sendLocation(threadId, latitude, longitude, name = '', options = {}) {
+    const { signal, priority, ...messageOptions } = options;
+    
     const messageData = {
       thread_id: threadId,
       type: MessageTypes.LOCATION,
@@ -119,10 +142,10 @@ class MessageManager {
       location_name: name,
       timestamp: Date.now(),
       message_id: generateMessageId(),
-      ...options
+      ...messageOptions
     };
     
-    return await this._sendMessage(messageData);
+    return await this._sendMessage(messageData, { signal, priority });
   }
   
   /**
@@ -141,25 +164,21 @@ class MessageManager {
     };
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation ReactToMessage($messageId: ID!, $reaction: String!) {
-            reactToMessage(input: { messageId: $messageId, reaction: $reaction }) {
-              success
-              reaction
-            }
-          }
-        `,
-        variables: {
-          messageId,
-          reaction
-        }
+      const response = await this.network.graphql('ReactToMessage', {
+        messageId,
+        reaction
       }, {
-        headers: this._getMessageHeaders()
+        headers: this._getMessageHeaders(),
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.INTERACTIVE
       });
       
       return response.data;
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to react to message: ${error.message}`);
     }
   }
@@ -167,30 +186,28 @@ class MessageManager {
   /**
    * Mark message as read
    */
-  async markAsRead(threadId, messageId) {
+  async markAsRead(threadId, messageId, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation MarkAsRead($threadId: ID!, $messageId: ID!) {
-            markAsRead(input: { threadId: $threadId, messageId: $messageId }) {
-              success
-            }
-          }
-        `,
-        variables: {
-          threadId,
-          messageId
-        }
+      const response = await this.network.graphql('MarkAsRead', {
+        threadId,
+        messageId
       }, {
-        headers: this._getMessageHeaders()
+        headers: this._getMessageHeaders(),
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.REALTIME,
+        queueKey: threadId
       });
       
       return response.data;
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to mark message as read: ${error.message}`);
     }
   }
@@ -198,17 +215,23 @@ class MessageManager {
   /**
    * Send typing indicator
    */
-  async sendTyping(threadId, isTyping = true) {
+  async sendTyping(threadId, isTyping = true, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
+    throwIfAborted(options.signal, 'send typing indicator');
+    
     try {
       // Send typing indicator via WebSocket for real-time updates
       await this.websocket.sendTyping(threadId, isTyping);
       
       return { success: true, typing: isTyping };
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to send typing indicator: ${error.message}`);
     }
   }
@@ -224,53 +247,24 @@ class MessageManager {
     const { limit = 50, before = null, after = null } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetMessageHistory($threadId: ID!, $limit: Int!, $before: String, $after: String) {
-            thread(id: $threadId) {
-              messages(first: $limit, before: $before, after: $after) {
-                edges {
-                  node {
-                    id
-                    text
-                    type
-                    timestamp
-                    sender {
-                      id
-                      name
-                      profile_pic
-                    }
-                    reactions {
-                      reaction
-                      user {
-                        id
-                        name
-                      }
-                    }
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  hasPreviousPage
-                  startCursor
-                  endCursor
-                }
-              }
-            }
-          }
-        `,
-        variables: {
-          threadId,
-          limit,
-          before,
-          after
-        }
+      const response = await this.network.graphql('GetMessageHistory', {
+        threadId,
+        limit,
+        before,
+        after
       }, {
-        headers: this._getMessageHeaders()
+        headers: this._getMessageHeaders(),
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.BACKGROUND,
+        queueKey: threadId
       });
       
       return response.data.data.thread.messages;
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to get message history: ${error.message}`);
     }
   }
@@ -286,48 +280,23 @@ class MessageManager {
     const { limit = 50, threadId = null, type = null } = options;
     
     try {
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query SearchMessages($query: String!, $limit: Int!, $threadId: ID, $type: String) {
-            searchMessages(query: $query, first: $limit, threadId: $threadId, type: $type) {
-              edges {
-                node {
-                  id
-                  text
-                  type
-                  timestamp
-                  thread {
-                    id
-                    name
-                  }
-                  sender {
-                    id
-                    name
-                    profile_pic
-                  }
-                }
-              }
-              pageInfo {
-                hasNextPage
-                hasPreviousPage
-                startCursor
-                endCursor
-              }
-            }
-          }
-        `,
-        variables: {
-          query,
-          limit,
-          threadId,
-          type
-        }
+      const response = await this.network.graphql('SearchMessages', {
+        query,
+        limit,
+        threadId,
+        type
       }, {
-        headers: this._getMessageHeaders()
+        headers: this._getMessageHeaders(),
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.BACKGROUND
       });
       
       return response.data.data.searchMessages;
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to search messages: ${error.message}`);
     }
   }
@@ -335,43 +304,33 @@ class MessageManager {
   /**
    * Internal message sending method
    */
-  async _sendMessage(messageData) {
+  async _sendMessage(messageData, options = {}) {
     if (!this.client.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
     // Rate limiting
-    await this._checkRateLimit();
+    await this.client.tracer.trace('messages.rate_limit', {}, () => this._checkRateLimit(options.signal));
     
     try {
       // Encrypt message if needed
       const encryptedMessage = await this._encryptMessageIfNeeded(messageData);
       
       // Send via GraphQL API
-      const response = await this.network.post(Endpoints.GRAPHQL, {
-        query: `
-          mutation SendMessage($input: SendMessageInput!) {
-            sendMessage(input: $input) {
-              success
-              message {
-                id
-                text
-                type
-                timestamp
-                thread_id
-              }
-            }
-          }
-        `,
-        variables: {
-          input: encryptedMessage
-        }
+      const response = await this.network.graphql('SendMessage', {
+        input: encryptedMessage
       }, {
-        headers: this._getMessageHeaders()
+        headers: this._getMessageHeaders(),
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.INTERACTIVE,
+        queueKey: messageData.thread_id
       });
       
       if (response.data.data.sendMessage.success) {
-        const sentMessage = response.data.data.sendMessage.message;
+        const sentMessage = {
+          ...response.data.data.sendMessage.message,
+          identity: this.client.identity
+        };
         
         // Store sent message
         this.sentMessages.set(sentMessage.id, sentMessage);
@@ -387,6 +346,10 @@ class MessageManager {
         throw new MessengerError('Failed to send message');
       }
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Failed to send message: ${error.message}`);
     }
   }
@@ -394,7 +357,7 @@ class MessageManager {
   /**
    * Upload media file
    */
-  async _uploadMedia(mediaData) {
+  async _uploadMedia(mediaData, options = {}) {
     const { type, data, filename } = mediaData;
     
     try {
@@ -407,7 +370,10 @@ class MessageManager {
         headers: {
           ...this._getMessageHeaders(),
           'Content-Type': 'multipart/form-data'
-        }
+        },
+        signal: options.signal,
+        priority: options.priority || RequestPriorities.INTERACTIVE,
+        queueKey: mediaData.threadId
       });
       
       if (response.data.success) {
@@ -419,6 +385,10 @@ class MessageManager {
         throw new MessengerError('Media upload failed');
       }
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
       throw new MessengerError(`Media upload failed: ${error.message}`);
     }
   }
@@ -435,7 +405,7 @@ class MessageManager {
   /**
    * Check rate limiting
    */
-  async _checkRateLimit() {
+  async _checkRateLimit(signal = null) {
     const now = Date.now();
     
     // Reset counter if minute has passed
@@ -453,7 +423,7 @@ class MessageManager {
     // Ensure minimum delay between messages
     const timeSinceLastMessage = now - this.lastMessageTime;
     if (timeSinceLastMessage < 1000) { // 1 second minimum
-      await new Promise(resolve => setTimeout(resolve, 1000 - timeSinceLastMessage));
+      await abortableWait(1000 - timeSinceLastMessage, signal);
     }
   }
   
@@ -490,9 +460,9 @@ class MessageManager {
    */
   _getMessageHeaders() {
     return {
-      'Authorization': `Bearer ${this.client.auth.accessToken}`,
-      'Content-Type': 'application/json',
-      'User-Agent': 'Mozilla/5.0 (Linux; Android 13; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+      ...this.client.deviceProfile.getHeaders(),
+      'Authorization': `Bearer ${this.client.getAccessToken()}`,
+      'Content-Type': 'application/json'
     };
   }
   
@@ -507,6 +477,7 @@ class MessageManager {
       timestamp: messageData.timestamp,
       thread_id: messageData.thread_id,
       sender: messageData.sender,
+      identity: this.websocket.identity || this.client.identity,
       ...messageData
     };
     
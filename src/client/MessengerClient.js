@@ -4,14 +4,20 @@
  */
 
 const EventEmitter = require('events');
-const { Endpoints, Protocol, EventTypes, AuthMethods } = require('../constants');
+const { Endpoints, Protocol, EventTypes, AuthMethods, AuthStates } = require('../constants');
 const { MessengerError, AuthError, NetworkError } = require('../utils/errors');
 const AuthManager = require('./AuthManager');
 const MessageManager = require('./MessageManager');
 const ContactManager = require('./ContactManager');
 const ChatManager = require('./ChatManager');
+const PageManager = require('./PageManager');
 const WebSocketManager = require('./WebSocketManager');
 const NetworkManager = require('./NetworkManager');
+const MetricsManager = require('./MetricsManager');
+const { CookieJar } = require('../utils/cookies');
+const { DeviceProfile } = require('../utils/profile');
+const { createLogger } = require('../utils/logger');
+const { Tracer } = require('../utils/tracing');
 
 class MessengerClient extends EventEmitter {
   constructor(options = {}) {
@@ -22,16 +28,32 @@ class MessengerClient extends EventEmitter {
       rateLimitDelay: Protocol.RATE_LIMIT_DELAY,
       maxRetries: Protocol.MAX_RETRIES,
       retryDelay: Protocol.RETRY_DELAY,
+      sessionGuard: true,
       ...options
     };
     
-    // Initialize managers
+    // Structured logger shared by the managers, each logging under its own component
+    this.logger = createLogger(this.options.logger, { level: this.options.logLevel });
+    this.log = this.logger.child({ component: 'client' });
+    
+    // Spans around requests, retries, uploads and acknowledgment waits, off unless configured
+    this.tracer = new Tracer(this.options.tracing, this.logger.child({ component: 'tracing' }));
+    
+    // Cookie jar shared by HTTP requests and the WebSocket handshake
+    this.cookieJar = this.options.cookieJar || new CookieJar();
+    
+    // Device identity presented to the server, reuse a saved one to look like the same phone
+    this.deviceProfile = this._createDeviceProfile(this.options.deviceProfile);
+    
+    // Initialize managers (network and websocket first, the others keep references to them)
+    this.network = new NetworkManager(this);
+    this.websocket = new WebSocketManager(this);
     this.auth = new AuthManager(this);
     this.messages = new MessageManager(this);
     this.contacts = new ContactManager(this);
     this.chats = new ChatManager(this);
-    this.websocket = new WebSocketManager(this);
-    this.network = new NetworkManager(this);
+    this.pages = new PageManager(this);
+    this.metrics = new MetricsManager(this);
     
     // State
     this.isAuthenticated = false;
@@ -41,11 +63,13 @@ class MessengerClient extends EventEmitter {
     
     // Bind methods
     this.login = this.login.bind(this);
+    this.loginWithSession = this.loginWithSession.bind(this);
     this.logout = this.logout.bind(this);
     this.sendMessage = this.sendMessage.bind(this);
     this.sendMedia = this.sendMedia.bind(this);
     this.getContacts = this.getContacts.bind(this);
     this.getChats = this.getChats.bind(this);
+    this.actAs = this.actAs.bind(this);
     
     // Setup event listeners
     this._setupEventListeners();
@@ -53,24 +77,29 @@ class MessengerClient extends EventEmitter {
   
   /**
    * Authenticate with Messenger using various methods
+   * options.signal cancels a login still in progress
    */
-  async login(credentials, method = AuthMethods.EMAIL) {
+  async login(credentials, method = AuthMethods.EMAIL, options = {}) {
     try {
       this.emit(EventTypes.CONNECTION, { status: 'connecting' });
       
-      const authResult = await this.auth.authenticate(credentials, method);
+      const authResult = await this.auth.authenticate(credentials, method, { signal: options.signal });
       
       if (authResult.success) {
-        this.isAuthenticated = true;
-        this.userId = authResult.userId;
-        this.sessionData = authResult.sessionData;
-        
-        // Connect to WebSocket for real-time updates
-        await this.websocket.connect();
+        return await this._handleAuthenticated(authResult);
+      } else if (authResult.requiresTwoFactor) {
+        // Answered later through login(..., TWO_FACTOR) or challenge.submit()
+        this.emit(EventTypes.CONNECTION, { 
+          status: 'challenge_required', 
+          challenge: authResult.challenge.type 
+        });
         
+        return authResult;
+      } else if (authResult.requiresCode) {
+        // Answered later through login({ code }, ONE_TIME_CODE)
         this.emit(EventTypes.CONNECTION, { 
-          status: 'connected', 
-          userId: this.userId 
+          status: 'code_required', 
+          channel: authResult.channel 
         });
         
         return authResult;
@@ -86,13 +115,66 @@ class MessengerClient extends EventEmitter {
     }
   }
   
+  /**
+   * Resume a previously exported session without going through the password flow
+   * Falls back to the credential provider when the stored session is no longer valid
+   */
+  async loginWithSession(session, options = {}) {
+    const { credentialProvider = this.options.credentialProvider, signal } = options;
+    let isValid;
+    
+    try {
+      this.emit(EventTypes.CONNECTION, { status: 'connecting' });
+      
+      this.auth.restoreSession(session);
+      isValid = await this.auth.validateSession({ signal });
+      
+      if (isValid) {
+        return await this._handleAuthenticated(this.auth.getSessionResult());
+      }
+    } catch (error) {
+      this.emit(EventTypes.CONNECTION, { 
+        status: 'failed', 
+        error: error.message 
+      });
+      throw error;
+    }
+    
+    // Stored session is stale, fall back to a fresh login
+    this.emit(EventTypes.CONNECTION, { status: 'session_stale', userId: session.userId });
+    
+    if (typeof credentialProvider !== 'function') {
+      const error = new AuthError('Session expired and no credential provider is configured');
+      this.emit(EventTypes.CONNECTION, { 
+        status: 'failed', 
+        error: error.message 
+      });
+      throw error;
+    }
+    
+    const { credentials, method = AuthMethods.EMAIL } = await credentialProvider(session);
+    return await this.login(credentials, method, { signal });
+  }
+  
+  /**
+   * Export the current session so it can be persisted and passed to loginWithSession later
+   */
+  exportSession() {
+    if (!this.isAuthenticated) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    return this.auth.exportSession();
+  }
+  
   /**
    * Logout and cleanup
    */
-  async logout() {
+  async logout(options = {}) {
     try {
       await this.websocket.disconnect();
-      await this.auth.logout();
+      await this.auth.logout(options);
+      this.pages.clear();
       
       this.isAuthenticated = false;
       this.isConnected = false;
@@ -101,8 +183,59 @@ class MessengerClient extends EventEmitter {
       
       this.emit(EventTypes.DISCONNECTION, { status: 'logged_out' });
     } catch (error) {
-      console.error('Logout error:', error);
+      this.log.error('Logout failed', { error });
+    }
+  }
+  
+  /**
+   * Identity the client currently acts as: the personal profile or a managed Page
+   */
+  get identity() {
+    const page = this.pages.activePage;
+    
+    if (page) {
+      return { type: 'page', id: page.id, name: page.name };
+    }
+    
+    return { type: 'user', id: this.userId };
+  }
+  
+  /**
+   * Access token of the current identity
+   */
+  getAccessToken() {
+    const page = this.pages.activePage;
+    return page ? page.accessToken : this.auth.accessToken;
+  }
+  
+  /**
+   * Switch identity to a managed Page, or back to the personal profile with null
+   * Chats, messages and realtime events then belong to that identity's inbox
+   */
+  async actAs(pageId, options = {}) {
+    if (!this.isAuthenticated) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    const previousIdentity = this.identity;
+    
+    await this.pages.setActivePage(pageId, options);
+    
+    const identity = this.identity;
+    if (identity.type === previousIdentity.type && identity.id === previousIdentity.id) {
+      return identity;
     }
+    
+    // Cached threads belong to the previous inbox
+    this.chats.clearCache();
+    
+    // The realtime connection is scoped to the identity it authenticated as
+    await this.websocket.disconnect();
+    await this.websocket.connect();
+    
+    this.emit(EventTypes.IDENTITY_CHANGED, { identity, previousIdentity });
+    
+    return identity;
   }
   
   /**
@@ -152,56 +285,56 @@ class MessengerClient extends EventEmitter {
   /**
    * Get user profile information
    */
-  async getProfile() {
+  async getProfile(options = {}) {
     if (!this.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
-    return await this.auth.getProfile();
+    return await this.auth.getProfile(options);
   }
   
   /**
    * Update user status
    */
-  async updateStatus(status) {
+  async updateStatus(status, options = {}) {
     if (!this.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
-    return await this.auth.updateStatus(status);
+    return await this.auth.updateStatus(status, options);
   }
   
   /**
    * Mark message as read
    */
-  async markAsRead(threadId, messageId) {
+  async markAsRead(threadId, messageId, options = {}) {
     if (!this.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
-    return await this.messages.markAsRead(threadId, messageId);
+    return await this.messages.markAsRead(threadId, messageId, options);
   }
   
   /**
    * Send typing indicator
    */
-  async sendTyping(threadId, isTyping = true) {
+  async sendTyping(threadId, isTyping = true, options = {}) {
     if (!this.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
-    return await this.messages.sendTyping(threadId, isTyping);
+    return await this.messages.sendTyping(threadId, isTyping, options);
   }
   
   /**
    * React to a message
    */
-  async reactToMessage(messageId, reaction) {
+  async reactToMessage(messageId, reaction, options = {}) {
     if (!this.isAuthenticated) {
       throw new AuthError('Not authenticated');
     }
     
-    return await this.messages.reactToMessage(messageId, reaction);
+    return await this.messages.reactToMessage(messageId, reaction, options);
   }
   
   /**
@@ -226,33 +359,142 @@ class MessengerClient extends EventEmitter {
     return await this.messages.search(query, options);
   }
   
+  /**
+   * Update client state after a successful authentication and connect to WebSocket
+   */
+  async _handleAuthenticated(authResult) {
+    this.auth._transition(AuthStates.AUTHENTICATED, { userId: authResult.userId });
+    
+    this.isAuthenticated = true;
+    this.userId = authResult.userId;
+    this.sessionData = authResult.sessionData;
+    
+    // Connect to WebSocket for real-time updates
+    await this.websocket.connect();
+    
+    this.emit(EventTypes.CONNECTION, { 
+      status: 'connected', 
+      userId: this.userId 
+    });
+    
+    return authResult;
+  }
+  
+  /**
+   * Re-authenticate after the session expired
+   * Called by NetworkManager while it holds back pending requests
+   */
+  async _restoreSession(reason) {
+    const { sessionProvider, credentialProvider } = this.options;
+    
+    this.auth._transition(AuthStates.EXPIRED, { reason });
+    this.emit(EventTypes.SESSION_EXPIRED, { userId: this.userId, reason });
+    
+    try {
+      let authResult = null;
+      
+      // A stored session (e.g. refreshed by another process) is the cheapest option
+      if (typeof sessionProvider === 'function') {
+        const session = await sessionProvider(this.userId);
+        
+        if (session) {
+          this.auth.restoreSession(session);
+          
+          if (await this.auth.validateSession()) {
+            authResult = this.auth.getSessionResult();
+            this.auth._transition(AuthStates.AUTHENTICATED, { userId: authResult.userId });
+          }
+        }
+      }
+      
+      if (!authResult && typeof credentialProvider === 'function') {
+        const { credentials, method = AuthMethods.EMAIL } = await credentialProvider(this.sessionData);
+        authResult = await this.auth.authenticate(credentials, method);
+        
+        if (!authResult.success) {
+          throw new AuthError('Re-authentication requires a checkpoint to be completed');
+        }
+      }
+      
+      if (!authResult) {
+        throw new AuthError('Session expired and no session or credential provider is configured');
+      }
+      
+      this.userId = authResult.userId;
+      this.sessionData = authResult.sessionData;
+      
+      // Page tokens are derived from the user session
+      if (this.pages.activePage) {
+        this.pages.tokens.clear();
+        await this.pages.refreshActivePageToken();
+      }
+      
+      // Realtime connection still uses the old token
+      await this.websocket.disconnect();
+      try {
+        await this.websocket.connect();
+      } catch (error) {
+        this.log.warn('WebSocket reconnection after session restore failed', { reason, error });
+      }
+      
+      this.emit(EventTypes.SESSION_RESTORED, { userId: this.userId, reason });
+      
+      return authResult;
+    } catch (error) {
+      this.isAuthenticated = false;
+      this.emit(EventTypes.DISCONNECTION, { 
+        status: 'session_lost', 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Resolve the deviceProfile option into a DeviceProfile
+   */
+  _createDeviceProfile(profile) {
+    if (profile instanceof DeviceProfile) {
+      return profile;
+    }
+    
+    return profile ? DeviceProfile.fromJSON(profile) : DeviceProfile.generate();
+  }
+  
+  /**
+   * Tag realtime event data with the identity whose inbox it belongs to
+   */
+  _withIdentity(data) {
+    return { ...data, identity: this.websocket.identity || this.identity };
+  }
+  
   /**
    * Setup internal event listeners
    */
   _setupEventListeners() {
     // WebSocket events
     this.websocket.on(EventTypes.MESSAGE, (data) => {
-      this.emit(EventTypes.MESSAGE, data);
+      this.emit(EventTypes.MESSAGE, this._withIdentity(data));
     });
     
     this.websocket.on(EventTypes.DELIVERY, (data) => {
-      this.emit(EventTypes.DELIVERY, data);
+      this.emit(EventTypes.DELIVERY, this._withIdentity(data));
     });
     
     this.websocket.on(EventTypes.READ, (data) => {
-      this.emit(EventTypes.READ, data);
+      this.emit(EventTypes.READ, this._withIdentity(data));
     });
     
     this.websocket.on(EventTypes.TYPING, (data) => {
-      this.emit(EventTypes.TYPING, data);
+      this.emit(EventTypes.TYPING, this._withIdentity(data));
     });
     
     this.websocket.on(EventTypes.ONLINE, (data) => {
-      this.emit(EventTypes.ONLINE, data);
+      this.emit(EventTypes.ONLINE, this._withIdentity(data));
     });
     
     this.websocket.on(EventTypes.OFFLINE, (data) => {
-      this.emit(EventTypes.OFFLINE, data);
+      this.emit(EventTypes.OFFLINE, this._withIdentity(data));
     });
     
     // Connection events
@@ -284,6 +526,19 @@ class MessengerClient extends EventEmitter {
     };
   }
   
+  /**
+   * Get the statistics of every manager in one object
+   */
+  getStats() {
+    return {
+      network: this.network.getStats(),
+      messages: this.messages.getStats(),
+      chats: this.chats.getStats(),
+      contacts: this.contacts.getStats(),
+      pages: this.pages.getStats()
+    };
+  }
+  
   /**
    * Cleanup resources
    */
@@ -291,6 +546,7 @@ class MessengerClient extends EventEmitter {
     this.removeAllListeners();
     this.websocket.destroy();
     this.network.destroy();
+    this.metrics.destroy();
   }
 }
 
@@ -0,0 +1,436 @@
+/**
+ * MessengerClientPool - Manages many Messenger accounts from one process
+ * Logs accounts in lazily, persists their sessions and shares a global request cap
+ */
+
+const EventEmitter = require('events');
+const { EventTypes, AuthMethods } = require('../constants');
+const { MessengerError, AuthError } = require('../utils/errors');
+const { ConcurrencyLimiter } = require('../utils/limiter');
+const { MemorySessionStore } = require('../utils/sessions');
+const { createLogger } = require('../utils/logger');
+const MessengerClient = require('./MessengerClient');
+
+// Account health states
+const AccountStates = {
+  IDLE: 'idle',
+  LOGGING_IN: 'logging_in',
+  READY: 'ready',
+  CHALLENGE_REQUIRED: 'challenge_required',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed',
+  CLOSED: 'closed'
+};
+
+// Client events re-emitted by the pool, tagged with the account id
+const FORWARDED_EVENTS = [...Object.values(EventTypes), 'error'];
+
+class MessengerClientPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.options = {
+      maxConcurrentRequests: 10,
+      maxConcurrentLogins: 2,
+      clientOptions: {},
+      ...options
+    };
+    
+    this.sessionStore = this.options.sessionStore || new MemorySessionStore();
+    
+    // Clients log through children of the pool logger, tagged with their account id
+    this.logger = createLogger(this.options.logger, { level: this.options.logLevel });
+    this.log = this.logger.child({ component: 'pool' });
+    
+    // Shared by every client so the whole pool stays under one request cap
+    this.requestLimiter = new ConcurrencyLimiter(this.options.maxConcurrentRequests);
+    this.loginLimiter = new ConcurrencyLimiter(this.options.maxConcurrentLogins);
+    
+    this.accounts = new Map();
+    this.isShutdown = false;
+  }
+  
+  /**
+   * Register an account; it is logged in on first use
+   * config: { credentials, method, session, proxy, clientOptions }
+   */
+  addAccount(accountId, config = {}) {
+    if (this.isShutdown) {
+      throw new MessengerError('Pool has been shut down');
+    }
+    
+    if (this.accounts.has(accountId)) {
+      throw new MessengerError(`Account ${accountId} is already registered`);
+    }
+    
+    const account = {
+      id: accountId,
+      config,
+      client: null,
+      state: AccountStates.IDLE,
+      loginPromise: null,
+      lastError: null,
+      lastActivity: null
+    };
+    
+    this.accounts.set(accountId, account);
+    
+    return this;
+  }
+  
+  /**
+   * Unregister an account, disconnecting its client
+   */
+  async removeAccount(accountId, options = {}) {
+    const account = this._getAccount(accountId);
+    
+    await this._closeAccount(account);
+    this.accounts.delete(accountId);
+    
+    if (options.forgetSession) {
+      await this.sessionStore.remove(accountId);
+    }
+  }
+  
+  /**
+   * Check if an account is registered
+   */
+  hasAccount(accountId) {
+    return this.accounts.has(accountId);
+  }
+  
+  /**
+   * Get the ids of all registered accounts
+   */
+  getAccountIds() {
+    return Array.from(this.accounts.keys());
+  }
+  
+  /**
+   * Get an authenticated client, logging the account in if needed
+   */
+  async getClient(accountId) {
+    const account = this._getAccount(accountId);
+    
+    if (account.state === AccountStates.CLOSED) {
+      throw new MessengerError(`Account ${accountId} has been closed`);
+    }
+    
+    account.lastActivity = Date.now();
+    
+    if (account.client && account.client.isAuthenticated) {
+      return account.client;
+    }
+    
+    // Concurrent callers share a single login
+    if (!account.loginPromise) {
+      account.loginPromise = this.loginLimiter
+        .run(() => this._login(account))
+        .finally(() => {
+          account.loginPromise = null;
+        });
+    }
+    
+    return await account.loginPromise;
+  }
+  
+  /**
+   * Run a task with an account's client
+   */
+  async withClient(accountId, task) {
+    const client = await this.getClient(accountId);
+    return await task(client);
+  }
+  
+  /**
+   * Log in every registered account up front instead of lazily
+   */
+  async connectAll() {
+    const results = await Promise.allSettled(
+      this.getAccountIds().map(accountId => this.getClient(accountId))
+    );
+    
+    return this.getAccountIds().reduce((summary, accountId, index) => {
+      summary[accountId] = results[index].status === 'fulfilled'
+        ? { success: true }
+        : { success: false, error: results[index].reason.message };
+      return summary;
+    }, {});
+  }
+  
+  /**
+   * Persist the current session of an account
+   */
+  async saveSession(accountId) {
+    const account = this._getAccount(accountId);
+    
+    if (!account.client || !account.client.isAuthenticated) {
+      return false;
+    }
+    
+    await this.sessionStore.save(accountId, account.client.exportSession());
+    return true;
+  }
+  
+  /**
+   * Get health information for one account, or all of them
+   */
+  getHealth(accountId) {
+    if (accountId !== undefined) {
+      return this._getAccountHealth(this._getAccount(accountId));
+    }
+    
+    const accounts = Array.from(this.accounts.values()).map(account => this._getAccountHealth(account));
+    
+    return {
+      total: accounts.length,
+      ready: accounts.filter(account => account.state === AccountStates.READY).length,
+      failed: accounts.filter(account => account.state === AccountStates.FAILED).length,
+      requests: this.requestLimiter.getStats(),
+      logins: this.loginLimiter.getStats(),
+      accounts
+    };
+  }
+  
+  /**
+   * Save all sessions and disconnect every client
+   * Accounts are not logged out so the saved sessions stay valid
+   */
+  async shutdown() {
+    if (this.isShutdown) {
+      return;
+    }
+    
+    this.isShutdown = true;
+    
+    // Let pending logins settle so their sessions get saved too
+    await Promise.allSettled(
+      Array.from(this.accounts.values())
+        .filter(account => account.loginPromise)
+        .map(account => account.loginPromise)
+    );
+    
+    await Promise.allSettled(
+      Array.from(this.accounts.values()).map(account => this._closeAccount(account))
+    );
+    
+    this.emit('shutdown', { accounts: this.accounts.size });
+  }
+  
+  /**
+   * Destroy every client right away, aborting their requests
+   * Unlike shutdown(), sessions are not saved
+   */
+  destroy() {
+    this.isShutdown = true;
+    
+    this.accounts.forEach(account => {
+      if (account.client) {
+        account.client.destroy();
+        account.client = null;
+      }
+      this._setState(account, AccountStates.CLOSED);
+    });
+    
+    this.removeAllListeners();
+  }
+  
+  /**
+   * Log an account in from its stored session, falling back to its credentials
+   */
+  async _login(account) {
+    if (this.isShutdown) {
+      throw new MessengerError('Pool has been shut down');
+    }
+    
+    const client = account.client || this._createClient(account);
+    account.client = client;
+    this._setState(account, AccountStates.LOGGING_IN);
+    
+    try {
+      const session = account.config.session || await this.sessionStore.load(account.id);
+      let result;
+      
+      if (session) {
+        result = await client.loginWithSession(session);
+      } else if (account.config.credentials) {
+        result = await client.login(account.config.credentials, account.config.method || AuthMethods.EMAIL);
+      } else {
+        throw new AuthError(`No session or credentials available for account ${account.id}`);
+      }
+      
+      // Only use the inline session once, later logins go through the store
+      account.config.session = null;
+      
+      if (!result.success) {
+        this._setState(account, AccountStates.CHALLENGE_REQUIRED);
+        throw new AuthError(`Account ${account.id} requires a login checkpoint to be completed`);
+      }
+      
+      await this.sessionStore.save(account.id, client.exportSession());
+      
+      account.lastError = null;
+      this._setState(account, AccountStates.READY);
+      
+      return client;
+    } catch (error) {
+      account.lastError = error.message;
+      
+      if (account.state !== AccountStates.CHALLENGE_REQUIRED) {
+        this._setState(account, AccountStates.FAILED);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Create a client wired to the pool's limiter, session store and event stream
+   */
+  _createClient(account) {
+    const { credentials, method = AuthMethods.EMAIL, proxy } = account.config;
+    
+    const client = new MessengerClient({
+      logger: this.logger.child({ accountId: account.id }),
+      ...this.options.clientOptions,
+      ...account.config.clientOptions,
+      ...(proxy ? { proxy } : {}),
+      requestLimiter: this.requestLimiter,
+      sessionProvider: () => this.sessionStore.load(account.id),
+      credentialProvider: credentials ? () => ({ credentials, method }) : undefined
+    });
+    
+    FORWARDED_EVENTS.forEach(event => {
+      client.on(event, (data) => this._forwardEvent(account, event, data));
+    });
+    
+    client.on(EventTypes.CONNECTION, (data) => {
+      if (data.status === 'connected' && account.state === AccountStates.CHALLENGE_REQUIRED) {
+        // Checkpoint was completed through the forwarded challenge
+        this._saveRestoredSession(account, AccountStates.READY);
+      }
+    });
+    
+    client.on(EventTypes.SESSION_EXPIRED, () => {
+      this._setState(account, AccountStates.RECONNECTING);
+    });
+    
+    client.on(EventTypes.SESSION_RESTORED, () => {
+      this._saveRestoredSession(account, AccountStates.READY);
+    });
+    
+    client.on(EventTypes.DISCONNECTION, (data) => {
+      if (data.status === 'session_lost') {
+        account.lastError = data.error;
+        this._setState(account, AccountStates.FAILED);
+      }
+    });
+    
+    return client;
+  }
+  
+  /**
+   * Persist a session obtained outside of _login
+   */
+  async _saveRestoredSession(account, state) {
+    account.lastError = null;
+    this._setState(account, state);
+    
+    try {
+      await this.sessionStore.save(account.id, account.client.exportSession());
+    } catch (error) {
+      this.log.warn('Failed to save session', { accountId: account.id, error });
+    }
+  }
+  
+  /**
+   * Re-emit a client event tagged with its account id
+   */
+  _forwardEvent(account, event, data) {
+    if (event === 'error') {
+      account.lastError = data && data.message;
+      
+      // Unhandled 'error' events would crash the process
+      if (this.listenerCount('error') === 0) {
+        return;
+      }
+    }
+    
+    this.emit(event, { accountId: account.id, data });
+  }
+  
+  /**
+   * Save the session of an account and release its client
+   */
+  async _closeAccount(account) {
+    if (account.state === AccountStates.CLOSED) {
+      return;
+    }
+    
+    const { client } = account;
+    
+    if (client) {
+      if (client.isAuthenticated) {
+        try {
+          await this.sessionStore.save(account.id, client.exportSession());
+        } catch (error) {
+          this.log.warn('Failed to save session', { accountId: account.id, error });
+        }
+      }
+      
+      try {
+        await client.websocket.disconnect();
+      } catch (error) {
+        this.log.warn('Failed to disconnect account', { accountId: account.id, error });
+      }
+      
+      client.destroy();
+    }
+    
+    account.client = null;
+    this._setState(account, AccountStates.CLOSED);
+  }
+  
+  /**
+   * Update the health state of an account
+   */
+  _setState(account, state) {
+    if (account.state === state) {
+      return;
+    }
+    
+    const previousState = account.state;
+    account.state = state;
+    
+    this.emit('account_state', { accountId: account.id, state, previousState });
+  }
+  
+  /**
+   * Get health information for an account
+   */
+  _getAccountHealth(account) {
+    return {
+      accountId: account.id,
+      state: account.state,
+      lastError: account.lastError,
+      lastActivity: account.lastActivity,
+      status: account.client ? account.client.getStatus() : null
+    };
+  }
+  
+  /**
+   * Look up a registered account
+   */
+  _getAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    
+    if (!account) {
+      throw new MessengerError(`Unknown account: ${accountId}`);
+    }
+    
+    return account;
+  }
+}
+
+MessengerClientPool.AccountStates = AccountStates;
+
+module.exports = MessengerClientPool;
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * MetricsManager - Collects client health metrics
+ * Request latency, errors, reconnects, message throughput, queue depth and cache hit rates,
+ * rendered in the Prometheus text format or served from a local HTTP listener
+ */
+
+const http = require('http');
+const { EventTypes } = require('../constants');
+const { MessengerError } = require('../utils/errors');
+const { MetricsRegistry, CONTENT_TYPE, DEFAULT_BUCKETS } = require('../utils/metrics');
+
+const DEFAULT_METRICS = {
+  prefix: 'messenger_', // Prepended to every metric name
+  labels: {}, // Added to every sample, e.g. { account: 'support' }
+  buckets: DEFAULT_BUCKETS // Request latency histogram buckets in seconds
+};
+
+// Label of requests that are not GraphQL operations
+const REST_OPERATION = 'rest';
+
+// Messages per minute are counted over a sliding window
+const MESSAGE_WINDOW = 60 * 1000;
+
+class MetricsManager {
+  constructor(client) {
+    this.client = client;
+    
+    const options = client.options.metrics;
+    this.enabled = options !== false;
+    this.options = { ...DEFAULT_METRICS, ...(options || {}) };
+    
+    this.registry = new MetricsRegistry({ prefix: this.options.prefix, labels: this.options.labels });
+    this.server = null;
+    
+    // Send and receive times within the last minute
+    this.messageTimes = {
+      sent: [],
+      received: []
+    };
+    
+    this._defineMetrics();
+    this._setupEventListeners();
+  }
+  
+  /**
+   * Register the client metrics
+   */
+  _defineMetrics() {
+    const { registry } = this;
+    
+    this.requestDuration = registry.histogram(
+      'request_duration_seconds',
+      'Request latency by GraphQL operation, retries included',
+      ['operation', 'outcome'],
+      this.options.buckets
+    );
+    this.retries = registry.counter('request_retries_total', 'Request attempts retried', ['operation']);
+    this.errors = registry.counter('errors_total', 'Errors by component and error class', ['component', 'error']);
+    this.reconnects = registry.counter('websocket_reconnects_total', 'WebSocket reconnection attempts');
+    this.messages = registry.counter('messages_total', 'Messages sent and received', ['direction']);
+    this.cacheLookups = registry.counter('cache_lookups_total', 'Cache lookups by cache and result', ['cache', 'result']);
+    
+    registry.gauge('messages_per_minute', 'Messages sent and received in the last minute', ['direction'], (gauge) => {
+      Object.keys(this.messageTimes).forEach(direction => {
+        gauge.set({ direction }, this._countRecent(direction));
+      });
+    });
+    
+    registry.gauge('websocket_connected', 'Whether the WebSocket is connected', [], (gauge) => {
+      gauge.set({}, this.client.websocket.isConnected ? 1 : 0);
+    });
+    
+    registry.gauge('request_queue_depth', 'Requests waiting for a slot by priority', ['priority'], (gauge) => {
+      const { priorities } = this.client.network.scheduler.getStats();
+      Object.keys(priorities).forEach(priority => {
+        gauge.set({ priority }, priorities[priority].queued);
+      });
+    });
+    
+    registry.gauge('requests_active', 'Requests in flight', [], (gauge) => {
+      gauge.set({}, this.client.network.scheduler.getStats().active);
+    });
+    
+    registry.gauge('message_queue_depth', 'Messages waiting to be sent', [], (gauge) => {
+      gauge.set({}, this.client.messages.messageQueue.length);
+    });
+    
+    registry.gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache', ['cache'], (gauge) => {
+      const totals = {};
+      
+      this.cacheLookups.series.forEach(({ labels, value }) => {
+        totals[labels.cache] = totals[labels.cache] || { hit: 0, all: 0 };
+        totals[labels.cache].all += value;
+        if (labels.result === 'hit') {
+          totals[labels.cache].hit += value;
+        }
+      });
+      
+      Object.keys(totals).forEach(cache => {
+        gauge.set({ cache }, totals[cache].all > 0 ? totals[cache].hit / totals[cache].all : 0);
+      });
+    });
+  }
+  
+  /**
+   * Count messages and WebSocket reconnects and errors as they happen
+   */
+  _setupEventListeners() {
+    this.client.on('messageSent', () => this._recordMessage('sent'));
+    this.client.websocket.on(EventTypes.MESSAGE, () => this._recordMessage('received'));
+    this.client.websocket.on('reconnecting', () => {
+      if (this.enabled) {
+        this.reconnects.inc();
+      }
+    });
+    this.client.websocket.on('error', (error) => this.recordError('websocket', error));
+  }
+  
+  /**
+   * Record a finished request, labelled by its GraphQL operation (REST requests share one label)
+   */
+  observeRequest(operation, duration, error = null) {
+    if (!this.enabled) {
+      return;
+    }
+    
+    this.requestDuration.observe({
+      operation: operation || REST_OPERATION,
+      outcome: error ? 'error' : 'success'
+    }, duration / 1000);
+    
+    if (error) {
+      this.recordError('network', error);
+    }
+  }
+  
+  /**
+   * Record a request attempt that is retried
+   */
+  recordRetry(operation) {
+    if (this.enabled) {
+      this.retries.inc({ operation: operation || REST_OPERATION });
+    }
+  }
+  
+  /**
+   * Record an error by its class
+   */
+  recordError(component, error) {
+    if (this.enabled) {
+      this.errors.inc({ component, error: (error && error.name) || 'Error' });
+    }
+  }
+  
+  /**
+   * Record a cache lookup and pass its result through
+   */
+  trackCache(cache, hit) {
+    if (this.enabled) {
+      this.cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+    }
+    
+    return hit;
+  }
+  
+  /**
+   * Count a sent or received message
+   */
+  _recordMessage(direction) {
+    if (!this.enabled) {
+      return;
+    }
+    
+    this.messages.inc({ direction });
+    this.messageTimes[direction].push(Date.now());
+    this._countRecent(direction);
+  }
+  
+  /**
+   * Drop message times older than the window and count the rest
+   */
+  _countRecent(direction, now = Date.now()) {
+    const times = this.messageTimes[direction];
+    
+    while (times.length > 0 && times[0] <= now - MESSAGE_WINDOW) {
+      times.shift();
+    }
+    
+    return times.length;
+  }
+  
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    return this.enabled ? this.registry.render() : '';
+  }
+  
+  /**
+   * Forget every recorded value
+   */
+  reset() {
+    this.registry.reset();
+    this.messageTimes.sent = [];
+    this.messageTimes.received = [];
+  }
+  
+  /**
+   * Serve the metrics over HTTP for Prometheus to scrape
+   * Listens on localhost by default, resolves to the bound { host, port }
+   */
+  async listen(options = {}) {
+    if (this.server) {
+      throw new MessengerError('Metrics listener is already running');
+    }
+    
+    const { port = 9464, host = '127.0.0.1', path = '/metrics' } = options;
+    
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.statusCode = 404;
+        res.end('Not Found\n');
+        return;
+      }
+      
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.end(this.render());
+    });
+    
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+    } catch (error) {
+      throw new MessengerError(`Failed to start metrics listener: ${error.message}`);
+    }
+    
+    this.server = server;
+    const address = server.address();
+    
+    return { host: address.address, port: address.port };
+  }
+  
+  /**
+   * Stop the HTTP listener
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+  
+  /**
+   * Release resources
+   */
+  destroy() {
+    this.close();
+  }
+}
+
+module.exports = MetricsManager;
\ No newline at end of file
@@ -4,21 +4,58 @@
  */
 
 const axios = require('axios');
-const { Protocol } = require('../constants');
-const { NetworkError } = require('../utils/errors');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Protocol, Endpoints, EventTypes, RequestPriorities, CircuitStates } = require('../constants');
+const { MessengerError, NetworkError, AuthError, RateLimitError } = require('../utils/errors');
+const { createAbortError, throwIfAborted, abortable, abortableWait, linkSignals } = require('../utils/abort');
+const { RateLimiter } = require('../utils/ratelimit');
+const { RequestScheduler, PRIORITY_ORDER } = require('../utils/scheduler');
+const { QueryRegistry } = require('../utils/graphql');
+const { createRecorder } = require('../utils/recorder');
+const { compose } = require('../utils/middleware');
+const { CircuitBreakerRegistry } = require('../utils/circuit');
+const { RequestBatcher, stableStringify } = require('../utils/batcher');
+const { SpanKind, SpanStatusCode } = require('../utils/tracing');
+const { redactUrl } = require('../utils/redact');
+const { getOptimalSettings } = require('../utils/device');
+const { parseProxy, createProxyAgent, describeProxy, getProxyErrorDetails } = require('../utils/proxy');
+
+// GraphQL error codes meaning the access token or session is no longer valid
+const SESSION_ERROR_CODES = [102, 190, 460, 463, 467];
+
+// Login flows talk to these endpoints while unauthenticated, never guard them
+const AUTH_ENDPOINTS = [
+  Endpoints.LOGIN,
+  Endpoints.LOGIN_2FA,
+  Endpoints.LOGIN_QR,
+  Endpoints.LOGIN_QR_STATUS,
+  Endpoints.LOGIN_CODE_SEND,
+  Endpoints.LOGIN_CODE_VERIFY
+];
+
+// Requests issued while restoring a session bypass the guard that is waiting on them
+const sessionRestoreContext = new AsyncLocalStorage();
 
 class NetworkManager {
   constructor(client) {
     this.client = client;
+    this.log = client.logger.child({ component: 'network' });
+    
+    // Proxy agent shared by HTTP requests and the WebSocket handshake
+    this.proxy = parseProxy(client.options.proxy);
+    this.proxyAgent = createProxyAgent(this.proxy);
+    
+    // Records traffic into a fixture, or answers requests from one
+    this.recorder = createRecorder(client.options.recording);
     
     // Create axios instance with default configuration
     this.axios = axios.create({
+      ...this._getProxyConfig(),
+      ...(this.recorder ? { adapter: this.recorder.createAdapter() } : {}),
       timeout: 30000,
       maxRedirects: 5,
       validateStatus: (status) => status < 500, // Accept all status codes < 500
       headers: {
-        'User-Agent': Protocol.USER_AGENT,
-        'Accept-Language': Protocol.ACCEPT_LANGUAGE,
         'Accept': 'application/json, text/plain, */*',
         'Accept-Encoding': 'gzip, deflate, br',
         'DNT': '1',
@@ -34,6 +71,44 @@ class NetworkManager {
     this.maxRetries = Protocol.MAX_RETRIES;
     this.retryDelay = Protocol.RETRY_DELAY;
     
+    // Token buckets per endpoint group, honoring the server's Retry-After
+    this.rateLimiter = new RateLimiter(client.options.rateLimits);
+    
+    // Priority scheduler capping how many requests run at once
+    this.scheduler = new RequestScheduler({
+      maxConcurrent: client.options.maxConcurrentRequests || getOptimalSettings().maxConcurrentRequests,
+      defaultPriority: client.options.defaultRequestPriority
+    });
+    
+    // Circuit breakers per host and GraphQL operation, failing fast while an endpoint is down
+    this.circuits = new CircuitBreakerRegistry(client.options.circuitBreaker, (circuit, previous) => {
+      this._onCircuitChange(circuit, previous);
+    });
+    
+    // GraphQL operations, sent as documents or persisted doc_ids
+    this.queries = new QueryRegistry(client.options.graphql);
+    
+    // Identical queries in flight are shared, queries issued in the same tick go out as one batch
+    this.batcher = new RequestBatcher(client.options.batching, {
+      execute: (request) => this._sendGraphQL(request.operation, request.payload, request.options),
+      executeBatch: (requests) => this._sendGraphQLBatch(requests)
+    });
+    
+    // Session guard
+    this.sessionGuardEnabled = client.options.sessionGuard !== false;
+    this.sessionRestorePromise = null;
+    this.previousTokens = null;
+    
+    // Concurrency limiter, shared between clients of a MessengerClientPool
+    this.requestLimiter = client.options.requestLimiter || null;
+    
+    // Aborted by destroy() to cancel everything in flight
+    this.abortController = new AbortController();
+    
+    // Middlewares registered with use(), run around every attempt
+    this.middleware = [];
+    this.pipeline = compose([]);
+    
     // Setup interceptors
     this._setupInterceptors();
   }
@@ -74,39 +149,274 @@ class NetworkManager {
   }
   
   /**
-   * Main request method with retry logic
+   * Run a registered GraphQL operation
+   * Options: accessToken (sent in the body), endpoint, persisted, plus the usual request options.
+   * Queries go through the batcher: identical ones in flight are shared, and the ones issued in the
+   * same tick are sent as one batch. A cancelled caller stops waiting, the shared request carries on.
+   */
+  async graphql(operation, variables = {}, options = {}) {
+    return await this.client.tracer.trace(`graphql ${operation}`, {
+      kind: SpanKind.CLIENT,
+      attributes: { 'graphql.operation.name': operation }
+    }, () => this._observe(operation, () => this._requestGraphQL(operation, variables, options)));
+  }
+  
+  /**
+   * Build a GraphQL request and send it on its own or as part of a batch
+   */
+  async _requestGraphQL(operation, variables, options) {
+    const { accessToken, endpoint = Endpoints.GRAPHQL, persisted, ...requestOptions } = options;
+    const payload = this.queries.build(operation, variables, { persisted });
+    
+    if (accessToken !== undefined) {
+      payload.access_token = accessToken;
+    }
+    
+    if (!this._canBatch(operation, requestOptions)) {
+      return await this._sendGraphQL(operation, payload, { ...requestOptions, endpoint });
+    }
+    
+    throwIfAborted(options.signal, `GraphQL ${operation}`);
+    
+    const { headers = {}, priority, queueKey } = requestOptions;
+    const request = {
+      operation,
+      payload,
+      options: { endpoint, headers, priority, queueKey },
+      key: stableStringify([endpoint, headers, payload]),
+      group: this._getBatchGroup(endpoint, headers)
+    };
+    
+    return await abortable(this.batcher.load(request), options.signal, `GraphQL ${operation}`);
+  }
+  
+  /**
+   * Send a GraphQL payload on its own
+   */
+  async _sendGraphQL(operation, payload, options) {
+    const { endpoint, ...requestOptions } = options;
+    return await this.post(endpoint, payload, { ...requestOptions, operation });
+  }
+  
+  /**
+   * Send queued GraphQL payloads as one Graph API batch and split the results
+   * Items rejected for an expired session are sent again on their own so the session guard sees them
+   */
+  async _sendGraphQLBatch(requests) {
+    const [{ options: { endpoint, headers } }] = requests;
+    const priority = requests
+      .map(request => request.options.priority)
+      .sort((a, b) => this._getPriorityRank(a) - this._getPriorityRank(b))[0];
+    
+    // A batch for a single thread keeps its fairness key, a mixed batch uses the shared queue
+    const queueKeys = new Set(requests.map(request => request.options.queueKey));
+    const queueKey = queueKeys.size === 1 ? requests[0].options.queueKey : undefined;
+    
+    const results = await this.batchRequest(requests.map((request, index) => ({
+      method: 'POST',
+      url: new URL(request.options.endpoint).pathname.slice(1),
+      data: request.payload,
+      name: `${request.operation}_${index}`
+    })), { endpoint: new URL('/', endpoint).toString(), headers, priority, queueKey });
+    
+    return await Promise.all(requests.map(async (request, index) => {
+      const item = results[index];
+      const response = {
+        status: item.code,
+        statusText: '',
+        headers: item.headers.reduce((map, header) => ({ ...map, [header.name.toLowerCase()]: header.value }), {}),
+        data: item.body,
+        config: { method: 'post', url: request.options.endpoint, batched: true }
+      };
+      
+      try {
+        if (item.code === null) {
+          throw new NetworkError(`Batched request did not complete: ${request.operation}`, { url: request.options.endpoint, method: 'post' });
+        }
+        
+        if (this.sessionGuardEnabled && this._isSessionExpired(response)) {
+          return { value: await this._sendGraphQL(request.operation, request.payload, request.options) };
+        }
+        
+        return { value: this._handleResponse(response, {}) };
+      } catch (error) {
+        return { error };
+      }
+    }));
+  }
+  
+  /**
+   * Check if a GraphQL call can be shared and batched
+   * Mutations and calls with options a batch cannot honor (timeouts, response types) go out on their own,
+   * so do calls restoring the session: a batch flushed by a held caller would wait on the restore itself
+   */
+  _canBatch(operation, requestOptions) {
+    if (!this.batcher.enabled || !this.queries.isQuery(operation) || sessionRestoreContext.getStore()) {
+      return false;
+    }
+    
+    return Object.keys(requestOptions).every(key => ['headers', 'signal', 'priority', 'queueKey'].includes(key));
+  }
+  
+  /**
+   * Get the batch a request can join: same Graph API host and same headers
+   */
+  _getBatchGroup(endpoint, headers) {
+    const url = new URL(endpoint);
+    
+    // Requests on the batch host itself cannot be addressed by a relative_url
+    if (url.pathname === '/') {
+      return null;
+    }
+    
+    return stableStringify([url.origin, headers]);
+  }
+  
+  /**
+   * Rank a priority for picking the most urgent one, unknown and unset priorities rank last
+   */
+  _getPriorityRank(priority) {
+    const rank = PRIORITY_ORDER.indexOf(priority);
+    return rank === -1 ? PRIORITY_ORDER.length : rank;
+  }
+  
+  /**
+   * Add a middleware, async (ctx, next) => {}
+   * Middlewares run in the order they were added, around every attempt of every request.
+   * Before `await next()` they can change ctx.method, ctx.url, ctx.data and ctx.headers;
+   * after it they can read or replace ctx.response. Setting ctx.response without calling
+   * next() answers the request without sending it. Errors surface from `await next()`.
+   * Returns a function that removes the middleware again.
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    
+    this.middleware.push(middleware);
+    this.pipeline = compose(this.middleware.slice());
+    
+    return () => {
+      const index = this.middleware.indexOf(middleware);
+      if (index !== -1) {
+        this.middleware.splice(index, 1);
+        this.pipeline = compose(this.middleware.slice());
+      }
+    };
+  }
+  
+  /**
+   * Main request method
+   * Cancelled by options.signal or by destroy()
    */
   async _makeRequest(method, url, data, options) {
+    const { signal, dispose } = linkSignals(options.signal, this.abortController.signal);
+    
+    try {
+      throwIfAborted(signal, `${method} ${url}`);
+      
+      // GraphQL requests are already timed by graphql(), with their operation name
+      const send = () => this._executeRequest(method, url, data, options, signal);
+      return await this.client.tracer.trace(`HTTP ${method}`, {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'http.request.method': method,
+          'url.full': redactUrl(url),
+          'graphql.operation.name': options.operation
+        }
+      }, () => (options.operation ? send() : this._observe(null, send)));
+    } finally {
+      dispose();
+    }
+  }
+  
+  /**
+   * Send a request with retry logic
+   */
+  async _executeRequest(method, url, data, options, signal) {
     const requestId = ++this.requestCount;
     let lastError = null;
+    let expiredResponse = null;
+    
+    // Hold new requests while an expired session is being restored
+    if (this.sessionRestorePromise && !sessionRestoreContext.getStore()) {
+      await this.client.tracer.trace('session.restore_wait', {}, () => (
+        abortable(this.sessionRestorePromise, signal, `${method} ${url}`)
+      ));
+      data = this._withCurrentToken(data);
+      options = { ...options, headers: this._withCurrentToken(options.headers, true) };
+    }
     
-    // Apply rate limiting
-    await this._applyRateLimit();
+    const bucket = this.rateLimiter.resolveBucket(url);
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        // Prepare request configuration
-        const config = this._prepareRequestConfig(method, url, data, options);
-        
-        // Make request
-        const response = await this.axios.request(config);
+        // Middlewares wrap each attempt, a short-circuited request never queues or hits the network
+        const ctx = this._createContext(requestId, attempt, method, url, data, options, signal);
+        const response = await this.client.tracer.trace('network.attempt', {
+          attributes: { 'messenger.request_id': requestId, 'messenger.attempt': attempt }
+        }, async (span) => {
+          try {
+            await this.pipeline(ctx, () => this._send(ctx, bucket, signal));
+          } catch (error) {
+            span.setAttribute('http.response.status_code', error.response && error.response.status);
+            throw error;
+          }
+          
+          const response = this._getContextResponse(ctx);
+          
+          span.setAttribute('http.response.status_code', response.status);
+          if (response.status >= 400) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+          }
+          
+          return response;
+        });
         
         // Update request tracking
         this._updateRequestTracking();
         
+        if (response.status === 429) {
+          throw this._createRateLimitError(response, bucket);
+        }
+        this.rateLimiter.update(bucket, response.headers);
+        
+        if (this._shouldGuardSession(url, options) && this._isSessionExpired(response)) {
+          expiredResponse = response;
+          break;
+        }
+        
         // Handle response
         return this._handleResponse(response, options);
         
       } catch (error) {
+        // Cancelled requests are never retried
+        if (signal.aborted) {
+          throw createAbortError(signal, `${method} ${url}`);
+        }
+        
         lastError = error;
         
         // Check if we should retry
         if (this._shouldRetry(error, attempt)) {
-          console.warn(`Request ${requestId} failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
-          
-          // Wait before retry
+          this.log.warn('Request failed, retrying', {
+            requestId,
+            attempt,
+            maxRetries: this.maxRetries,
+            method,
+            url,
+            operation: options.operation,
+            error
+          });
           if (attempt < this.maxRetries) {
-            await this._wait(this.retryDelay * attempt);
+            this.client.metrics.recordRetry(options.operation);
+          }
+          
+          // Wait before retry, rate limited requests already wait on their bucket
+          if (attempt < this.maxRetries && !(error instanceof RateLimitError)) {
+            await this.client.tracer.trace('network.retry_wait', {
+              attributes: { 'messenger.attempt': attempt, 'messenger.delay_ms': this.retryDelay * attempt }
+            }, () => this._wait(this.retryDelay * attempt, signal));
           }
         } else {
           break;
@@ -114,21 +424,330 @@ class NetworkManager {
       }
     }
     
+    if (expiredResponse) {
+      return await this._replayAfterSessionRestore(method, url, data, options, expiredResponse, signal);
+    }
+    
     // All retries failed
     throw this._createNetworkError(lastError, url, method);
   }
   
+  /**
+   * Send the request described by a middleware context
+   */
+  async _send(ctx, bucket, signal) {
+    // Fail fast while the endpoint's circuit is open
+    const circuit = this.circuits.acquire(ctx.url, ctx.operation);
+    
+    try {
+      ctx.response = await this._dispatch(ctx, bucket, signal);
+    } catch (error) {
+      if (circuit) {
+        this._recordCircuitFailure(circuit, error, ctx, signal);
+      }
+      throw error;
+    }
+    
+    if (circuit) {
+      circuit.onSuccess();
+    }
+    
+    return ctx.response;
+  }
+  
+  /**
+   * Time a request for the metrics, labelled by its GraphQL operation
+   */
+  async _observe(operation, send) {
+    const startTime = Date.now();
+    
+    try {
+      const response = await send();
+      this.client.metrics.observeRequest(operation, Date.now() - startTime);
+      return response;
+    } catch (error) {
+      this.client.metrics.observeRequest(operation, Date.now() - startTime, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Queue, rate limit and send a request
+   */
+  async _dispatch(ctx, bucket, signal) {
+    const { tracer } = this.client;
+    const scheduleOptions = this._getScheduleOptions(ctx.options, signal);
+    
+    // Tasks start from whichever request freed the slot, so the span is carried over explicitly
+    const span = tracer.getActiveSpan();
+    const queueSpan = tracer.startSpan('network.queue', { attributes: { 'messenger.priority': scheduleOptions.priority } });
+    
+    try {
+      // Each attempt queues by priority, retry delays don't hold a slot
+      return await this.scheduler.run(() => tracer.withSpan(span, async () => {
+        queueSpan.end();
+        
+        // Apply rate limiting, retries wait here for the server's Retry-After
+        await tracer.trace('network.rate_limit', {
+          attributes: { 'messenger.bucket': bucket }
+        }, () => this._applyRateLimit(bucket, signal));
+        
+        // Prepare request configuration
+        const config = this._prepareRequestConfig(ctx.method, ctx.url, ctx.data, { ...ctx.options, headers: ctx.headers });
+        config.signal = signal;
+        config.metadata = { requestId: ctx.requestId, attempt: ctx.attempt, operation: ctx.operation };
+        ctx.config = config;
+        
+        // Make request
+        return await tracer.trace('network.send', {}, async () => (
+          this.requestLimiter
+            ? await this.requestLimiter.run(() => this.axios.request(config), signal)
+            : await this.axios.request(config)
+        ));
+      }), scheduleOptions);
+    } finally {
+      // Cancelled while still queued
+      queueSpan.end();
+    }
+  }
+  
+  /**
+   * Count a failed attempt against its circuit
+   * Only errors that mark the endpoint as unhealthy (isRetryable()) count, rate limits and
+   * cancelled requests say nothing about its health
+   */
+  _recordCircuitFailure(circuit, error, ctx, signal) {
+    const wrapped = this._createNetworkError(error, ctx.url, ctx.method);
+    
+    if (!signal.aborted && !(wrapped instanceof RateLimitError) && wrapped.isRetryable()) {
+      circuit.onFailure();
+    } else {
+      circuit.release();
+    }
+  }
+  
+  /**
+   * Tell the client when a circuit opens or closes
+   */
+  _onCircuitChange(circuit, previousState) {
+    const details = {
+      circuit: circuit.key,
+      previousState,
+      ...circuit.getState()
+    };
+    
+    if (circuit.state === CircuitStates.OPEN) {
+      this.log.warn('Circuit opened, failing fast', details);
+      this.client.emit(EventTypes.CIRCUIT_OPEN, details);
+    } else if (circuit.state === CircuitStates.CLOSED) {
+      this.log.info('Circuit closed', details);
+      this.client.emit(EventTypes.CIRCUIT_CLOSED, details);
+    }
+  }
+  
+  /**
+   * Create the context middlewares see for one attempt
+   */
+  _createContext(requestId, attempt, method, url, data, options, signal) {
+    return {
+      client: this.client,
+      requestId,
+      attempt,
+      method,
+      url,
+      data,
+      headers: { ...options.headers },
+      operation: options.operation || null,
+      options,
+      signal,
+      state: {},
+      config: null,
+      response: null
+    };
+  }
+  
+  /**
+   * Get the response a middleware pipeline ended with
+   * Responses set by middlewares get the fields the rest of the client relies on
+   */
+  _getContextResponse(ctx) {
+    if (!ctx.response) {
+      throw new MessengerError(`Middleware finished without a response: ${ctx.method} ${ctx.url}`);
+    }
+    
+    if (ctx.response.config) {
+      return ctx.response;
+    }
+    
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      data: null,
+      ...ctx.response,
+      config: { method: ctx.method.toLowerCase(), url: ctx.url }
+    };
+  }
+  
+  /**
+   * Restore the expired session, then replay the request with the new token
+   */
+  async _replayAfterSessionRestore(method, url, data, options, response, signal) {
+    if (options.sessionReplayed) {
+      throw new AuthError('Request rejected again after restoring the session', {
+        statusCode: response.status,
+        url,
+        method
+      });
+    }
+    
+    await abortable(this._restoreSession(this._getSessionExpiryReason(response)), signal, `${method} ${url}`);
+    
+    return await this._makeRequest(method, url, this._withCurrentToken(data), {
+      ...options,
+      headers: this._withCurrentToken(options.headers, true),
+      sessionReplayed: true
+    });
+  }
+  
+  /**
+   * Restore the session once, however many requests noticed the expiry
+   */
+  _restoreSession(reason) {
+    if (!this.sessionRestorePromise) {
+      // Remember which token belonged to which identity so replays can swap in the right new one
+      this.previousTokens = this._getTokens();
+      
+      this.sessionRestorePromise = sessionRestoreContext
+        .run(true, () => this.client._restoreSession(reason))
+        .finally(() => {
+          this.sessionRestorePromise = null;
+        });
+    }
+    
+    return this.sessionRestorePromise;
+  }
+  
+  /**
+   * Check if a request should be watched for session expiry
+   */
+  _shouldGuardSession(url, options) {
+    return this.sessionGuardEnabled &&
+           this.client.isAuthenticated &&
+           !options.skipSessionGuard &&
+           !sessionRestoreContext.getStore() &&
+           !AUTH_ENDPOINTS.some(endpoint => url.startsWith(endpoint));
+  }
+  
+  /**
+   * Check if a response means the session is no longer valid
+   */
+  _isSessionExpired(response) {
+    return this._getSessionExpiryReason(response) !== null;
+  }
+  
+  /**
+   * Describe why a response was treated as an expired session
+   */
+  _getSessionExpiryReason(response) {
+    const { status, headers = {}, data } = response;
+    
+    if (status === 401 || status === 403) {
+      return `http_${status}`;
+    }
+    
+    // Redirected to the login page instead of the requested resource
+    const location = headers.location || (response.request && response.request.res && response.request.res.responseUrl) || '';
+    if (/\/login(\/|\.php|\?|$)/.test(location)) {
+      return 'login_redirect';
+    }
+    
+    const code = this._getGraphQLErrorCodes(data).find(errorCode => SESSION_ERROR_CODES.includes(errorCode));
+    if (code !== undefined) {
+      return `graphql_${code}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Collect numeric error codes from a GraphQL response body
+   */
+  _getGraphQLErrorCodes(data) {
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    
+    const errors = [].concat(data.error || [], data.errors || []);
+    
+    return errors
+      .map(error => Number(error.code || (error.extensions && error.extensions.code)))
+      .filter(code => !Number.isNaN(code));
+  }
+  
+  /**
+   * Swap a stale access token in request headers or body for the current one
+   */
+  _withCurrentToken(target, isHeaders = false) {
+    if (!target || typeof target !== 'object') {
+      return target;
+    }
+    
+    const current = this._getTokens();
+    const previous = this.previousTokens || {};
+    const previousToken = isHeaders
+      ? String(target.Authorization || '').replace(/^Bearer /, '')
+      : target.access_token;
+    
+    // Requests made as a Page keep acting as that Page
+    const token = previous.page && previousToken === previous.page && current.page
+      ? current.page
+      : current.user;
+    
+    if (!token) {
+      return target;
+    }
+    
+    if (isHeaders && target.Authorization) {
+      return { ...target, Authorization: `Bearer ${token}` };
+    }
+    
+    if (!isHeaders && target.access_token !== undefined) {
+      return { ...target, access_token: token };
+    }
+    
+    return target;
+  }
+  
+  /**
+   * Get the current user and Page tokens
+   */
+  _getTokens() {
+    const page = this.client.pages && this.client.pages.activePage;
+    
+    return {
+      user: this.client.auth ? this.client.auth.accessToken : null,
+      page: page ? page.accessToken : null
+    };
+  }
+  
   /**
    * Prepare request configuration
    */
   _prepareRequestConfig(method, url, data, options) {
     const config = {
+      ...options,
       method: method.toLowerCase(),
       url,
-      headers: { ...this._getDefaultHeaders(), ...options.headers },
-      ...options
+      headers: { ...this._getDefaultHeaders(), ...options.headers }
     };
     
+    // Send stored cookies unless the caller set them explicitly
+    const cookieHeader = this._getCookieHeader(url);
+    if (cookieHeader && !config.headers.Cookie) {
+      config.headers.Cookie = cookieHeader;
+    }
+    
     // Handle different data types
     if (data) {
       if (data instanceof FormData) {
@@ -191,6 +810,11 @@ class NetworkManager {
       return false;
     }
     
+    // Only wait out short server back-offs
+    if (error instanceof RateLimitError) {
+      return error.getRetryAfter() * 1000 <= this.rateLimiter.maxRetryAfter;
+    }
+    
     // Retry on network errors
     if (error.code === 'ECONNRESET' || 
         error.code === 'ECONNREFUSED' || 
@@ -217,17 +841,23 @@ class NetworkManager {
     return false;
   }
   
+  /**
+   * Get the scheduler options for a request
+   * Session restore requests jump the queue, everything else is waiting on them
+   */
+  _getScheduleOptions(options, signal) {
+    return {
+      priority: sessionRestoreContext.getStore() ? RequestPriorities.INTERACTIVE : options.priority,
+      key: options.queueKey,
+      signal
+    };
+  }
+  
   /**
    * Apply rate limiting
    */
-  async _applyRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-      await this._wait(waitTime);
-    }
+  async _applyRateLimit(bucket, signal) {
+    await this.rateLimiter.acquire(bucket, signal);
   }
   
   /**
@@ -240,14 +870,29 @@ class NetworkManager {
   /**
    * Wait for specified time
    */
-  _wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _wait(ms, signal = null) {
+    return abortableWait(ms, signal);
   }
   
   /**
    * Create network error
    */
   _createNetworkError(error, url, method) {
+    // HTTP, rate limit and abort errors are already wrapped, keep their details
+    if (error instanceof MessengerError) {
+      return error;
+    }
+    
+    const proxy = this.proxy && !error.response ? getProxyErrorDetails(error, this.proxy) : null;
+    if (proxy) {
+      return new NetworkError(`Proxy error (${proxy.reason}) via ${proxy.url}: ${method} ${url} - ${error.message}`, {
+        proxy,
+        originalError: error,
+        url,
+        method
+      });
+    }
+    
     let message = `Request failed: ${method} ${url}`;
     let statusCode = null;
     let responseData = null;
@@ -279,24 +924,72 @@ class NetworkManager {
    * Create HTTP error
    */
   _createHttpError(response) {
-    const message = `HTTP ${response.status}: ${response.statusText}`;
-    
-    return new NetworkError(message, {
+    const details = {
       statusCode: response.status,
       responseData: response.data,
       response,
       url: response.config.url,
       method: response.config.method
+    };
+    
+    // A 407 comes from the proxy, not from Messenger
+    if (response.status === 407 && this.proxy) {
+      details.proxy = getProxyErrorDetails({ statusCode: 407 }, this.proxy);
+      return new NetworkError(`Proxy error (auth_required) via ${details.proxy.url}: HTTP 407`, details);
+    }
+    
+    return new NetworkError(`HTTP ${response.status}: ${response.statusText}`, details);
+  }
+  
+  /**
+   * Create rate limit error from a 429 response
+   */
+  _createRateLimitError(response, bucket) {
+    const info = this.rateLimiter.handleRateLimited(bucket, response.headers);
+    const retryAfter = Math.ceil(info.retryAfter / 1000);
+    const { url, method } = response.config;
+    
+    let message = `Rate limited: ${(method || '').toUpperCase()} ${url} - retry after ${retryAfter}s`;
+    if (info.cooldown) {
+      message += ' (cooling down after repeated rate limits)';
+    }
+    
+    return new RateLimitError(message, {
+      retryAfter,
+      limit: info.limit,
+      remaining: info.remaining,
+      reset: info.reset,
+      bucket,
+      cooldown: info.cooldown,
+      statusCode: response.status,
+      responseData: response.data,
+      url,
+      method
     });
   }
   
+  /**
+   * Get the axios agent settings for the configured proxy
+   */
+  _getProxyConfig() {
+    if (!this.proxyAgent) {
+      return {};
+    }
+    
+    // Agents do the tunnelling, axios' own proxy handling (and env variables) must stay off
+    return {
+      httpAgent: this.proxyAgent,
+      httpsAgent: this.proxyAgent,
+      proxy: false
+    };
+  }
+  
   /**
    * Get default headers
    */
   _getDefaultHeaders() {
     const headers = {
-      'User-Agent': Protocol.USER_AGENT,
-      'Accept-Language': Protocol.ACCEPT_LANGUAGE,
+      ...this.client.deviceProfile.getHeaders(),
       'Accept': 'application/json, text/plain, */*',
       'Accept-Encoding': 'gzip, deflate, br',
       'DNT': '1',
@@ -311,6 +1004,40 @@ class NetworkManager {
     return headers;
   }
   
+  /**
+   * Get the Cookie header for a request URL
+   */
+  _getCookieHeader(url) {
+    if (!this.client.cookieJar) {
+      return null;
+    }
+    
+    try {
+      return this.client.cookieJar.getCookieString(url) || null;
+    } catch (error) {
+      // Relative or malformed URL, no cookies apply
+      return null;
+    }
+  }
+  
+  /**
+   * Store cookies set by a response in the shared jar
+   */
+  _storeResponseCookies(response) {
+    if (!this.client.cookieJar || !response) {
+      return;
+    }
+    
+    const url = (response.request && response.request.res && response.request.res.responseUrl) ||
+                (response.config && response.config.url);
+    
+    try {
+      this.client.cookieJar.setCookiesFromResponse(response, url);
+    } catch (error) {
+      // Ignore cookies we cannot attribute to a URL
+    }
+  }
+  
   /**
    * Setup axios interceptors
    */
@@ -318,13 +1045,10 @@ class NetworkManager {
     // Request interceptor
     this.axios.interceptors.request.use(
       (config) => {
-        // Log request (in development)
-        if (process.env.NODE_ENV === 'development') {
-          console.log(`[${new Date().toISOString()}] ${config.method.toUpperCase()} ${config.url}`);
-        }
+        // Timing and request ID for the logs
+        config.metadata = { ...config.metadata, startTime: Date.now() };
         
-        // Add request ID for tracking
-        config.metadata = { startTime: Date.now() };
+        this.log.debug('Request sent', this._getLogFields(config));
         
         return config;
       },
@@ -336,25 +1060,45 @@ class NetworkManager {
     // Response interceptor
     this.axios.interceptors.response.use(
       (response) => {
-        // Log response time (in development)
-        if (process.env.NODE_ENV === 'development' && response.config.metadata) {
-          const duration = Date.now() - response.config.metadata.startTime;
-          console.log(`[${new Date().toISOString()}] ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status} (${duration}ms)`);
-        }
+        this._storeResponseCookies(response);
+        
+        this.log.debug('Response received', {
+          ...this._getLogFields(response.config),
+          status: response.status
+        });
         
         return response;
       },
       (error) => {
-        // Log error (in development)
-        if (process.env.NODE_ENV === 'development') {
-          console.error(`[${new Date().toISOString()}] Request failed:`, error.message);
-        }
+        this._storeResponseCookies(error.response);
+        
+        this.log.debug('Request failed', {
+          ...this._getLogFields(error.config),
+          status: error.response ? error.response.status : undefined,
+          error
+        });
         
         return Promise.reject(error);
       }
     );
   }
   
+  /**
+   * Get the log fields of a request: ID, operation, method, URL and time taken so far
+   */
+  _getLogFields(config = {}) {
+    const metadata = config.metadata || {};
+    
+    return {
+      requestId: metadata.requestId,
+      attempt: metadata.attempt,
+      operation: metadata.operation,
+      method: config.method ? config.method.toUpperCase() : undefined,
+      url: config.url,
+      duration: metadata.startTime ? Date.now() - metadata.startTime : undefined
+    };
+  }
+  
   /**
    * Upload file with progress tracking
    */
@@ -406,8 +1150,11 @@ class NetworkManager {
   
   /**
    * Make batch request
+   * Each request is { method, url (relative to the batch endpoint), data, name }.
+   * Options: endpoint (defaults to the Graph API batch endpoint), plus the usual request options
    */
   async batchRequest(requests, options = {}) {
+    const { endpoint = Endpoints.BATCH, ...requestOptions } = options;
     const batchData = {
       batch: requests.map((req, index) => ({
         method: req.method || 'GET',
@@ -417,39 +1164,71 @@ class NetworkManager {
       }))
     };
     
-    const response = await this.post('/batch', batchData, options);
+    const response = await this.post(endpoint, batchData, requestOptions);
     
-    // Parse batch response
+    // Parse batch response, requests that did not run come back as null
     if (response.data && Array.isArray(response.data)) {
-      return response.data.map((item, index) => ({
-        name: item.name || `request_${index}`,
-        code: item.code,
-        body: item.body ? JSON.parse(item.body) : null,
-        headers: item.headers || []
-      }));
+      return requests.map((req, index) => {
+        const item = response.data[index];
+        
+        return {
+          name: req.name || `request_${index}`,
+          code: item ? item.code : null,
+          body: item ? this._parseBatchBody(item.body) : null,
+          headers: (item && item.headers) || []
+        };
+      });
     }
     
     return response.data;
   }
   
+  /**
+   * Parse the body of a batch item, which the server sends as a JSON string
+   */
+  _parseBatchBody(body) {
+    if (!body) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+  
   /**
    * Get request statistics
    */
   getStats() {
     return {
+      proxy: describeProxy(this.proxy),
       requestCount: this.requestCount,
       lastRequestTime: this.lastRequestTime,
       rateLimitDelay: this.rateLimitDelay,
       maxRetries: this.maxRetries,
-      retryDelay: this.retryDelay
+      retryDelay: this.retryDelay,
+      rateLimiter: this.rateLimiter.getStats(),
+      scheduler: this.scheduler.getStats(),
+      circuits: this.circuits.getStats(),
+      batching: this.batcher.getStats()
     };
   }
   
+  /**
+   * Change how many requests may run at once
+   */
+  setMaxConcurrentRequests(maxConcurrent) {
+    this.scheduler.setMaxConcurrent(maxConcurrent);
+  }
+  
   /**
    * Update rate limiting settings
    */
   updateRateLimit(delay, maxRetries, retryDelay) {
     this.rateLimitDelay = delay || this.rateLimitDelay;
+    this.rateLimiter.configureBucket('default', { rate: 1000 / this.rateLimitDelay });
     this.maxRetries = maxRetries || this.maxRetries;
     this.retryDelay = retryDelay || this.retryDelay;
   }
@@ -466,9 +1245,9 @@ class NetworkManager {
    * Cleanup resources
    */
   destroy() {
-    // Cancel any pending requests
-    // Note: axios doesn't have a built-in way to cancel all requests
-    // This would need to be implemented with AbortController if needed
+    // Cancel pending requests, later requests get a fresh controller
+    this.abortController.abort();
+    this.abortController = new AbortController();
   }
 }
 
@@ -0,0 +1,223 @@
+/**
+ * PageManager - Handles the Facebook Pages managed by the logged-in user
+ * Lists Pages, fetches page-scoped tokens and tracks the Page the client acts as
+ */
+
+const { MessengerError, AuthError, AbortError } = require('../utils/errors');
+
+class PageManager {
+  constructor(client) {
+    this.client = client;
+    this.network = client.network;
+    
+    // Page cache and page-scoped tokens
+    this.pages = new Map();
+    this.tokens = new Map();
+    
+    // Page the client currently acts as, null for the personal profile
+    this.activePage = null;
+    
+    // Cache settings
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.lastCacheUpdate = 0;
+  }
+  
+  /**
+   * List the Pages the user manages
+   */
+  async listPages(options = {}) {
+    if (!this.client.isAuthenticated) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    const { forceRefresh = false } = options;
+    
+    // Check cache if not forcing refresh
+    if (!forceRefresh && this.client.metrics.trackCache('pages', this._isCacheValid())) {
+      return Array.from(this.pages.values());
+    }
+    
+    try {
+      const response = await this.network.graphql('GetManagedPages', {}, {
+        accessToken: this.client.auth.accessToken,
+        headers: this._getUserHeaders(),
+        signal: options.signal,
+        priority: options.priority
+      });
+      
+      if (response.data && response.data.data && response.data.data.viewer) {
+        const nodes = response.data.data.viewer.managed_pages.nodes || [];
+        
+        // Update cache
+        this._updatePagesCache(nodes);
+        
+        return Array.from(this.pages.values());
+      }
+      
+      throw new MessengerError('Failed to list pages');
+    
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to list pages: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a managed Page by ID
+   */
+  async getPage(pageId, options = {}) {
+    if (!this.pages.has(pageId)) {
+      await this.listPages({ forceRefresh: true, signal: options.signal });
+    }
+    
+    const page = this.pages.get(pageId);
+    if (!page) {
+      throw new MessengerError(`Page ${pageId} is not managed by this account`);
+    }
+    
+    return page;
+  }
+  
+  /**
+   * Get a page-scoped access token
+   */
+  async getPageToken(pageId, options = {}) {
+    if (!this.client.isAuthenticated) {
+      throw new AuthError('Not authenticated');
+    }
+    
+    const { forceRefresh = false } = options;
+    
+    if (!forceRefresh && this.client.metrics.trackCache('page_tokens', this.tokens.has(pageId))) {
+      return this.tokens.get(pageId);
+    }
+    
+    try {
+      const response = await this.network.graphql('GetPageToken', {
+        pageId
+      }, {
+        accessToken: this.client.auth.accessToken,
+        headers: this._getUserHeaders(),
+        signal: options.signal,
+        priority: options.priority
+      });
+      
+      const page = response.data && response.data.data && response.data.data.page;
+      
+      if (page && page.access_token) {
+        this.tokens.set(pageId, page.access_token);
+        return page.access_token;
+      }
+      
+      throw new MessengerError('No page token returned, the user may lack messaging access');
+    
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      
+      throw new MessengerError(`Failed to get page token: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Start acting as a Page, or as the personal profile again when pageId is null
+   * Called through MessengerClient.actAs(), which also reconnects the WebSocket
+   */
+  async setActivePage(pageId, options = {}) {
+    if (!pageId || String(pageId) === String(this.client.userId)) {
+      this.activePage = null;
+      return null;
+    }
+    
+    const page = await this.getPage(pageId, options);
+    const accessToken = await this.getPageToken(pageId, { signal: options.signal });
+    
+    this.activePage = { id: page.id, name: page.name, accessToken };
+    
+    return this.activePage;
+  }
+  
+  /**
+   * Refresh the token of the active Page (e.g. after the user session was restored)
+   */
+  async refreshActivePageToken() {
+    if (!this.activePage) {
+      return null;
+    }
+    
+    this.activePage.accessToken = await this.getPageToken(this.activePage.id, { forceRefresh: true });
+    
+    return this.activePage.accessToken;
+  }
+  
+  /**
+   * Check if cache is valid
+   */
+  _isCacheValid() {
+    return this.pages.size > 0 && Date.now() - this.lastCacheUpdate < this.cacheExpiry;
+  }
+  
+  /**
+   * Update pages cache
+   */
+  _updatePagesCache(nodes) {
+    this.pages.clear();
+    
+    nodes.forEach(node => {
+      const tasks = node.tasks || [];
+      
+      this.pages.set(node.id, {
+        id: node.id,
+        name: node.name,
+        category: node.category || null,
+        picture: node.profile_pic || null,
+        tasks,
+        canMessage: tasks.length === 0 || tasks.includes('MESSAGING') || tasks.includes('MANAGE')
+      });
+      
+      if (node.access_token) {
+        this.tokens.set(node.id, node.access_token);
+      }
+    });
+    
+    this.lastCacheUpdate = Date.now();
+  }
+  
+  /**
+   * Headers for requests made as the user, whatever identity is active
+   */
+  _getUserHeaders() {
+    return {
+      'Authorization': `Bearer ${this.client.auth.accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+  
+  /**
+   * Clear cached pages, tokens and the active Page
+   */
+  clear() {
+    this.pages.clear();
+    this.tokens.clear();
+    this.activePage = null;
+    this.lastCacheUpdate = 0;
+  }
+  
+  /**
+   * Get page manager statistics
+   */
+  getStats() {
+    return {
+      totalPages: this.pages.size,
+      cachedTokens: this.tokens.size,
+      activePage: this.activePage ? this.activePage.id : null,
+      lastCacheUpdate: this.lastCacheUpdate
+    };
+  }
+}
+
+module.exports = PageManager;
\ No newline at end of file
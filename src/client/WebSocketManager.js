@@ -5,8 +5,9 @@
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
-const { Endpoints, Protocol, EventTypes } = require('../constants');
+const { Endpoints, EventTypes } = require('../constants');
 const { NetworkError } = require('../utils/errors');
+const { getProxyErrorDetails } = require('../utils/proxy');
 
 class WebSocketManager extends EventEmitter {
   constructor(client) {
@@ -14,6 +15,7 @@ class WebSocketManager extends EventEmitter {
     
     this.client = client;
     this.options = client.options || {};
+    this.log = client.logger.child({ component: 'websocket' });
     
     // WebSocket state
     this.ws = null;
@@ -25,6 +27,9 @@ class WebSocketManager extends EventEmitter {
     this.heartbeatInterval = null;
     this.heartbeatTimeout = null;
     
+    // Identity (personal profile or Page) the connection authenticated as
+    this.identity = null;
+    
     // Message handling
     this.messageHandlers = new Map();
     this.pendingMessages = new Map();
@@ -58,14 +63,18 @@ class WebSocketManager extends EventEmitter {
       this.isConnecting = true;
       this.emit('connecting');
       
+      // Realtime events belong to the identity the connection authenticates as
+      this.identity = this.client.identity;
+      
       // Get WebSocket URL and authentication
       const connectionInfo = await this._getConnectionInfo();
       
       // Create WebSocket connection
-      this.ws = new WebSocket(connectionInfo.url, {
-        headers: this._getWebSocketHeaders(connectionInfo),
-        followRedirects: true,
-        timeout: 30000
+      this.ws = this._createSocket(connectionInfo);
+      
+      // Keep cookies set during the handshake
+      this.ws.on('upgrade', (response) => {
+        this.client.cookieJar.setCookiesFromResponse(response, connectionInfo.url);
       });
       
       // Setup event handlers
@@ -90,6 +99,16 @@ class WebSocketManager extends EventEmitter {
     } catch (error) {
       this.isConnecting = false;
       this.emit('error', error);
+      
+      const { proxy } = this.client.network;
+      const proxyDetails = proxy ? getProxyErrorDetails(error, proxy) : null;
+      if (proxyDetails) {
+        throw new NetworkError(`WebSocket connection failed at proxy (${proxyDetails.reason}) via ${proxyDetails.url}: ${error.message}`, {
+          proxy: proxyDetails,
+          originalError: error
+        });
+      }
+      
       throw new NetworkError(`WebSocket connection failed: ${error.message}`);
     }
   }
@@ -117,7 +136,7 @@ class WebSocketManager extends EventEmitter {
       this.emit(EventTypes.DISCONNECTION, { status: 'websocket_disconnected' });
       
     } catch (error) {
-      console.error('WebSocket disconnect error:', error);
+      this.log.error('WebSocket disconnect failed', { error });
     }
   }
   
@@ -144,7 +163,9 @@ class WebSocketManager extends EventEmitter {
       this.ws.send(JSON.stringify(message));
       
       // Wait for acknowledgment
-      return await this._waitForAcknowledgment(message.id);
+      return await this.client.tracer.trace('websocket.ack_wait', {
+        attributes: { 'messenger.message_id': message.id }
+      }, () => this._waitForAcknowledgment(message.id));
       
     } catch (error) {
       throw new NetworkError(`Failed to send message: ${error.message}`);
@@ -204,17 +225,7 @@ class WebSocketManager extends EventEmitter {
    */
   async _getConnectionInfo() {
     try {
-      const response = await this.client.network.post(Endpoints.GRAPHQL, {
-        query: `
-          query GetWebSocketInfo {
-            websocketInfo {
-              url
-              token
-              expires_at
-            }
-          }
-        `
-      }, {
+      const response = await this.client.network.graphql('GetWebSocketInfo', {}, {
         headers: this._getAuthHeaders()
       });
       
@@ -225,7 +236,7 @@ class WebSocketManager extends EventEmitter {
       // Fallback to default WebSocket URL
       return {
         url: Endpoints.WEBSOCKET,
-        token: this.client.auth.accessToken,
+        token: this.client.getAccessToken(),
         expires_at: Date.now() + (3600 * 1000) // 1 hour
       };
       
@@ -233,12 +244,27 @@ class WebSocketManager extends EventEmitter {
       // Use fallback URL if GraphQL fails
       return {
         url: Endpoints.WEBSOCKET,
-        token: this.client.auth.accessToken,
+        token: this.client.getAccessToken(),
         expires_at: Date.now() + (3600 * 1000)
       };
     }
   }
   
+  /**
+   * Open the WebSocket, recorded or replayed when the client is set up for it
+   */
+  _createSocket(connectionInfo) {
+    const open = () => new WebSocket(connectionInfo.url, {
+      headers: this._getWebSocketHeaders(connectionInfo),
+      followRedirects: true,
+      timeout: 30000,
+      agent: this.client.network.proxyAgent || undefined
+    });
+    
+    const { recorder } = this.client.network;
+    return recorder ? recorder.createSocket(connectionInfo.url, open) : open();
+  }
+  
   /**
    * Setup WebSocket event handlers
    */
@@ -287,12 +313,15 @@ class WebSocketManager extends EventEmitter {
         case 'heartbeat':
           this._handleHeartbeat(message);
           break;
+        case 'authentication_response':
+          this.emit('authentication', message);
+          break;
         default:
-          console.log('Unknown WebSocket message type:', message.type);
+          this.log.debug('Unknown WebSocket message type', { type: message.type });
       }
       
     } catch (error) {
-      console.error('Failed to parse WebSocket message:', error);
+      this.log.error('Failed to parse WebSocket message', { error });
     }
   }
   
@@ -405,11 +434,12 @@ class WebSocketManager extends EventEmitter {
   _scheduleReconnect() {
     this.reconnectAttempts++;
     const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
     
     setTimeout(() => {
       if (!this.isConnected && !this.isConnecting) {
         this.connect().catch(error => {
-          console.error('Reconnection failed:', error);
+          this.log.error('Reconnection failed', { attempt: this.reconnectAttempts, error });
         });
       }
     }, delay);
@@ -443,10 +473,11 @@ class WebSocketManager extends EventEmitter {
     const authMessage = {
       type: 'authentication',
       token: connectionInfo.token,
-      device_id: this.client.auth.deviceId,
-      client_id: this.client.auth.clientId,
-      platform: Protocol.PLATFORM,
-      version: Protocol.CLIENT_VERSION
+      device_id: this.client.deviceProfile.deviceId,
+      client_id: this.client.deviceProfile.clientId,
+      actor_id: this.identity.id,
+      platform: this.client.deviceProfile.platform,
+      version: this.client.deviceProfile.appVersion
     };
     
     this.ws.send(JSON.stringify(authMessage));
@@ -465,19 +496,16 @@ class WebSocketManager extends EventEmitter {
       }, 10000);
       
       const authHandler = (message) => {
-        if (message.type === 'authentication_response') {
-          clearTimeout(timeout);
-          this.removeListener('message', authHandler);
-          
-          if (message.success) {
-            resolve(message);
-          } else {
-            reject(new NetworkError(message.error || 'Authentication failed'));
-          }
+        clearTimeout(timeout);
+        
+        if (message.success) {
+          resolve(message);
+        } else {
+          reject(new NetworkError(message.error || 'Authentication failed'));
         }
       };
       
-      this.on('message', authHandler);
+      this.once('authentication', authHandler);
     });
   }
   
@@ -490,8 +518,9 @@ class WebSocketManager extends EventEmitter {
         reject(new NetworkError('Message acknowledgment timeout'));
       }, 10000);
       
+      // Acknowledged messages are the pending ones we sent, keyed by their id
       const ackHandler = (message) => {
-        if (message.message_id === messageId) {
+        if (message.id === messageId) {
           clearTimeout(timeout);
           this.removeListener('messageAcknowledged', ackHandler);
           resolve(message);
@@ -524,9 +553,11 @@ class WebSocketManager extends EventEmitter {
    */
   _startHeartbeatTimeout() {
     this.heartbeatTimeout = setTimeout(() => {
-      console.warn('Heartbeat timeout, reconnecting...');
+      this.log.warn('Heartbeat timeout, reconnecting');
       this.disconnect().then(() => {
-        this.connect().catch(console.error);
+        this.connect().catch(error => {
+          this.log.error('Reconnection failed', { error });
+        });
       });
     }, 10000); // 10 second timeout
   }
@@ -550,13 +581,20 @@ class WebSocketManager extends EventEmitter {
    * Get WebSocket headers
    */
   _getWebSocketHeaders(connectionInfo) {
-    return {
-      'User-Agent': Protocol.USER_AGENT,
-      'Accept-Language': Protocol.ACCEPT_LANGUAGE,
+    const headers = {
+      ...this.client.deviceProfile.getHeaders(),
       'Authorization': `Bearer ${connectionInfo.token}`,
       'Sec-WebSocket-Protocol': 'messenger',
       'Origin': 'https://www.messenger.com'
     };
+    
+    // Session cookies (c_user, xs) authenticate the handshake as well
+    const cookies = this.client.cookieJar.getCookieString(connectionInfo.url);
+    if (cookies) {
+      headers['Cookie'] = cookies;
+    }
+    
+    return headers;
   }
   
   /**
@@ -564,7 +602,7 @@ class WebSocketManager extends EventEmitter {
    */
   _getAuthHeaders() {
     return {
-      'Authorization': `Bearer ${this.client.auth.accessToken}`,
+      'Authorization': `Bearer ${this.client.getAccessToken()}`,
       'Content-Type': 'application/json'
     };
   }
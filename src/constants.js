@@ -8,7 +8,14 @@ const AuthMethods = {
   EMAIL: 'email',
   USERNAME: 'username',
   TWO_FACTOR: '2fa',
-  QR_CODE: 'qr_code'
+  QR_CODE: 'qr_code',
+  
+  // Reuse a session obtained elsewhere
+  ACCESS_TOKEN: 'access_token',
+  COOKIES: 'cookies',
+  
+  // Passwordless login with a code sent by SMS or email
+  ONE_TIME_CODE: 'one_time_code'
 };
 
 // Message types
@@ -33,13 +40,72 @@ const EventTypes = {
   ONLINE: 'online',
   OFFLINE: 'offline',
   CONNECTION: 'connection',
-  DISCONNECTION: 'disconnection'
+  DISCONNECTION: 'disconnection',
+  
+  // QR code login progress
+  QR_GENERATED: 'qr_generated',
+  QR_SCANNED: 'qr_scanned',
+  QR_EXPIRED: 'qr_expired',
+  
+  // Login checkpoint steps
+  CHECKPOINT: 'checkpoint',
+  
+  // Passwordless login code delivered
+  CODE_SENT: 'code_sent',
+  
+  // Session lifecycle
+  SESSION_EXPIRED: 'session_expired',
+  SESSION_RESTORED: 'session_restored',
+  
+  // Authentication state machine transitions
+  AUTH_STATE: 'auth_state',
+  
+  // Switched between the personal profile and a managed Page
+  IDENTITY_CHANGED: 'identity_changed',
+  
+  // Circuit breaker around a failing endpoint tripped or recovered
+  CIRCUIT_OPEN: 'circuit_open',
+  CIRCUIT_CLOSED: 'circuit_closed'
+};
+
+// Authentication states
+const AuthStates = {
+  IDLE: 'idle',
+  SUBMITTING: 'submitting',
+  CHALLENGE_REQUIRED: 'challenge_required',
+  AUTHENTICATED: 'authenticated',
+  EXPIRED: 'expired',
+  LOGGED_OUT: 'logged_out'
+};
+
+// Request scheduling classes, highest priority first
+const RequestPriorities = {
+  INTERACTIVE: 'interactive', // User-facing actions such as sending a reply
+  REALTIME: 'realtime', // Read receipts and other acknowledgements
+  BACKGROUND: 'background' // Sync, history export and other bulk work
+};
+
+// Circuit breaker states
+const CircuitStates = {
+  CLOSED: 'closed', // Requests go through
+  OPEN: 'open', // Requests fail fast until the cool-down ends
+  HALF_OPEN: 'half_open' // A trial request decides whether to close again
+};
+
+// Login checkpoint step types
+const ChallengeTypes = {
+  APPROVE_DEVICE: 'approve_device',
+  CHOOSE_METHOD: 'choose_method',
+  ENTER_CODE: 'enter_code',
+  SAVE_BROWSER: 'save_browser',
+  UNKNOWN: 'unknown'
 };
 
 // Messenger server endpoints (based on reverse engineering)
 const Endpoints = {
   // Main API endpoints
   GRAPHQL: 'https://graph.facebook.com/graphql',
+  BATCH: 'https://graph.facebook.com/', // Graph API batches, relative_url entries resolve against it
   MESSENGER_API: 'https://edge-chat.facebook.com/chat',
   UPLOAD_API: 'https://upload.facebook.com/ajax/mercury/upload.php',
   
@@ -47,6 +113,12 @@ const Endpoints = {
   LOGIN: 'https://m.facebook.com/login/device-based/regular/login/',
   LOGIN_2FA: 'https://m.facebook.com/login/checkpoint/',
   LOGIN_DEVICE: 'https://m.facebook.com/login/device-based/regular/login/',
+  LOGIN_QR: 'https://b-graph.facebook.com/auth/login_qr_code',
+  LOGIN_QR_STATUS: 'https://b-graph.facebook.com/auth/login_qr_code/status',
+  LOGIN_QR_APPROVE: 'https://m.facebook.com/login/qr/',
+  LOGIN_CODE_SEND: 'https://m.facebook.com/login/one_time_code/send/',
+  LOGIN_CODE_VERIFY: 'https://m.facebook.com/login/one_time_code/verify/',
+  ACCESS_TOKEN_PAGE: 'https://business.facebook.com/content_management',
   
   // Mobile app endpoints
   MOBILE_API: 'https://b-graph.facebook.com/graphql',
@@ -97,6 +169,10 @@ module.exports = {
   AuthMethods,
   MessageTypes,
   EventTypes,
+  ChallengeTypes,
+  AuthStates,
+  RequestPriorities,
+  CircuitStates,
   Endpoints,
   Protocol,
   Limits,
@@ -5,18 +5,35 @@
  */
 
 const MessengerClient = require('./client/MessengerClient');
-const { AuthMethods, MessageTypes, EventTypes } = require('./constants');
-const { MessengerError, AuthError, NetworkError } = require('./utils/errors');
+const MessengerClientPool = require('./client/MessengerClientPool');
+const { AuthMethods, MessageTypes, EventTypes, ChallengeTypes, AuthStates, RequestPriorities, CircuitStates } = require('./constants');
+const { MessengerError, AuthError, NetworkError, RateLimitError, AbortError, CircuitOpenError } = require('./utils/errors');
+const { MemorySessionStore, FileSessionStore } = require('./utils/sessions');
+const { DeviceProfile } = require('./utils/profile');
+const { InMemorySpanExporter, ExportResultCode } = require('./utils/tracing');
 
 // Export main classes and utilities
 module.exports = {
   MessengerClient,
+  MessengerClientPool,
   AuthMethods,
   MessageTypes,
   EventTypes,
+  ChallengeTypes,
+  AuthStates,
+  RequestPriorities,
+  CircuitStates,
   MessengerError,
   AuthError,
-  NetworkError
+  NetworkError,
+  RateLimitError,
+  AbortError,
+  CircuitOpenError,
+  MemorySessionStore,
+  FileSessionStore,
+  DeviceProfile,
+  InMemorySpanExporter,
+  ExportResultCode
 };
 
 // Export default client instance
@@ -0,0 +1,708 @@
+/**
+ * GraphQL operations used by Messenger Private API
+ * Documents keyed by operation name, sent through NetworkManager.graphql()
+ */
+
+const Operations = {
+  // Account and sessions
+  GetViewer: `
+    query GetViewer {
+      viewer {
+        id
+        name
+        profile_pic
+      }
+    }
+  `,
+  
+  GetProfile: `
+    query GetProfile {
+      viewer {
+        id
+        name
+        first_name
+        last_name
+        profile_pic
+        cover_photo
+        email
+        birthday
+        gender
+        hometown
+        current_city
+        relationship_status
+      }
+    }
+  `,
+  
+  UpdateStatus: `
+    mutation UpdateStatus($status: String!) {
+      updateStatus(input: { status: $status }) {
+        success
+        status
+      }
+    }
+  `,
+  
+  GetActiveSessions: `
+    query GetActiveSessions {
+      viewer {
+        active_sessions {
+          nodes {
+            id
+            is_current
+            created_time
+            last_active_time
+            device {
+              name
+              os
+              app
+              type
+            }
+            location {
+              city
+              region
+              country
+              ip_address
+            }
+          }
+        }
+      }
+    }
+  `,
+  
+  RevokeSession: `
+    mutation RevokeSession($sessionId: ID!) {
+      revokeSession(input: { session_id: $sessionId }) {
+        success
+        was_current
+      }
+    }
+  `,
+  
+  LogoutAllSessions: `
+    mutation LogoutAllSessions($keepCurrent: Boolean!) {
+      logoutAllSessions(input: { keep_current: $keepCurrent }) {
+        success
+        revoked_count
+      }
+    }
+  `,
+  
+  GetTrustedDevices: `
+    query GetTrustedDevices {
+      viewer {
+        trusted_devices {
+          nodes {
+            id
+            name
+            os
+            browser
+            added_time
+            last_used_time
+            location {
+              city
+              region
+              country
+              ip_address
+            }
+          }
+        }
+      }
+    }
+  `,
+  
+  RemoveTrustedDevice: `
+    mutation RemoveTrustedDevice($deviceId: ID!) {
+      removeTrustedDevice(input: { device_id: $deviceId }) {
+        success
+      }
+    }
+  `,
+  
+  // Messages
+  ReactToMessage: `
+    mutation ReactToMessage($messageId: ID!, $reaction: String!) {
+      reactToMessage(input: { messageId: $messageId, reaction: $reaction }) {
+        success
+        reaction
+      }
+    }
+  `,
+  
+  MarkAsRead: `
+    mutation MarkAsRead($threadId: ID!, $messageId: ID!) {
+      markAsRead(input: { threadId: $threadId, messageId: $messageId }) {
+        success
+      }
+    }
+  `,
+  
+  GetMessageHistory: `
+    query GetMessageHistory($threadId: ID!, $limit: Int!, $before: String, $after: String) {
+      thread(id: $threadId) {
+        messages(first: $limit, before: $before, after: $after) {
+          edges {
+            node {
+              id
+              text
+              type
+              timestamp
+              sender {
+                id
+                name
+                profile_pic
+              }
+              reactions {
+                reaction
+                user {
+                  id
+                  name
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+        }
+      }
+    }
+  `,
+  
+  SearchMessages: `
+    query SearchMessages($query: String!, $limit: Int!, $threadId: ID, $type: String) {
+      searchMessages(query: $query, first: $limit, threadId: $threadId, type: $type) {
+        edges {
+          node {
+            id
+            text
+            type
+            timestamp
+            thread {
+              id
+              name
+            }
+            sender {
+              id
+              name
+              profile_pic
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }
+  `,
+  
+  SendMessage: `
+    mutation SendMessage($input: SendMessageInput!) {
+      sendMessage(input: $input) {
+        success
+        message {
+          id
+          text
+          type
+          timestamp
+          thread_id
+        }
+      }
+    }
+  `,
+  
+  // Chats
+  GetChats: `
+    query GetChats($limit: Int!, $offset: Int!, $type: String!) {
+      viewer {
+        threads(first: $limit, offset: $offset, type: $type) {
+          edges {
+            node {
+              id
+              name
+              type
+              participants {
+                id
+                name
+                first_name
+                last_name
+                profile_pic
+                online_status
+                last_seen
+              }
+              last_message {
+                id
+                text
+                type
+                timestamp
+                sender {
+                  id
+                  name
+                }
+              }
+              unread_count
+              updated_at
+              created_at
+              is_group
+              group_info {
+                name
+                description
+                cover_photo
+                admins {
+                  id
+                  name
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    }
+  `,
+  
+  GetThread: `
+    query GetThread($threadId: ID!) {
+      thread(id: $threadId) {
+        id
+        name
+        type
+        participants {
+          id
+          name
+          first_name
+          last_name
+          profile_pic
+          online_status
+          last_seen
+        }
+        last_message {
+          id
+          text
+          type
+          timestamp
+          sender {
+            id
+            name
+          }
+        }
+        unread_count
+        updated_at
+        created_at
+        is_group
+        group_info {
+          name
+          description
+          cover_photo
+          admins {
+            id
+            name
+          }
+          members {
+            id
+            name
+            profile_pic
+          }
+        }
+        settings {
+          notifications_enabled
+          mute_until
+          theme
+          emoji
+        }
+      }
+    }
+  `,
+  
+  CreateThread: `
+    mutation CreateThread($input: CreateThreadInput!) {
+      createThread(input: $input) {
+        success
+        thread {
+          id
+          name
+          type
+          participants {
+            id
+            name
+            profile_pic
+          }
+          created_at
+        }
+      }
+    }
+  `,
+  
+  DeleteThread: `
+    mutation DeleteThread($threadId: ID!) {
+      deleteThread(input: { threadId: $threadId }) {
+        success
+      }
+    }
+  `,
+  
+  LeaveThread: `
+    mutation LeaveThread($threadId: ID!) {
+      leaveThread(input: { threadId: $threadId }) {
+        success
+      }
+    }
+  `,
+  
+  AddParticipants: `
+    mutation AddParticipants($threadId: ID!, $participantIds: [ID!]!) {
+      addParticipants(input: { threadId: $threadId, participantIds: $participantIds }) {
+        success
+        thread {
+          id
+          participants {
+            id
+            name
+            profile_pic
+          }
+        }
+      }
+    }
+  `,
+  
+  RemoveParticipants: `
+    mutation RemoveParticipants($threadId: ID!, $participantIds: [ID!]!) {
+      removeParticipants(input: { threadId: $threadId, participantIds: $participantIds }) {
+        success
+        thread {
+          id
+          participants {
+            id
+            name
+            profile_pic
+          }
+        }
+      }
+    }
+  `,
+  
+  UpdateThreadSettings: `
+    mutation UpdateThreadSettings($threadId: ID!, $input: UpdateThreadSettingsInput!) {
+      updateThreadSettings(input: { threadId: $threadId, settings: $input }) {
+        success
+        thread {
+          id
+          name
+          description
+          cover_photo
+          settings {
+            notifications_enabled
+            mute_until
+            theme
+            emoji
+          }
+        }
+      }
+    }
+  `,
+  
+  SearchThreads: `
+    query SearchThreads($query: String!, $limit: Int!, $type: String!) {
+      searchThreads(query: $query, first: $limit, type: $type) {
+        edges {
+          node {
+            id
+            name
+            type
+            participants {
+              id
+              name
+              profile_pic
+            }
+            last_message {
+              id
+              text
+              timestamp
+              sender {
+                id
+                name
+              }
+            }
+            unread_count
+            updated_at
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }
+  `,
+  
+  GetThreadStats: `
+    query GetThreadStats($threadId: ID!) {
+      thread(id: $threadId) {
+        id
+        stats {
+          total_messages
+          total_participants
+          created_at
+          last_activity
+          message_count_today
+          message_count_week
+          message_count_month
+        }
+      }
+    }
+  `,
+  
+  // Contacts
+  GetContacts: `
+    query GetContacts($limit: Int!, $offset: Int!) {
+      viewer {
+        contacts(first: $limit, offset: $offset) {
+          edges {
+            node {
+              id
+              name
+              first_name
+              last_name
+              profile_pic
+              is_friend
+              is_blocked
+              mutual_friends
+              online_status
+              last_seen
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    }
+  `,
+  
+  GetFriends: `
+    query GetFriends($limit: Int!, $offset: Int!) {
+      viewer {
+        friends(first: $limit, offset: $offset) {
+          edges {
+            node {
+              id
+              name
+              first_name
+              last_name
+              profile_pic
+              online_status
+              last_seen
+              mutual_friends
+              friendship_status
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    }
+  `,
+  
+  GetUser: `
+    query GetUser($userId: ID!) {
+      user(id: $userId) {
+        id
+        name
+        first_name
+        last_name
+        profile_pic
+        cover_photo
+        is_friend
+        is_blocked
+        mutual_friends
+        online_status
+        last_seen
+        about
+        birthday
+        gender
+        hometown
+        current_city
+        relationship_status
+      }
+    }
+  `,
+  
+  SearchUsers: `
+    query SearchUsers($query: String!, $limit: Int!, $type: String!) {
+      searchUsers(query: $query, first: $limit, type: $type) {
+        edges {
+          node {
+            id
+            name
+            first_name
+            last_name
+            profile_pic
+            is_friend
+            mutual_friends
+            online_status
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }
+  `,
+  
+  AddFriend: `
+    mutation AddFriend($userId: ID!) {
+      addFriend(input: { userId: $userId }) {
+        success
+        friendship {
+          id
+          status
+          created_at
+        }
+      }
+    }
+  `,
+  
+  RemoveFriend: `
+    mutation RemoveFriend($userId: ID!) {
+      removeFriend(input: { userId: $userId }) {
+        success
+      }
+    }
+  `,
+  
+  BlockUser: `
+    mutation BlockUser($userId: ID!) {
+      blockUser(input: { userId: $userId }) {
+        success
+      }
+    }
+  `,
+  
+  UnblockUser: `
+    mutation UnblockUser($userId: ID!) {
+      unblockUser(input: { userId: $userId }) {
+        success
+      }
+    }
+  `,
+  
+  GetBlockedUsers: `
+    query GetBlockedUsers($limit: Int!, $offset: Int!) {
+      viewer {
+        blockedUsers(first: $limit, offset: $offset) {
+          edges {
+            node {
+              id
+              name
+              first_name
+              last_name
+              profile_pic
+              blocked_at
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    }
+  `,
+  
+  GetMutualFriends: `
+    query GetMutualFriends($userId: ID!, $limit: Int!, $offset: Int!) {
+      user(id: $userId) {
+        mutualFriends(first: $limit, offset: $offset) {
+          edges {
+            node {
+              id
+              name
+              first_name
+              last_name
+              profile_pic
+              online_status
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    }
+  `,
+  
+  // Pages
+  GetManagedPages: `
+    query GetManagedPages {
+      viewer {
+        managed_pages {
+          nodes {
+            id
+            name
+            category
+            tasks
+            profile_pic
+            access_token
+          }
+        }
+      }
+    }
+  `,
+  
+  GetPageToken: `
+    query GetPageToken($pageId: ID!) {
+      page(id: $pageId) {
+        id
+        access_token
+      }
+    }
+  `,
+  
+  // Realtime
+  GetWebSocketInfo: `
+    query GetWebSocketInfo {
+      websocketInfo {
+        url
+        token
+        expires_at
+      }
+    }
+  `
+};
+
+module.exports = {
+  Operations
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Cancellation utilities for Messenger Private API
+ * Turns AbortSignals into AbortErrors and makes waits cancellable
+ */
+
+const { AbortError } = require('./errors');
+
+/**
+ * Create the error an aborted operation rejects with
+ */
+function createAbortError(signal, operation = null) {
+  const reason = signal ? signal.reason : undefined;
+  const timedOut = !!reason && reason.name === 'TimeoutError';
+  const message = timedOut ? 'Operation timed out' : 'Operation aborted';
+  
+  return new AbortError(operation ? `${message}: ${operation}` : message, { reason, operation });
+}
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ */
+function throwIfAborted(signal, operation = null) {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal, operation);
+  }
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts
+ * The promise itself keeps running, use this for work that cannot be cancelled
+ */
+function abortable(promise, signal, operation = null) {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+  
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal, operation));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal, operation));
+    signal.addEventListener('abort', onAbort, { once: true });
+    
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Wait for the given time unless the signal aborts first
+ */
+function abortableWait(ms, signal, operation = null) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal, operation));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal, operation));
+    };
+    
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine signals into one that aborts with the first of them
+ * Call dispose() once done so long-lived signals don't collect listeners
+ */
+function linkSignals(...signals) {
+  const sources = signals.filter(Boolean);
+  const controller = new AbortController();
+  const aborted = sources.find(signal => signal.aborted);
+  
+  if (aborted) {
+    controller.abort(aborted.reason);
+    return { signal: controller.signal, dispose: () => {} };
+  }
+  
+  const listeners = sources.map(signal => {
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    return [signal, onAbort];
+  });
+  
+  return {
+    signal: controller.signal,
+    dispose: () => listeners.forEach(([signal, onAbort]) => signal.removeEventListener('abort', onAbort))
+  };
+}
+
+module.exports = {
+  createAbortError,
+  throwIfAborted,
+  abortable,
+  abortableWait,
+  linkSignals
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Batching utilities for Messenger Private API
+ * DataLoader-style: shares identical in-flight requests and sends the ones queued together as one batch
+ */
+
+const DEFAULT_BATCHING = {
+  batch: true, // Send requests queued in the same tick as one batch
+  dedupe: true, // Share identical requests that are still in flight
+  maxBatchSize: 50 // Graph API batches take at most 50 requests
+};
+
+/**
+ * JSON with object keys sorted, so equal values give equal keys
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+class RequestBatcher {
+  constructor(options = {}, handlers = {}) {
+    const settings = { ...DEFAULT_BATCHING, ...(options || {}) };
+    
+    this.enabled = options !== false;
+    this.batch = this.enabled && settings.batch;
+    this.dedupe = this.enabled && settings.dedupe;
+    this.maxBatchSize = Math.max(1, settings.maxBatchSize);
+    
+    // execute(request) sends one request, executeBatch(requests) resolves to one { value } or { error } per request
+    this.execute = handlers.execute;
+    this.executeBatch = handlers.executeBatch;
+    
+    this.inflight = new Map();
+    this.groups = new Map();
+    this.flushScheduled = false;
+    
+    this.stats = {
+      requests: 0,
+      deduped: 0,
+      batches: 0,
+      batched: 0
+    };
+  }
+  
+  /**
+   * Queue a request
+   * Requests with the same key share one result while in flight; batchable requests with the
+   * same group are sent together with the others queued in this tick
+   */
+  load(request) {
+    this.stats.requests++;
+    
+    if (this.dedupe && request.key && this.inflight.has(request.key)) {
+      this.stats.deduped++;
+      return this.inflight.get(request.key);
+    }
+    
+    const promise = this.batch && request.group
+      ? this._enqueue(request)
+      : Promise.resolve().then(() => this.execute(request));
+    
+    if (this.dedupe && request.key) {
+      const forget = () => {
+        if (this.inflight.get(request.key) === promise) {
+          this.inflight.delete(request.key);
+        }
+      };
+      
+      this.inflight.set(request.key, promise);
+      promise.then(forget, forget);
+    }
+    
+    return promise;
+  }
+  
+  /**
+   * Add a request to its group, flushed once the current tick is done
+   */
+  _enqueue(request) {
+    return new Promise((resolve, reject) => {
+      if (!this.groups.has(request.group)) {
+        this.groups.set(request.group, []);
+      }
+      this.groups.get(request.group).push({ request, resolve, reject });
+      
+      if (!this.flushScheduled) {
+        this.flushScheduled = true;
+        setImmediate(() => this._flush());
+      }
+    });
+  }
+  
+  /**
+   * Send every queued group, split into batches of at most maxBatchSize
+   */
+  _flush() {
+    const groups = Array.from(this.groups.values());
+    
+    this.groups.clear();
+    this.flushScheduled = false;
+    
+    groups.forEach(entries => {
+      for (let start = 0; start < entries.length; start += this.maxBatchSize) {
+        this._dispatch(entries.slice(start, start + this.maxBatchSize));
+      }
+    });
+  }
+  
+  /**
+   * Send one batch and hand each caller its own result
+   * A batch of one is sent as a plain request
+   */
+  async _dispatch(entries) {
+    if (entries.length === 1) {
+      const [{ request, resolve, reject }] = entries;
+      Promise.resolve().then(() => this.execute(request)).then(resolve, reject);
+      return;
+    }
+    
+    this.stats.batches++;
+    this.stats.batched += entries.length;
+    
+    try {
+      const results = await this.executeBatch(entries.map(entry => entry.request));
+      
+      entries.forEach((entry, index) => {
+        const result = results[index] || { error: new Error('Batch returned no result for this request') };
+        if (result.error) {
+          entry.reject(result.error);
+        } else {
+          entry.resolve(result.value);
+        }
+      });
+    } catch (error) {
+      entries.forEach(entry => entry.reject(error));
+    }
+  }
+  
+  /**
+   * Get batching statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      inflight: this.inflight.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCHING,
+  RequestBatcher,
+  stableStringify
+};
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * Circuit breaker utilities for Messenger Private API
+ * Stops calling an endpoint that keeps failing and lets a trial request through after a cool-down
+ */
+
+const { CircuitStates } = require('../constants');
+const { CircuitOpenError } = require('./errors');
+
+const DEFAULT_CIRCUIT = {
+  failureThreshold: 5, // Consecutive failures that open the circuit
+  cooldown: 30000, // ms an open circuit fails fast before a trial request
+  halfOpenRequests: 1, // Trial requests let through at once while half-open
+  scope: 'operation' // 'operation' (host and GraphQL operation) or 'host'
+};
+
+class CircuitBreaker {
+  constructor(key, options = {}, onStateChange = null) {
+    this.key = key;
+    this.options = { ...DEFAULT_CIRCUIT, ...options };
+    this.onStateChange = onStateChange;
+    
+    this.state = CircuitStates.CLOSED;
+    this.failures = 0;
+    this.retryAt = null;
+    this.trials = 0;
+    this.stats = {
+      opened: 0,
+      rejected: 0
+    };
+  }
+  
+  /**
+   * Take a slot for a request, false while the circuit fails fast
+   * An open circuit turns half-open once its cool-down has passed
+   */
+  tryAcquire(now = Date.now()) {
+    if (this.state === CircuitStates.OPEN) {
+      if (now < this.retryAt) {
+        this.stats.rejected++;
+        return false;
+      }
+      
+      this.trials = 0;
+      this._transition(CircuitStates.HALF_OPEN);
+    }
+    
+    if (this.state === CircuitStates.HALF_OPEN) {
+      if (this.trials >= this.options.halfOpenRequests) {
+        this.stats.rejected++;
+        return false;
+      }
+      
+      this.trials++;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * The endpoint answered
+   */
+  onSuccess() {
+    this.failures = 0;
+    
+    if (this.state === CircuitStates.HALF_OPEN) {
+      this.trials = 0;
+      this.retryAt = null;
+      this._transition(CircuitStates.CLOSED);
+    }
+  }
+  
+  /**
+   * The endpoint failed in a way that says it is unhealthy
+   */
+  onFailure(now = Date.now()) {
+    this.failures++;
+    
+    if (this.state === CircuitStates.HALF_OPEN || this.failures >= this.options.failureThreshold) {
+      this.open(now);
+    }
+  }
+  
+  /**
+   * The request ended without telling anything about the endpoint (cancelled, client error)
+   */
+  release() {
+    if (this.state === CircuitStates.HALF_OPEN && this.trials > 0) {
+      this.trials--;
+    }
+  }
+  
+  /**
+   * Open the circuit for a cool-down
+   */
+  open(now = Date.now()) {
+    this.trials = 0;
+    this.retryAt = now + this.options.cooldown;
+    
+    if (this.state !== CircuitStates.OPEN) {
+      this.stats.opened++;
+      this._transition(CircuitStates.OPEN);
+    }
+  }
+  
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.trials = 0;
+    this.retryAt = null;
+    
+    if (this.state !== CircuitStates.CLOSED) {
+      this._transition(CircuitStates.CLOSED);
+    }
+  }
+  
+  /**
+   * Get ms until the circuit lets a trial request through
+   */
+  getRetryAfter(now = Date.now()) {
+    return this.retryAt ? Math.max(0, this.retryAt - now) : 0;
+  }
+  
+  /**
+   * Get circuit state
+   */
+  getState(now = Date.now()) {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAfter: this.getRetryAfter(now),
+      opened: this.stats.opened,
+      rejected: this.stats.rejected
+    };
+  }
+  
+  /**
+   * Move to a new state and report it
+   */
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+    
+    if (this.onStateChange) {
+      this.onStateChange(this, previous);
+    }
+  }
+}
+
+class CircuitBreakerRegistry {
+  constructor(options = {}, onStateChange = null) {
+    this.enabled = options !== false;
+    this.options = { ...DEFAULT_CIRCUIT, ...(options || {}) };
+    this.onStateChange = onStateChange;
+    this.circuits = new Map();
+  }
+  
+  /**
+   * Get the circuit key of a request: its host, plus the GraphQL operation when scoped by operation
+   */
+  getKey(url, operation = null) {
+    let host;
+    
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = url;
+    }
+    
+    return this.options.scope === 'operation' && operation ? `${host}/${operation}` : host;
+  }
+  
+  /**
+   * Get or create the circuit for a key
+   */
+  get(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, new CircuitBreaker(key, this.options, this.onStateChange));
+    }
+    
+    return this.circuits.get(key);
+  }
+  
+  /**
+   * Take a slot on the request's circuit
+   * Throws a CircuitOpenError while it fails fast, returns null when circuit breaking is off
+   */
+  acquire(url, operation = null, now = Date.now()) {
+    if (!this.enabled) {
+      return null;
+    }
+    
+    const circuit = this.get(this.getKey(url, operation));
+    
+    if (!circuit.tryAcquire(now)) {
+      const retryAfter = Math.ceil(circuit.getRetryAfter(now) / 1000);
+      throw new CircuitOpenError(`Circuit open for ${circuit.key}: failing fast, retry after ${retryAfter}s`, {
+        circuit: circuit.key,
+        state: circuit.state,
+        failures: circuit.failures,
+        retryAfter,
+        url,
+        operation
+      });
+    }
+    
+    return circuit;
+  }
+  
+  /**
+   * Close one circuit, or all of them
+   */
+  reset(key = null) {
+    if (key) {
+      const circuit = this.circuits.get(key);
+      if (circuit) {
+        circuit.reset();
+      }
+      return;
+    }
+    
+    this.circuits.forEach(circuit => circuit.reset());
+  }
+  
+  /**
+   * Get the state of every circuit
+   */
+  getStats(now = Date.now()) {
+    const circuits = {};
+    
+    this.circuits.forEach((circuit, key) => {
+      circuits[key] = circuit.getState(now);
+    });
+    
+    return {
+      enabled: this.enabled,
+      circuits
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CIRCUIT,
+  CircuitBreaker,
+  CircuitBreakerRegistry
+};
\ No newline at end of file
@@ -0,0 +1,371 @@
+/**
+ * Cookie utilities for Messenger Private API
+ * RFC 6265 cookie jar shared by HTTP requests and the WebSocket handshake
+ */
+
+/**
+ * Parse a single Set-Cookie header value
+ */
+function parseSetCookie(header) {
+  const [nameValue, ...attributeParts] = header.split(';');
+  const separator = nameValue.indexOf('=');
+  
+  if (separator <= 0) {
+    return null;
+  }
+  
+  const cookie = {
+    name: nameValue.slice(0, separator).trim(),
+    value: nameValue.slice(separator + 1).trim(),
+    domain: null,
+    path: null,
+    expires: null,
+    maxAge: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null
+  };
+  
+  attributeParts.forEach(part => {
+    const index = part.indexOf('=');
+    const key = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase();
+    const value = index === -1 ? '' : part.slice(index + 1).trim();
+    
+    switch (key) {
+      case 'domain':
+        // Leading dots are ignored (RFC 6265 5.2.3)
+        cookie.domain = value.replace(/^\./, '').toLowerCase() || null;
+        break;
+      case 'path':
+        cookie.path = value.startsWith('/') ? value : null;
+        break;
+      case 'expires': {
+        const expires = Date.parse(value);
+        cookie.expires = Number.isNaN(expires) ? null : expires;
+        break;
+      }
+      case 'max-age':
+        cookie.maxAge = /^-?\d+$/.test(value) ? parseInt(value, 10) : null;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+      case 'samesite':
+        cookie.sameSite = value.toLowerCase();
+        break;
+      default:
+        break;
+    }
+  });
+  
+  return cookie;
+}
+
+/**
+ * Check if a host matches a cookie domain (RFC 6265 5.1.3)
+ */
+function domainMatch(host, domain) {
+  if (host === domain) {
+    return true;
+  }
+  
+  // IP addresses only match exactly
+  if (/^[\d.]+$/.test(host) || host.includes(':')) {
+    return false;
+  }
+  
+  return host.endsWith(`.${domain}`);
+}
+
+/**
+ * Get the default cookie path for a request path (RFC 6265 5.1.4)
+ */
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) {
+    return '/';
+  }
+  
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+/**
+ * Check if a request path matches a cookie path (RFC 6265 5.1.4)
+ */
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  
+  if (requestPath.startsWith(cookiePath)) {
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+  
+  return false;
+}
+
+/**
+ * Parse a URL into the parts used for cookie matching
+ */
+function parseCookieUrl(url) {
+  const parsed = new URL(url);
+  
+  return {
+    host: parsed.hostname.toLowerCase(),
+    path: parsed.pathname || '/',
+    secure: parsed.protocol === 'https:' || parsed.protocol === 'wss:'
+  };
+}
+
+/**
+ * Normalize exported cookies into the jar's cookie records
+ * Accepts appstate arrays ({ key, value }), browser extension exports ({ name, value, expirationDate }),
+ * their JSON, a Cookie header string or a name/value map
+ */
+function parseCookieList(input, defaultDomain = 'facebook.com') {
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      return parseCookieList(JSON.parse(trimmed), defaultDomain);
+    }
+    
+    input = trimmed.split(';')
+      .map(pair => pair.trim())
+      .filter(pair => pair.indexOf('=') > 0)
+      .map(pair => ({
+        name: pair.slice(0, pair.indexOf('=')).trim(),
+        value: pair.slice(pair.indexOf('=') + 1).trim()
+      }));
+  } else if (input && !Array.isArray(input) && typeof input === 'object') {
+    input = Object.entries(input).map(([name, value]) => ({ name, value }));
+  }
+  
+  if (!Array.isArray(input)) {
+    throw new Error('Cookies must be an array, a JSON string, a Cookie header or a name/value map');
+  }
+  
+  return input
+    .filter(cookie => cookie && (cookie.name || cookie.key))
+    .map(cookie => {
+      let expires = null;
+      if (typeof cookie.expirationDate === 'number') {
+        expires = Math.round(cookie.expirationDate * 1000);
+      } else if (cookie.expires && cookie.expires !== 'Infinity') {
+        const parsed = typeof cookie.expires === 'number' ? cookie.expires : Date.parse(cookie.expires);
+        expires = Number.isNaN(parsed) ? null : parsed;
+      }
+      
+      return {
+        name: cookie.name || cookie.key,
+        value: String(cookie.value),
+        domain: (cookie.domain || defaultDomain).replace(/^\./, '').toLowerCase(),
+        path: cookie.path || '/',
+        expires,
+        secure: cookie.secure !== undefined ? !!cookie.secure : true,
+        httpOnly: !!cookie.httpOnly,
+        sameSite: null,
+        hostOnly: !!cookie.hostOnly
+      };
+    });
+}
+
+class CookieJar {
+  constructor(cookies = []) {
+    // Keyed by domain;path;name so overwrites replace the stored cookie
+    this.cookies = new Map();
+    
+    this.setCookies(cookies);
+  }
+  
+  /**
+   * Store a Set-Cookie header received from a URL
+   * Returns the stored cookie, or null if it was rejected or deleted
+   */
+  setCookie(header, url, now = Date.now()) {
+    const parsed = typeof header === 'string' ? parseSetCookie(header) : header;
+    if (!parsed) {
+      return null;
+    }
+    
+    const request = parseCookieUrl(url);
+    let domain = request.host;
+    let hostOnly = true;
+    
+    if (parsed.domain) {
+      // Reject cookies for unrelated domains and bare top-level domains
+      if (!parsed.domain.includes('.') || !domainMatch(request.host, parsed.domain)) {
+        return null;
+      }
+      domain = parsed.domain;
+      hostOnly = false;
+    }
+    
+    // Secure cookies can only be set from secure origins
+    if (parsed.secure && !request.secure) {
+      return null;
+    }
+    
+    let expires = null;
+    if (parsed.maxAge !== null) {
+      expires = parsed.maxAge <= 0 ? 0 : now + parsed.maxAge * 1000;
+    } else if (parsed.expires !== null) {
+      expires = parsed.expires;
+    }
+    
+    const path = parsed.path || defaultPath(request.path);
+    const key = `${domain};${path};${parsed.name}`;
+    const existing = this.cookies.get(key);
+    
+    // An expiry in the past deletes the cookie
+    if (expires !== null && expires <= now) {
+      this.cookies.delete(key);
+      return null;
+    }
+    
+    const cookie = {
+      name: parsed.name,
+      value: parsed.value,
+      domain,
+      path,
+      expires,
+      secure: parsed.secure,
+      httpOnly: parsed.httpOnly,
+      sameSite: parsed.sameSite,
+      hostOnly,
+      creationTime: existing ? existing.creationTime : now
+    };
+    
+    this.cookies.set(key, cookie);
+    
+    return cookie;
+  }
+  
+  /**
+   * Store all Set-Cookie headers of a response
+   */
+  setCookiesFromResponse(response, url) {
+    const headers = response && response.headers;
+    const setCookie = headers && headers['set-cookie'];
+    
+    if (!setCookie || !url) {
+      return [];
+    }
+    
+    return [].concat(setCookie)
+      .map(header => this.setCookie(header, url))
+      .filter(Boolean);
+  }
+  
+  /**
+   * Add already parsed cookies (e.g. from a serialized jar)
+   */
+  setCookies(cookies) {
+    (cookies || []).forEach(cookie => {
+      const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+      this.cookies.set(key, {
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+        hostOnly: false,
+        expires: null,
+        creationTime: Date.now(),
+        ...cookie
+      });
+    });
+  }
+  
+  /**
+   * Get the cookies that would be sent to a URL, in RFC 6265 order
+   */
+  getCookies(url, now = Date.now()) {
+    const request = parseCookieUrl(url);
+    
+    this.removeExpired(now);
+    
+    return Array.from(this.cookies.values())
+      .filter(cookie => cookie.hostOnly ? request.host === cookie.domain : domainMatch(request.host, cookie.domain))
+      .filter(cookie => pathMatch(request.path, cookie.path))
+      .filter(cookie => !cookie.secure || request.secure)
+      .sort((a, b) => (b.path.length - a.path.length) || (a.creationTime - b.creationTime));
+  }
+  
+  /**
+   * Get the Cookie header value for a URL
+   */
+  getCookieString(url) {
+    return this.getCookies(url)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+  
+  /**
+   * Get a single cookie value for a URL
+   */
+  getValue(name, url) {
+    const cookie = this.getCookies(url).find(item => item.name === name);
+    return cookie ? cookie.value : null;
+  }
+  
+  /**
+   * Get the cookies for a URL as a name/value map
+   */
+  toObject(url) {
+    return this.getCookies(url).reduce((result, cookie) => {
+      result[cookie.name] = cookie.value;
+      return result;
+    }, {});
+  }
+  
+  /**
+   * Drop expired cookies
+   */
+  removeExpired(now = Date.now()) {
+    this.cookies.forEach((cookie, key) => {
+      if (cookie.expires !== null && cookie.expires <= now) {
+        this.cookies.delete(key);
+      }
+    });
+  }
+  
+  /**
+   * Remove all cookies
+   */
+  clear() {
+    this.cookies.clear();
+  }
+  
+  /**
+   * Number of stored cookies
+   */
+  get size() {
+    return this.cookies.size;
+  }
+  
+  /**
+   * Serialize the jar, session cookies included
+   */
+  toJSON() {
+    this.removeExpired();
+    return Array.from(this.cookies.values()).map(cookie => ({ ...cookie }));
+  }
+  
+  /**
+   * Restore a jar serialized with toJSON()
+   */
+  static fromJSON(cookies) {
+    return new CookieJar(cookies);
+  }
+}
+
+module.exports = {
+  CookieJar,
+  parseSetCookie,
+  parseCookieList,
+  domainMatch,
+  pathMatch,
+  defaultPath
+};
\ No newline at end of file
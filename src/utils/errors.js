@@ -68,12 +68,19 @@ class NetworkError extends MessengerError {
     // Retry on network-level errors
     if (this.details.originalError) {
       const { code } = this.details.originalError;
-      return ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'].includes(code);
+      return ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'ECONNABORTED'].includes(code);
     }
     
     return false;
   }
   
+  /**
+   * Check if the request failed at the proxy rather than at Messenger
+   */
+  isProxyError() {
+    return !!this.details.proxy;
+  }
+  
   /**
    * Get HTTP status code if available
    */
@@ -255,6 +262,59 @@ class TimeoutError extends MessengerError {
   }
 }
 
+class AbortError extends MessengerError {
+  constructor(message = 'Operation aborted', details = {}) {
+    super(message, details);
+    this.name = 'AbortError';
+    this.category = 'aborted';
+  }
+  
+  isRetryable() {
+    return false; // The caller asked to stop
+  }
+  
+  /**
+   * Check if the signal was aborted by a timeout (e.g. AbortSignal.timeout())
+   */
+  isTimeout() {
+    const { reason } = this.details;
+    return !!reason && reason.name === 'TimeoutError';
+  }
+  
+  /**
+   * Get the abort reason passed to AbortController.abort()
+   */
+  getReason() {
+    return this.details.reason;
+  }
+}
+
+class CircuitOpenError extends MessengerError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'CircuitOpenError';
+    this.category = 'circuit_open';
+  }
+  
+  isRetryable() {
+    return false; // Fails fast on purpose, retrying before the cool-down ends fails again
+  }
+  
+  /**
+   * Get seconds until the circuit lets a trial request through
+   */
+  getRetryAfter() {
+    return this.details.retryAfter || 0;
+  }
+  
+  /**
+   * Get the circuit key (host, or host and GraphQL operation)
+   */
+  getCircuit() {
+    return this.details.circuit || null;
+  }
+}
+
 /**
  * Error factory for creating appropriate error types
  */
@@ -268,7 +328,9 @@ class ErrorFactory {
       'media': MediaError,
       'websocket': WebSocketError,
       'encryption': EncryptionError,
-      'timeout': TimeoutError
+      'timeout': TimeoutError,
+      'aborted': AbortError,
+      'circuit_open': CircuitOpenError
     };
     
     const ErrorClass = errorClasses[type] || MessengerError;
@@ -343,5 +405,7 @@ module.exports = {
   WebSocketError,
   EncryptionError,
   TimeoutError,
+  AbortError,
+  CircuitOpenError,
   ErrorFactory
 };
\ No newline at end of file
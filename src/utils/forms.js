@@ -0,0 +1,134 @@
+/**
+ * HTML form utilities for Messenger Private API
+ * Extracts form actions and input state from login and checkpoint pages
+ */
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&quot;': '"',
+  '&#039;': "'",
+  '&#39;': "'",
+  '&lt;': '<',
+  '&gt;': '>'
+};
+
+/**
+ * Decode the HTML entities commonly found in attribute values
+ */
+function decodeEntities(value) {
+  return value.replace(/&(amp|quot|#0?39|lt|gt);/g, entity => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Parse the attributes of a single HTML tag
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  
+  // Skip the tag name itself
+  const body = tag.replace(/^<\s*[\w-]+/, '');
+  let match;
+  
+  while ((match = attributePattern.exec(body)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value !== undefined ? decodeEntities(value) : true;
+  }
+  
+  return attributes;
+}
+
+/**
+ * Resolve a (possibly relative) URL against the page it was found on
+ */
+function resolveUrl(url, baseUrl) {
+  if (!url) {
+    return baseUrl;
+  }
+  
+  try {
+    return new URL(decodeEntities(url), baseUrl).toString();
+  } catch (error) {
+    return baseUrl;
+  }
+}
+
+/**
+ * Extract all hidden inputs from an HTML fragment
+ */
+function parseHiddenInputs(html) {
+  const fields = {};
+  const inputs = (html || '').match(/<input\b[^>]*>/gi) || [];
+  
+  inputs.forEach(tag => {
+    const attributes = parseAttributes(tag);
+    if (attributes.type === 'hidden' && attributes.name) {
+      fields[attributes.name] = attributes.value === true ? '' : (attributes.value || '');
+    }
+  });
+  
+  return fields;
+}
+
+/**
+ * Parse a form into reusable state
+ * Picks the form whose action matches actionHint, otherwise the first form on the page
+ */
+function parseForm(html, baseUrl, actionHint = 'checkpoint') {
+  const page = html || '';
+  const forms = [];
+  const formPattern = /<form\b([^>]*)>([\s\S]*?)<\/form>/gi;
+  let match;
+  
+  while ((match = formPattern.exec(page)) !== null) {
+    forms.push({ attributes: parseAttributes(`<form ${match[1]}>`), body: match[2] });
+  }
+  
+  const selected = forms.find(form => (form.attributes.action || '').includes(actionHint)) || forms[0];
+  const body = selected ? selected.body : page;
+  const attributes = selected ? selected.attributes : {};
+  
+  const state = {
+    action: resolveUrl(attributes.action, baseUrl),
+    method: (attributes.method || 'post').toUpperCase(),
+    fields: parseHiddenInputs(body),
+    inputs: [],
+    options: {},
+    buttons: []
+  };
+  
+  (body.match(/<input\b[^>]*>/gi) || []).forEach(tag => {
+    const input = parseAttributes(tag);
+    const type = (input.type || 'text').toLowerCase();
+    
+    if (!input.name || type === 'hidden') {
+      return;
+    }
+    
+    if (type === 'radio' || type === 'checkbox') {
+      state.options[input.name] = state.options[input.name] || [];
+      state.options[input.name].push(input.value === true ? '' : input.value);
+    } else if (type === 'submit') {
+      state.buttons.push({ name: input.name, value: input.value || '' });
+    } else {
+      state.inputs.push(input.name);
+    }
+  });
+  
+  (body.match(/<button\b[^>]*>/gi) || []).forEach(tag => {
+    const button = parseAttributes(tag);
+    if (button.name && (button.type || 'submit') === 'submit') {
+      state.buttons.push({ name: button.name, value: button.value === true ? '' : (button.value || '') });
+    }
+  });
+  
+  return state;
+}
+
+module.exports = {
+  decodeEntities,
+  parseAttributes,
+  resolveUrl,
+  parseHiddenInputs,
+  parseForm
+};
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * GraphQL utilities for Messenger Private API
+ * Registry of operations with persisted doc_ids, runtime overrides and variable validation
+ */
+
+const { Operations } = require('../queries');
+const { ValidationError } = require('./errors');
+
+/**
+ * Parse the variable definitions of an operation document
+ * e.g. "query GetThread($threadId: ID!, $limit: Int)" gives { threadId: 'ID!', limit: 'Int' }
+ */
+function parseVariableDefinitions(document) {
+  const header = document.match(/^\s*(?:query|mutation|subscription)\s*\w*\s*\(([^)]*)\)/);
+  const definitions = {};
+  
+  if (!header) {
+    return definitions;
+  }
+  
+  const pattern = /\$(\w+)\s*:\s*([\w[\]!]+)/g;
+  let match;
+  
+  while ((match = pattern.exec(header[1])) !== null) {
+    definitions[match[1]] = match[2];
+  }
+  
+  return definitions;
+}
+
+/**
+ * Check a value against a GraphQL type, returning an error message or null
+ */
+function checkType(value, type) {
+  const required = type.endsWith('!');
+  const baseType = required ? type.slice(0, -1) : type;
+  
+  if (value === undefined || value === null) {
+    return required ? 'is required' : null;
+  }
+  
+  if (baseType.startsWith('[')) {
+    if (!Array.isArray(value)) {
+      return `must be a list (${type})`;
+    }
+    
+    const itemType = baseType.slice(1, -1);
+    const invalid = value.map(item => checkType(item, itemType)).find(Boolean);
+    return invalid ? `has an item that ${invalid}` : null;
+  }
+  
+  switch (baseType) {
+    case 'ID':
+      return typeof value === 'string' || Number.isInteger(value) ? null : 'must be an ID (string or integer)';
+    case 'String':
+      return typeof value === 'string' ? null : 'must be a String';
+    case 'Int':
+      return Number.isInteger(value) ? null : 'must be an Int';
+    case 'Float':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a Float';
+    case 'Boolean':
+      return typeof value === 'boolean' ? null : 'must be a Boolean';
+    default:
+      // Input objects are checked by shape only, enums and custom scalars by the server
+      if (baseType.endsWith('Input')) {
+        return typeof value === 'object' && !Array.isArray(value) ? null : `must be a ${baseType} object`;
+      }
+      return null;
+  }
+}
+
+class QueryRegistry {
+  constructor(options = {}) {
+    const { persisted = false, docIds = {}, overrides = {}, validate = true } = options;
+    
+    // Send doc_id + variables instead of the document when an operation has a doc_id
+    this.persisted = persisted;
+    this.validateVariables = validate;
+    this.docIds = docIds;
+    
+    this.operations = new Map();
+    Object.keys(Operations).forEach(name => this.reset(name));
+    
+    Object.entries(overrides).forEach(([name, patch]) => this.override(name, patch));
+  }
+  
+  /**
+   * Add an operation, or replace it completely
+   */
+  register(name, { document = null, docId = null, mapVariables = null } = {}) {
+    if (!document && !docId) {
+      throw new Error(`GraphQL operation ${name} needs a document or a doc_id`);
+    }
+    
+    this.operations.set(name, {
+      name,
+      document,
+      docId: docId ? String(docId) : null,
+      mapVariables,
+      variables: document ? parseVariableDefinitions(document) : null,
+      overridden: false
+    });
+    
+    return this.get(name);
+  }
+  
+  /**
+   * Patch an operation at runtime, e.g. when the server changed a document or its doc_id
+   * mapVariables(variables) can rename or add variables for the new document
+   */
+  override(name, patch = {}) {
+    const current = this.get(name);
+    const document = patch.document !== undefined ? patch.document : current.document;
+    
+    this.operations.set(name, {
+      ...current,
+      document,
+      docId: patch.docId !== undefined ? (patch.docId ? String(patch.docId) : null) : current.docId,
+      mapVariables: patch.mapVariables !== undefined ? patch.mapVariables : current.mapVariables,
+      variables: document ? parseVariableDefinitions(document) : null,
+      overridden: true
+    });
+    
+    return this.get(name);
+  }
+  
+  /**
+   * Restore a built-in operation, dropping its overrides
+   */
+  reset(name) {
+    if (!Operations[name]) {
+      this.operations.delete(name);
+      return;
+    }
+    
+    this.register(name, { document: Operations[name], docId: this.docIds[name] || null });
+  }
+  
+  /**
+   * Get an operation by name
+   */
+  get(name) {
+    const operation = this.operations.get(name);
+    
+    if (!operation) {
+      throw new Error(`Unknown GraphQL operation: ${name}`);
+    }
+    
+    return operation;
+  }
+  
+  /**
+   * Check if an operation is registered
+   */
+  has(name) {
+    return this.operations.has(name);
+  }
+  
+  /**
+   * Check if an operation only reads data, so it can be shared and batched
+   * Operations known only by doc_id are treated as mutations
+   */
+  isQuery(name) {
+    const operation = this.get(name);
+    return !!operation.document && /^\s*query\b/.test(operation.document);
+  }
+  
+  /**
+   * Names of all registered operations
+   */
+  list() {
+    return Array.from(this.operations.keys());
+  }
+  
+  /**
+   * Check variables against the operation's definitions
+   * Throws a ValidationError listing every invalid or unknown variable
+   */
+  validate(name, variables = {}) {
+    const operation = this.get(name);
+    
+    // Operations known only by doc_id have no definitions to check against
+    if (!operation.variables) {
+      return true;
+    }
+    
+    const fieldErrors = {};
+    
+    Object.entries(operation.variables).forEach(([variable, type]) => {
+      const error = checkType(variables[variable], type);
+      if (error) {
+        fieldErrors[variable] = error;
+      }
+    });
+    
+    Object.keys(variables).forEach(variable => {
+      if (!(variable in operation.variables)) {
+        fieldErrors[variable] = `is not defined by ${name}`;
+      }
+    });
+    
+    if (Object.keys(fieldErrors).length > 0) {
+      const summary = Object.entries(fieldErrors).map(([variable, error]) => `$${variable} ${error}`).join(', ');
+      throw new ValidationError(`Invalid variables for ${name}: ${summary}`, { operation: name, fieldErrors });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Build the request payload for an operation
+   */
+  build(name, variables = {}, options = {}) {
+    const operation = this.get(name);
+    const persisted = options.persisted !== undefined ? options.persisted : this.persisted;
+    const mapped = operation.mapVariables ? operation.mapVariables({ ...variables }) : variables;
+    
+    if (this.validateVariables) {
+      this.validate(name, mapped);
+    }
+    
+    if ((persisted || !operation.document) && operation.docId) {
+      return {
+        doc_id: operation.docId,
+        variables: mapped,
+        fb_api_req_friendly_name: name
+      };
+    }
+    
+    return {
+      query: operation.document,
+      variables: mapped
+    };
+  }
+  
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    const operations = Array.from(this.operations.values());
+    
+    return {
+      persisted: this.persisted,
+      operations: operations.length,
+      withDocId: operations.filter(operation => operation.docId).length,
+      overridden: operations.filter(operation => operation.overridden).map(operation => operation.name)
+    };
+  }
+}
+
+module.exports = {
+  QueryRegistry,
+  parseVariableDefinitions,
+  checkType
+};
\ No newline at end of file
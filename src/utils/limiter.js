@@ -0,0 +1,101 @@
+/**
+ * Concurrency utilities for Messenger Private API
+ * Caps how many async tasks run at once, shared across clients if needed
+ */
+
+const { createAbortError } = require('./abort');
+
+class ConcurrencyLimiter {
+  constructor(maxConcurrent = 1) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+  }
+  
+  /**
+   * Run a task once a slot is free
+   * An aborted signal gives up the place in the queue
+   */
+  async run(task, signal = null) {
+    await this._acquire(signal);
+    
+    try {
+      return await task();
+    } finally {
+      this._release();
+    }
+  }
+  
+  /**
+   * Wait for a free slot
+   */
+  _acquire(signal = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+    
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (!signal) {
+        this.queue.push(resolve);
+        return;
+      }
+      
+      const onAbort = () => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        reject(createAbortError(signal));
+      };
+      const waiter = () => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+  
+  /**
+   * Hand the slot to the next waiting task, or free it
+   */
+  _release() {
+    const next = this.queue.shift();
+    
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+  
+  /**
+   * Change the limit, waking up waiting tasks if it grew
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+  
+  /**
+   * Get limiter statistics
+   */
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      pending: this.queue.length
+    };
+  }
+}
+
+module.exports = {
+  ConcurrencyLimiter
+};
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Logging utilities for Messenger Private API
+ * Structured, leveled records for the console or any pino/winston compatible logger, secrets redacted
+ */
+
+const { REDACTED, DEFAULT_REDACT_KEYS, redactString } = require('./redact');
+const { getTraceContext } = require('./tracing');
+
+const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+// Message contents never reach a log
+const MESSAGE_BODY_KEYS = ['text', 'body', 'message_text', 'snippet', 'caption'];
+
+// Loggers without a method for a level (winston has no trace) get the next one up
+const FALLBACK_METHODS = {
+  trace: 'debug',
+  debug: 'info'
+};
+
+const CONSOLE_METHODS = {
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+// Nested fields deeper than this are cut off
+const MAX_DEPTH = 6;
+
+/**
+ * Get a log level's severity, throwing on unknown names
+ */
+function resolveLevel(level) {
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  
+  return LOG_LEVELS[level];
+}
+
+/**
+ * Turn an error into a plain, redacted record
+ */
+function serializeError(error, keys) {
+  const record = {
+    name: error.name,
+    message: redactString(error.message, keys)
+  };
+  
+  if (error.code) {
+    record.code = error.code;
+  }
+  
+  const statusCode = (error.details && error.details.statusCode) || (error.response && error.response.status);
+  if (statusCode) {
+    record.statusCode = statusCode;
+  }
+  
+  return record;
+}
+
+/**
+ * Deep copy log fields with secrets and message bodies replaced by [REDACTED]
+ */
+function sanitize(value, keys, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value, keys);
+  }
+  
+  if (typeof value === 'string') {
+    return redactString(value, keys);
+  }
+  
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, keys, depth + 1));
+  }
+  
+  return Object.keys(value).reduce((result, key) => {
+    const item = value[key];
+    
+    if (item !== undefined) {
+      result[key] = keys.includes(key.toLowerCase()) && item !== null ? REDACTED : sanitize(item, keys, depth + 1);
+    }
+    
+    return result;
+  }, {});
+}
+
+/**
+ * Check whether a logger takes (message, fields) like winston rather than (fields, message) like pino
+ */
+function isWinstonStyle(target) {
+  return Array.isArray(target.transports) || (typeof target.add === 'function' && typeof target.log === 'function');
+}
+
+class Logger {
+  constructor(options = {}) {
+    const { target = null, level, redact = [], bindings = {}, shared = null } = options;
+    
+    this.target = target;
+    this.bindings = bindings;
+    
+    // Children share the level and redaction settings of the root logger
+    this.shared = shared || {
+      // Without a level, forward everything to a custom logger and let it filter
+      level: resolveLevel(level || (target ? 'trace' : Logger.getDefaultLevel())),
+      redactKeys: [...DEFAULT_REDACT_KEYS, ...MESSAGE_BODY_KEYS, ...redact.map(key => key.toLowerCase())],
+      winston: target ? isWinstonStyle(target) : false
+    };
+  }
+  
+  /**
+   * Level of the console logger: debug while developing, warnings and errors otherwise
+   */
+  static getDefaultLevel() {
+    return process.env.NODE_ENV === 'development' ? 'debug' : 'warn';
+  }
+  
+  /**
+   * Create a logger adding fields (component, request id, ...) to every record
+   */
+  child(bindings = {}) {
+    return new Logger({
+      target: this.target,
+      bindings: { ...this.bindings, ...bindings },
+      shared: this.shared
+    });
+  }
+  
+  /**
+   * Change the level of this logger and all loggers derived from the same root
+   */
+  setLevel(level) {
+    this.shared.level = resolveLevel(level);
+  }
+  
+  /**
+   * Check whether records of a level are written
+   */
+  isLevelEnabled(level) {
+    return resolveLevel(level) >= this.shared.level;
+  }
+  
+  trace(message, fields) {
+    this._write('trace', message, fields);
+  }
+  
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+  
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+  
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+  
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+  
+  /**
+   * Redact a record and hand it to the target logger
+   */
+  _write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    
+    const { redactKeys, winston } = this.shared;
+    const text = redactString(String(message), redactKeys);
+    // Records written inside a traced operation carry its trace and span ids
+    const record = sanitize({ ...this.bindings, ...getTraceContext(), ...fields }, redactKeys);
+    
+    try {
+      if (!this.target) {
+        this._writeConsole(level, text, record);
+        return;
+      }
+      
+      const method = typeof this.target[level] === 'function' ? level : FALLBACK_METHODS[level];
+      if (!method || typeof this.target[method] !== 'function') {
+        return;
+      }
+      
+      if (winston) {
+        this.target[method](text, record);
+      } else {
+        this.target[method](record, text);
+      }
+    } catch (error) {
+      // A broken logger must never break a request
+    }
+  }
+  
+  /**
+   * Write a record to the console: "[time] LEVEL component: message {fields}"
+   */
+  _writeConsole(level, text, record) {
+    const { component, ...fields } = record;
+    const prefix = `[${new Date().toISOString()}] ${level.toUpperCase()}${component ? ` ${component}` : ''}:`;
+    const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    
+    console[CONSOLE_METHODS[level]](`${prefix} ${text}${details}`);
+  }
+}
+
+/**
+ * Create the client logger
+ * Accepts a Logger, any pino/winston compatible logger, false to turn logging off,
+ * or nothing to log warnings and errors to the console
+ */
+function createLogger(logger, options = {}) {
+  if (logger instanceof Logger) {
+    if (options.level) {
+      logger.setLevel(options.level);
+    }
+    return logger;
+  }
+  
+  if (logger === false) {
+    return new Logger({ level: 'silent' });
+  }
+  
+  return new Logger({ target: logger || null, level: options.level, redact: options.redact });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  createLogger,
+  sanitize
+};
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * Metrics utilities for Messenger Private API
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Format a sample value, Prometheus spells infinity +Inf
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Escape a label value: backslashes, double quotes and newlines
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}, empty when there are no labels
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  
+  if (names.length === 0) {
+    return '';
+  }
+  
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+  
+  /**
+   * Get the series of a label set, created on first use
+   */
+  _getSeries(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    
+    if (!this.series.has(key)) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, index) => {
+        seriesLabels[name] = values[index];
+      });
+      this.series.set(key, this._createSeries(seriesLabels));
+    }
+    
+    return this.series.get(key);
+  }
+  
+  _createSeries(labels) {
+    return { labels, value: 0 };
+  }
+  
+  /**
+   * Get the value of one series
+   */
+  get(labels = {}) {
+    return this._getSeries(labels).value;
+  }
+  
+  /**
+   * Forget every series
+   */
+  reset() {
+    this.series.clear();
+  }
+  
+  /**
+   * Render the samples of this metric, without HELP and TYPE lines
+   * A metric without labels always has a sample, even before it was touched
+   */
+  _renderSamples(defaultLabels) {
+    if (this.labelNames.length === 0 && this.series.size === 0) {
+      this._getSeries();
+    }
+    
+    return Array.from(this.series.values()).map(series => (
+      `${this.name}${formatLabels({ ...defaultLabels, ...series.labels })} ${formatValue(series.value)}`
+    ));
+  }
+  
+  /**
+   * Render this metric in the Prometheus text format
+   */
+  render(defaultLabels = {}) {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._renderSamples(defaultLabels)
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+  
+  /**
+   * Add to the counter, counters only go up
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    
+    this._getSeries(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    
+    // Gauges reading live state are refilled right before each render
+    this.collect = collect;
+  }
+  
+  set(labels = {}, value) {
+    this._getSeries(labels).value = value;
+  }
+  
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels).value += value;
+  }
+  
+  dec(labels = {}, value = 1) {
+    this._getSeries(labels).value -= value;
+  }
+  
+  render(defaultLabels = {}) {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    
+    return super.render(defaultLabels);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+  
+  _createSeries(labels) {
+    return {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+  }
+  
+  /**
+   * Record one observation
+   */
+  observe(labels = {}, value) {
+    const series = this._getSeries(labels);
+    
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+  
+  /**
+   * Get the count, sum and per-bucket counts of one series
+   */
+  get(labels = {}) {
+    const { counts, sum, count } = this._getSeries(labels);
+    return { counts: [...counts], sum, count };
+  }
+  
+  _renderSamples(defaultLabels) {
+    const lines = [];
+    
+    this.series.forEach(series => {
+      const labels = { ...defaultLabels, ...series.labels };
+      
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.defaultLabels = options.labels || {};
+    this.metrics = new Map();
+  }
+  
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(this.prefix + name, help, labelNames));
+  }
+  
+  gauge(name, help, labelNames = [], collect = null) {
+    return this._register(new Gauge(this.prefix + name, help, labelNames, collect));
+  }
+  
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+  
+  /**
+   * Get a metric by its name, without the prefix
+   */
+  get(name) {
+    return this.metrics.get(this.prefix + name) || null;
+  }
+  
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+  
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render() {
+    const blocks = Array.from(this.metrics.values()).map(metric => metric.render(this.defaultLabels));
+    return `${blocks.join('\n')}\n`;
+  }
+  
+  /**
+   * Forget every recorded value
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Middleware utilities for Messenger Private API
+ * Runs request middlewares onion style: each one wraps everything registered after it
+ */
+
+/**
+ * Compose middlewares into a single function
+ * Each middleware is async (ctx, next) => {}; code before `await next()` sees the request,
+ * code after it sees ctx.response. Not calling next() short-circuits the rest of the chain.
+ */
+function compose(middlewares) {
+  middlewares.forEach(middleware => {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+  });
+  
+  return (ctx, handler) => {
+    let index = -1;
+    
+    const dispatch = async (position) => {
+      if (position <= index) {
+        throw new Error('next() called multiple times');
+      }
+      index = position;
+      
+      if (position === middlewares.length) {
+        return handler ? await handler(ctx) : undefined;
+      }
+      
+      return await middlewares[position](ctx, () => dispatch(position + 1));
+    };
+    
+    return dispatch(0);
+  };
+}
+
+module.exports = {
+  compose
+};
\ No newline at end of file
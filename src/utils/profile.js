@@ -0,0 +1,163 @@
+/**
+ * Device profile for Messenger Private API
+ * A stable device identity that is generated once and reused across restarts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Protocol } = require('../constants');
+const { generateDeviceId, generateClientId } = require('./device');
+
+const PROFILE_VERSION = 1;
+
+// Defaults match the identity the library has always presented
+const DEFAULT_PROFILE = {
+  model: 'SM-G991B',
+  osVersion: '13',
+  platform: Protocol.PLATFORM,
+  appVersion: Protocol.CLIENT_VERSION,
+  locale: 'en_US'
+};
+
+/**
+ * Build a mobile browser user agent for a device
+ */
+function buildUserAgent(model, osVersion) {
+  return `Mozilla/5.0 (Linux; Android ${osVersion}; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36`;
+}
+
+/**
+ * Build an Accept-Language header from a locale such as en_US
+ */
+function buildAcceptLanguage(locale) {
+  const [language, region] = locale.split(/[_-]/);
+  
+  if (!region) {
+    return `${language},en;q=0.9`;
+  }
+  
+  const tag = `${language}-${region.toUpperCase()}`;
+  return language === 'en' ? `${tag},en;q=0.9` : `${tag},${language};q=0.9,en;q=0.8`;
+}
+
+class DeviceProfile {
+  constructor(data = {}) {
+    const profile = { ...DEFAULT_PROFILE, ...data };
+    
+    if (!profile.deviceId || !profile.clientId) {
+      throw new Error('DeviceProfile requires a deviceId and clientId');
+    }
+    
+    this.deviceId = profile.deviceId;
+    this.clientId = profile.clientId;
+    this.model = profile.model;
+    this.osVersion = profile.osVersion;
+    this.platform = profile.platform;
+    this.appVersion = profile.appVersion;
+    this.locale = profile.locale;
+    this.userAgent = profile.userAgent || buildUserAgent(profile.model, profile.osVersion);
+    this.createdAt = profile.createdAt || Date.now();
+  }
+  
+  /**
+   * Generate a new device identity
+   */
+  static generate(overrides = {}) {
+    return new DeviceProfile({
+      deviceId: generateDeviceId(),
+      clientId: generateClientId(),
+      ...overrides
+    });
+  }
+  
+  /**
+   * Restore a profile serialized with toJSON()
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid device profile data');
+    }
+    
+    if (data.version && data.version > PROFILE_VERSION) {
+      throw new Error(`Unsupported device profile version: ${data.version}`);
+    }
+    
+    const { version, ...profile } = data;
+    return new DeviceProfile(profile);
+  }
+  
+  /**
+   * Load a profile from a JSON file
+   */
+  static async load(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return DeviceProfile.fromJSON(JSON.parse(content));
+  }
+  
+  /**
+   * Load a profile from a JSON file, generating and saving one if it does not exist yet
+   */
+  static async loadOrCreate(filePath, overrides = {}) {
+    try {
+      return await DeviceProfile.load(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    
+    const profile = DeviceProfile.generate(overrides);
+    await profile.save(filePath);
+    
+    return profile;
+  }
+  
+  /**
+   * Save the profile to a JSON file
+   */
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this, null, 2), { mode: 0o600 });
+  }
+  
+  /**
+   * Accept-Language header for the profile locale
+   */
+  get acceptLanguage() {
+    return buildAcceptLanguage(this.locale);
+  }
+  
+  /**
+   * Identity headers sent with every request
+   */
+  getHeaders() {
+    return {
+      'User-Agent': this.userAgent,
+      'Accept-Language': this.acceptLanguage
+    };
+  }
+  
+  /**
+   * Serialize the profile
+   */
+  toJSON() {
+    return {
+      version: PROFILE_VERSION,
+      deviceId: this.deviceId,
+      clientId: this.clientId,
+      model: this.model,
+      osVersion: this.osVersion,
+      platform: this.platform,
+      appVersion: this.appVersion,
+      locale: this.locale,
+      userAgent: this.userAgent,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = {
+  DeviceProfile,
+  buildUserAgent,
+  buildAcceptLanguage
+};
\ No newline at end of file
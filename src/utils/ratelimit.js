@@ -0,0 +1,373 @@
+/**
+ * Rate limiting utilities for Messenger Private API
+ * Token buckets per endpoint group, server Retry-After handling and a global cool down
+ */
+
+const { Endpoints } = require('../constants');
+const { abortableWait } = require('./abort');
+
+// Requests per second and burst size for each bucket
+const DEFAULT_BUCKETS = {
+  default: { rate: 1, burst: 5 },
+  graphql: { rate: 2, burst: 10 },
+  upload: { rate: 0.5, burst: 2 },
+  login: { rate: 0.2, burst: 2 }
+};
+
+// Repeated 429s within the window pause every bucket for the cool down duration
+const DEFAULT_COOLDOWN = {
+  threshold: 3,
+  window: 60 * 1000, // 1 minute
+  duration: 2 * 60 * 1000 // 2 minutes
+};
+
+// Endpoint groups sharing a bucket, first match wins
+const DEFAULT_ROUTES = [
+  { match: Endpoints.UPLOAD_API, bucket: 'upload' },
+  { match: Endpoints.MOBILE_UPLOAD, bucket: 'upload' },
+  { match: Endpoints.LOGIN, bucket: 'login' },
+  { match: Endpoints.LOGIN_2FA, bucket: 'login' },
+  // QR status polls share the prefix of LOGIN_QR but run every few seconds
+  { match: Endpoints.LOGIN_QR_STATUS, bucket: 'default' },
+  { match: Endpoints.LOGIN_QR, bucket: 'login' },
+  { match: Endpoints.LOGIN_QR_APPROVE, bucket: 'login' },
+  { match: Endpoints.LOGIN_CODE_SEND, bucket: 'login' },
+  { match: Endpoints.LOGIN_CODE_VERIFY, bucket: 'login' },
+  { match: Endpoints.GRAPHQL, bucket: 'graphql' },
+  { match: Endpoints.MOBILE_API, bucket: 'graphql' }
+];
+
+// Used when a 429 carries no Retry-After or rate limit headers
+const DEFAULT_RETRY_AFTER = 60 * 1000; // 1 minute
+
+// Longer server back-offs are reported to the caller instead of being waited out
+const DEFAULT_MAX_RETRY_AFTER = 60 * 1000; // 1 minute
+
+class TokenBucket {
+  constructor({ rate, burst }) {
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    
+    // Set when the server asked us to back off this bucket
+    this.blockedUntil = 0;
+  }
+  
+  /**
+   * Add the tokens accumulated since the last refill
+   */
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+  
+  /**
+   * Take a token, returning 0 on success or the milliseconds to wait otherwise
+   */
+  take(now = Date.now()) {
+    if (this.blockedUntil > now) {
+      return this.blockedUntil - now;
+    }
+    
+    this.refill(now);
+    
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+  
+  /**
+   * Change the refill rate and burst size
+   */
+  configure({ rate = this.rate, burst = this.burst }) {
+    this.refill();
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.tokens = Math.min(this.tokens, this.burst);
+  }
+  
+  /**
+   * Get bucket state
+   */
+  getState(now = Date.now()) {
+    this.refill(now);
+    
+    return {
+      rate: this.rate,
+      burst: this.burst,
+      tokens: Math.floor(this.tokens * 100) / 100,
+      blockedFor: Math.max(0, this.blockedUntil - now)
+    };
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const text = String(value).trim();
+  
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Parse rate limit response headers
+ * Understands Retry-After, X-RateLimit-* and Facebook's X-App-Usage / X-Business-Use-Case-Usage
+ */
+function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const get = name => headers[name] !== undefined ? headers[name] : headers[name.toLowerCase()];
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  
+  const info = {
+    limit: toNumber(get('x-ratelimit-limit')),
+    remaining: toNumber(get('x-ratelimit-remaining')),
+    reset: null,
+    retryAfter: parseRetryAfter(get('retry-after'), now),
+    usage: null
+  };
+  
+  // Reset is either epoch seconds or seconds from now
+  const reset = toNumber(get('x-ratelimit-reset'));
+  if (reset !== null && !Number.isNaN(reset)) {
+    info.reset = reset > 1e9 ? reset * 1000 : now + reset * 1000;
+  }
+  
+  // Usage headers report percentages of the quota, 100 means throttled
+  ['x-app-usage', 'x-business-use-case-usage'].forEach(name => {
+    const value = get(name);
+    if (!value) {
+      return;
+    }
+    
+    try {
+      const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+      const entries = name === 'x-app-usage' ? [parsed] : [].concat(...Object.values(parsed));
+      
+      entries.forEach(entry => {
+        const usage = Math.max(entry.call_count || 0, entry.total_time || 0, entry.total_cputime || 0);
+        info.usage = Math.max(info.usage || 0, usage);
+        
+        if (entry.estimated_time_to_regain_access) {
+          const regain = entry.estimated_time_to_regain_access * 60 * 1000;
+          info.retryAfter = Math.max(info.retryAfter || 0, regain);
+        }
+      });
+    } catch (error) {
+      // Malformed usage header, ignore it
+    }
+  });
+  
+  return info;
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    const {
+      buckets = {},
+      cooldown = {},
+      routes = [],
+      defaultRetryAfter = DEFAULT_RETRY_AFTER,
+      maxRetryAfter = DEFAULT_MAX_RETRY_AFTER
+    } = options;
+    
+    this.cooldown = { ...DEFAULT_COOLDOWN, ...cooldown };
+    this.defaultRetryAfter = defaultRetryAfter;
+    this.maxRetryAfter = maxRetryAfter;
+    
+    // Custom routes are checked before the built-in ones
+    this.routes = routes.concat(DEFAULT_ROUTES);
+    
+    this.buckets = new Map();
+    Object.entries({ ...DEFAULT_BUCKETS, ...buckets }).forEach(([name, config]) => {
+      this.buckets.set(name, new TokenBucket({ ...DEFAULT_BUCKETS.default, ...config }));
+    });
+    
+    // Global cool down state
+    this.rateLimitHits = [];
+    this.cooldownUntil = 0;
+    
+    // Statistics
+    this.stats = {
+      throttled: 0,
+      waitedMs: 0,
+      rateLimited: 0,
+      cooldowns: 0
+    };
+  }
+  
+  /**
+   * Pick the bucket for a request URL
+   * Routes match with a function, a RegExp or a URL prefix
+   */
+  resolveBucket(url) {
+    const route = this.routes.find(({ match }) => {
+      if (typeof match === 'function') return match(url);
+      if (match instanceof RegExp) return match.test(url);
+      return url.startsWith(match);
+    });
+    
+    if (route && this.buckets.has(route.bucket)) {
+      return route.bucket;
+    }
+    
+    return 'default';
+  }
+  
+  /**
+   * Wait until the bucket (and the global cool down) allows another request
+   */
+  async acquire(bucketName = 'default', signal = null) {
+    const bucket = this._getBucket(bucketName);
+    const start = Date.now();
+    
+    try {
+      for (;;) {
+        const now = Date.now();
+        const wait = this.cooldownUntil > now ? this.cooldownUntil - now : bucket.take(now);
+        
+        if (wait <= 0) {
+          break;
+        }
+        
+        await abortableWait(wait, signal);
+      }
+    } finally {
+      const waited = Date.now() - start;
+      if (waited > 0) {
+        this.stats.throttled++;
+        this.stats.waitedMs += waited;
+      }
+    }
+  }
+  
+  /**
+   * Apply rate limit headers of a successful response
+   * A drained quota blocks the bucket until the reported reset
+   */
+  update(bucketName, headers, now = Date.now()) {
+    const info = parseRateLimitHeaders(headers, now);
+    const bucket = this._getBucket(bucketName);
+    
+    if (info.remaining === 0 && info.reset) {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, info.reset);
+    } else if (info.usage !== null && info.usage >= 100 && info.retryAfter) {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, now + info.retryAfter);
+    }
+    
+    return info;
+  }
+  
+  /**
+   * Record a 429 response, block its bucket and enter cool down if they keep coming
+   * Returns the parsed rate limit info with retryAfter in milliseconds
+   */
+  handleRateLimited(bucketName, headers, now = Date.now()) {
+    const info = parseRateLimitHeaders(headers, now);
+    const bucket = this._getBucket(bucketName);
+    
+    let retryAfter = info.retryAfter;
+    if (retryAfter === null && info.reset) {
+      retryAfter = Math.max(0, info.reset - now);
+    }
+    if (retryAfter === null) {
+      retryAfter = this.defaultRetryAfter;
+    }
+    
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, now + retryAfter);
+    this.stats.rateLimited++;
+    
+    this.rateLimitHits = this.rateLimitHits.filter(time => now - time < this.cooldown.window);
+    this.rateLimitHits.push(now);
+    
+    if (this.rateLimitHits.length >= this.cooldown.threshold) {
+      if (this.cooldownUntil <= now) {
+        this.stats.cooldowns++;
+      }
+      this.cooldownUntil = Math.max(this.cooldownUntil, now + this.cooldown.duration);
+      this.rateLimitHits = [];
+    }
+    
+    return { ...info, retryAfter, cooldown: this.isCoolingDown(now) };
+  }
+  
+  /**
+   * Check if the global cool down is active
+   */
+  isCoolingDown(now = Date.now()) {
+    return this.cooldownUntil > now;
+  }
+  
+  /**
+   * Change the settings of a bucket, creating it if needed
+   */
+  configureBucket(name, config) {
+    if (this.buckets.has(name)) {
+      this.buckets.get(name).configure(config);
+    } else {
+      this.buckets.set(name, new TokenBucket({ ...DEFAULT_BUCKETS.default, ...config }));
+    }
+  }
+  
+  /**
+   * Forget server-imposed blocks and the cool down
+   */
+  reset() {
+    this.buckets.forEach(bucket => {
+      bucket.blockedUntil = 0;
+      bucket.tokens = bucket.burst;
+    });
+    this.rateLimitHits = [];
+    this.cooldownUntil = 0;
+  }
+  
+  /**
+   * Get limiter state
+   */
+  getStats() {
+    const now = Date.now();
+    const buckets = {};
+    
+    this.buckets.forEach((bucket, name) => {
+      buckets[name] = bucket.getState(now);
+    });
+    
+    return {
+      ...this.stats,
+      cooldown: {
+        active: this.isCoolingDown(now),
+        remaining: Math.max(0, this.cooldownUntil - now),
+        recentRateLimits: this.rateLimitHits.filter(time => now - time < this.cooldown.window).length
+      },
+      buckets
+    };
+  }
+  
+  /**
+   * Look up a bucket, falling back to the default one
+   */
+  _getBucket(name) {
+    return this.buckets.get(name) || this.buckets.get('default');
+  }
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  TokenBucket,
+  RateLimiter,
+  parseRetryAfter,
+  parseRateLimitHeaders
+};
\ No newline at end of file
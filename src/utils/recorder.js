@@ -0,0 +1,573 @@
+/**
+ * Record and replay utilities for Messenger Private API
+ * Captures NetworkManager traffic and WebSocket frames into fixtures and serves them back in tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const { isDeepStrictEqual } = require('util');
+const axios = require('axios');
+const { NetworkError } = require('./errors');
+const { REDACTED, DEFAULT_REDACT_KEYS, redact, redactUrl } = require('./redact');
+
+const FIXTURE_VERSION = 1;
+
+const DEFAULT_MATCH = {
+  method: true,
+  url: true,
+  operation: true,
+  variables: true
+};
+
+/**
+ * Parse a request body the way it was sent: JSON, form encoded or a plain string
+ * Binary and streamed bodies (uploads) are not kept
+ */
+function parseBody(data) {
+  if (data === undefined || data === null || data === '') {
+    return null;
+  }
+  
+  if (Buffer.isBuffer(data) || typeof data.pipe === 'function') {
+    return '[binary]';
+  }
+  
+  if (data instanceof URLSearchParams) {
+    return Object.fromEntries(data);
+  }
+  
+  if (typeof data !== 'string') {
+    return data;
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    // Not JSON, try form encoding
+  }
+  
+  if (/^[^=&\s]+=/.test(data)) {
+    return Object.fromEntries(new URLSearchParams(data));
+  }
+  
+  return data;
+}
+
+/**
+ * Get the GraphQL operation name of a request body
+ */
+function getOperationName(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  
+  if (body.fb_api_req_friendly_name) {
+    return body.fb_api_req_friendly_name;
+  }
+  
+  const match = typeof body.query === 'string' && body.query.match(/^\s*(?:query|mutation|subscription)\s+(\w+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the GraphQL variables of a request body (form encoded bodies carry them as JSON)
+ */
+function getVariables(body) {
+  if (!body || typeof body !== 'object' || body.variables === undefined) {
+    return null;
+  }
+  
+  if (typeof body.variables === 'string') {
+    try {
+      return JSON.parse(body.variables);
+    } catch (error) {
+      return body.variables;
+    }
+  }
+  
+  return body.variables;
+}
+
+/**
+ * Get plain headers from an axios config or response
+ */
+function getHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+  
+  return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+/**
+ * Describe an outgoing axios request as a redacted fixture entry
+ */
+function describeRequest(config, keys = DEFAULT_REDACT_KEYS) {
+  const body = parseBody(config.data);
+  
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: redactUrl(config.url, keys),
+    operation: getOperationName(body),
+    variables: redact(getVariables(body), keys),
+    headers: redact(getHeaders(config.headers), keys),
+    data: redact(body, keys)
+  };
+}
+
+/**
+ * Describe a response as a redacted fixture entry
+ * JSON bodies are stored parsed, binary bodies as base64, streams are not kept
+ */
+function describeResponse(response, keys = DEFAULT_REDACT_KEYS) {
+  let { data } = response;
+  let encoding;
+  
+  if (Buffer.isBuffer(data)) {
+    data = data.toString('base64');
+    encoding = 'base64';
+  } else if (data && typeof data.pipe === 'function') {
+    data = null;
+    encoding = 'stream';
+  } else if (typeof data === 'string') {
+    data = parseBody(data);
+  }
+  
+  return {
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: redact(getHeaders(response.headers), keys),
+    data: redact(data, keys),
+    ...(encoding ? { encoding } : {})
+  };
+}
+
+/**
+ * Parse a WebSocket frame into a fixture value
+ */
+function parseFrame(data) {
+  const text = Buffer.isBuffer(data) ? data.toString() : String(data);
+  
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Resolve an axios adapter the way axios itself would
+ */
+function resolveAdapter(adapter) {
+  return axios.getAdapter(adapter || axios.defaults.adapter);
+}
+
+class TrafficRecorder {
+  constructor(options = {}) {
+    this.mode = 'record';
+    this.fixture = options.fixture || null;
+    this.redactKeys = [...DEFAULT_REDACT_KEYS, ...(options.redact || []).map(key => key.toLowerCase())];
+    
+    this.http = [];
+    this.websocket = [];
+  }
+  
+  /**
+   * Wrap an axios adapter so every request and response is recorded
+   */
+  createAdapter(adapter) {
+    const send = resolveAdapter(adapter);
+    
+    return async (config) => {
+      const request = describeRequest(config, this.redactKeys);
+      
+      try {
+        const response = await send(config);
+        this.http.push({ request, response: describeResponse(response, this.redactKeys) });
+        return response;
+      } catch (error) {
+        this.http.push(error.response
+          ? { request, response: describeResponse(error.response, this.redactKeys) }
+          : { request, error: { code: error.code || null, message: error.message } });
+        throw error;
+      }
+    };
+  }
+  
+  /**
+   * Open a WebSocket through the factory and record its frames in both directions
+   */
+  createSocket(url, factory) {
+    const ws = factory();
+    const session = { url: redactUrl(url, this.redactKeys), frames: [] };
+    const send = ws.send.bind(ws);
+    
+    this.websocket.push(session);
+    
+    ws.send = (data, ...args) => {
+      session.frames.push({ direction: 'out', data: redact(parseFrame(data), this.redactKeys) });
+      return send(data, ...args);
+    };
+    
+    ws.on('message', (data) => {
+      session.frames.push({ direction: 'in', data: redact(parseFrame(data), this.redactKeys) });
+    });
+    
+    return ws;
+  }
+  
+  /**
+   * Get the recorded traffic as a fixture
+   */
+  toJSON() {
+    return {
+      version: FIXTURE_VERSION,
+      http: this.http,
+      websocket: this.websocket
+    };
+  }
+  
+  /**
+   * Write the recorded traffic to a fixture file
+   */
+  async save(filePath = this.fixture) {
+    if (!filePath) {
+      throw new Error('No fixture file to save the recording to');
+    }
+    
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this, null, 2));
+    
+    return filePath;
+  }
+  
+  /**
+   * Drop everything recorded so far
+   */
+  clear() {
+    this.http = [];
+    this.websocket = [];
+  }
+}
+
+class ReplaySocket extends EventEmitter {
+  constructor(replayer, url, session) {
+    super();
+    
+    this.replayer = replayer;
+    this.url = url;
+    this.frames = session.frames;
+    this.cursor = 0;
+    this.closed = false;
+    this.sent = [];
+    
+    // Open asynchronously like a real socket, then play what the server sent first
+    setImmediate(() => {
+      this.emit('open');
+      this._flush();
+    });
+  }
+  
+  /**
+   * Match a sent frame against the next recorded outgoing frames
+   * Unexpected frames are reported, recorded frames the client skips are passed over
+   */
+  send(data, callback) {
+    if (this.closed) {
+      throw new NetworkError('Replayed WebSocket is closed');
+    }
+    
+    const frame = redact(parseFrame(data), this.replayer.redactKeys);
+    const index = this.frames.findIndex((recorded, position) => {
+      return position >= this.cursor && recorded.direction === 'out' && this._matchesFrame(frame, recorded.data);
+    });
+    
+    this.sent.push(frame);
+    
+    if (index === -1) {
+      this.replayer.unmatched.push({ type: 'websocket', url: this.url, data: frame });
+    } else {
+      this.frames[index].used = true;
+      this.cursor = index + 1;
+      setImmediate(() => this._flush());
+    }
+    
+    if (typeof callback === 'function') {
+      setImmediate(callback);
+    }
+  }
+  
+  /**
+   * Close the replayed socket
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed) {
+      return;
+    }
+    
+    this.closed = true;
+    setImmediate(() => this.emit('close', code, Buffer.from(reason)));
+  }
+  
+  /**
+   * Play the recorded incoming frames up to the next outgoing one
+   */
+  _flush() {
+    while (!this.closed && this.cursor < this.frames.length && this.frames[this.cursor].direction === 'in') {
+      const frame = this.frames[this.cursor++];
+      const data = typeof frame.data === 'string' ? frame.data : JSON.stringify(frame.data);
+      
+      frame.used = true;
+      this.emit('message', Buffer.from(data), false);
+    }
+  }
+  
+  /**
+   * Frames match by type when both are JSON messages, otherwise exactly
+   */
+  _matchesFrame(frame, recorded) {
+    if (frame && recorded && typeof frame === 'object' && typeof recorded === 'object' && frame.type !== undefined) {
+      return frame.type === recorded.type;
+    }
+    
+    return isDeepStrictEqual(frame, recorded);
+  }
+}
+
+class TrafficReplayer {
+  constructor(options = {}) {
+    this.mode = 'replay';
+    this.fixture = options.fixture || null;
+    this.redactKeys = [...DEFAULT_REDACT_KEYS, ...(options.redact || []).map(key => key.toLowerCase())];
+    this.match = typeof options.match === 'function' ? options.match : { ...DEFAULT_MATCH, ...options.match };
+    this.ignoreVariables = options.ignoreVariables || [];
+    
+    this.http = null;
+    this.websocket = null;
+    this.unmatched = [];
+    this.loading = null;
+  }
+  
+  /**
+   * Load the fixture, either a file path or an already parsed fixture
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.fixture) {
+          throw new Error('No fixture to replay');
+        }
+        
+        const fixture = typeof this.fixture === 'string'
+          ? JSON.parse(await fs.readFile(this.fixture, 'utf8'))
+          : this.fixture;
+        
+        this.http = (fixture.http || []).map(entry => ({ ...entry, used: false }));
+        this.websocket = (fixture.websocket || []).map(session => ({
+          ...session,
+          used: false,
+          frames: (session.frames || []).map(frame => ({ ...frame, used: false }))
+        }));
+      })();
+    }
+    
+    return this.loading;
+  }
+  
+  /**
+   * Create an axios adapter answering requests from the fixture
+   * Requests without a recorded match are reported and fail with a NetworkError
+   */
+  createAdapter() {
+    return async (config) => {
+      await this.load();
+      
+      const request = describeRequest(config, this.redactKeys);
+      const entry = this.http.find(candidate => !candidate.used && this._matchesRequest(request, candidate.request));
+      
+      if (!entry) {
+        this.unmatched.push({
+          type: 'http',
+          method: request.method,
+          url: request.url,
+          operation: request.operation,
+          variables: request.variables
+        });
+        
+        throw new NetworkError(`No recorded response for ${request.method} ${request.url}${request.operation ? ` (${request.operation})` : ''}`, {
+          request,
+          replay: true
+        });
+      }
+      
+      entry.used = true;
+      
+      if (entry.error) {
+        throw new axios.AxiosError(entry.error.message, entry.error.code, config);
+      }
+      
+      const response = this._createResponse(entry.response, config);
+      const validateStatus = config.validateStatus;
+      
+      if (validateStatus && !validateStatus(response.status)) {
+        throw new axios.AxiosError(
+          `Request failed with status code ${response.status}`,
+          response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+          config,
+          null,
+          response
+        );
+      }
+      
+      return response;
+    };
+  }
+  
+  /**
+   * Create a socket playing back the next recorded WebSocket session
+   */
+  createSocket(url) {
+    const target = redactUrl(url, this.redactKeys);
+    const session = (this.websocket || []).find(candidate => !candidate.used && candidate.url === target);
+    
+    if (!session) {
+      this.unmatched.push({ type: 'websocket', url: target, data: null });
+      
+      const socket = new EventEmitter();
+      socket.send = () => {};
+      socket.close = () => {};
+      setImmediate(() => socket.emit('error', new NetworkError(`No recorded WebSocket session for ${target}`, { replay: true })));
+      return socket;
+    }
+    
+    session.used = true;
+    return new ReplaySocket(this, target, session);
+  }
+  
+  /**
+   * Requests and frames that had no recorded match
+   */
+  getUnmatched() {
+    return this.unmatched.slice();
+  }
+  
+  /**
+   * Recorded requests and sessions that were never replayed
+   */
+  getUnused() {
+    const http = (this.http || [])
+      .filter(entry => !entry.used)
+      .map(entry => entry.request);
+    const websocket = (this.websocket || [])
+      .filter(session => !session.used || session.frames.some(frame => !frame.used))
+      .map(session => ({ url: session.url, frames: session.frames.filter(frame => !frame.used).map(frame => frame.data) }));
+    
+    return { http, websocket };
+  }
+  
+  /**
+   * Replay the fixture from the start
+   */
+  reset() {
+    this.loading = null;
+    this.http = null;
+    this.websocket = null;
+    this.unmatched = [];
+  }
+  
+  /**
+   * Check a live request against a recorded one using the match rules
+   */
+  _matchesRequest(request, recorded) {
+    if (typeof this.match === 'function') {
+      return this.match(request, recorded);
+    }
+    
+    if (this.match.method && request.method !== recorded.method) {
+      return false;
+    }
+    
+    if (this.match.url && request.url !== recorded.url) {
+      return false;
+    }
+    
+    if (this.match.operation && request.operation !== recorded.operation) {
+      return false;
+    }
+    
+    if (this.match.variables && !isDeepStrictEqual(this._withoutIgnored(request.variables), this._withoutIgnored(recorded.variables))) {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Drop variables that change between runs (client generated ids, timestamps)
+   */
+  _withoutIgnored(variables) {
+    if (!variables || typeof variables !== 'object' || this.ignoreVariables.length === 0) {
+      return variables === undefined ? null : variables;
+    }
+    
+    return Object.keys(variables)
+      .filter(key => !this.ignoreVariables.includes(key))
+      .reduce((result, key) => {
+        result[key] = variables[key];
+        return result;
+      }, {});
+  }
+  
+  /**
+   * Build an axios response from a recorded one
+   */
+  _createResponse(recorded, config) {
+    let data = recorded.data;
+    
+    if (recorded.encoding === 'base64') {
+      data = Buffer.from(data, 'base64');
+    }
+    
+    return {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      data,
+      config,
+      request: null
+    };
+  }
+}
+
+/**
+ * Create the recorder or replayer for the recording option
+ * { mode: 'record' | 'replay', fixture, redact, match, ignoreVariables }
+ */
+function createRecorder(options) {
+  if (!options || !options.mode || options.mode === 'off') {
+    return null;
+  }
+  
+  switch (options.mode) {
+    case 'record':
+      return new TrafficRecorder(options);
+    case 'replay':
+      return new TrafficReplayer(options);
+    default:
+      throw new Error(`Unknown recording mode: ${options.mode}`);
+  }
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACT_KEYS,
+  redact,
+  redactUrl,
+  describeRequest,
+  describeResponse,
+  TrafficRecorder,
+  TrafficReplayer,
+  ReplaySocket,
+  createRecorder
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * Redaction utilities for Messenger Private API
+ * Keeps tokens, cookies and passwords out of fixtures and logs
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Headers, body fields, query parameters and frame keys that never reach a fixture or a log
+const DEFAULT_REDACT_KEYS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'access_token',
+  'token',
+  'session_key',
+  'secret',
+  'password',
+  'pass',
+  'fb_dtsg',
+  'machine_id'
+];
+
+/**
+ * Replace the values of a Cookie or Set-Cookie header, keeping names and attributes
+ */
+function redactCookieHeader(value, isSetCookie) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactCookieHeader(item, isSetCookie));
+  }
+  
+  const pairs = String(value).split(';');
+  const redactPair = (pair) => {
+    const index = pair.indexOf('=');
+    return index === -1 ? pair : `${pair.slice(0, index)}=${REDACTED}`;
+  };
+  
+  // Only the first pair of a Set-Cookie header holds a value, the rest are attributes
+  return isSetCookie
+    ? [redactPair(pairs[0]), ...pairs.slice(1)].join(';')
+    : pairs.map(redactPair).join(';');
+}
+
+/**
+ * Deep copy a value with sensitive keys replaced by [REDACTED]
+ */
+function redact(value, keys = DEFAULT_REDACT_KEYS) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, keys));
+  }
+  
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  return Object.keys(value).reduce((result, key) => {
+    const name = key.toLowerCase();
+    const item = value[key];
+    
+    if (!keys.includes(name) || item === null || item === undefined) {
+      result[key] = redact(item, keys);
+    } else if (name === 'cookie' || name === 'set-cookie') {
+      result[key] = redactCookieHeader(item, name === 'set-cookie');
+    } else {
+      result[key] = REDACTED;
+    }
+    
+    return result;
+  }, {});
+}
+
+/**
+ * Redact sensitive query parameters of a URL
+ */
+function redactUrl(url, keys = DEFAULT_REDACT_KEYS) {
+  let parsed;
+  
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  
+  Array.from(parsed.searchParams.keys()).forEach(key => {
+    if (keys.includes(key.toLowerCase())) {
+      parsed.searchParams.set(key, REDACTED);
+    }
+  });
+  
+  return parsed.toString();
+}
+
+/**
+ * Redact secrets written inline in a string: query parameters and Bearer tokens
+ */
+function redactString(text, keys = DEFAULT_REDACT_KEYS) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  
+  const params = keys.filter(key => /^[\w-]+$/.test(key)).join('|');
+  const paramPattern = new RegExp(`([?&;\\s"']|^)(${params})=([^&\\s"';]*)`, 'gi');
+  
+  return text
+    .replace(/(Bearer|OAuth)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`)
+    .replace(paramPattern, `$1$2=${REDACTED}`);
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACT_KEYS,
+  redact,
+  redactUrl,
+  redactString
+};
\ No newline at end of file
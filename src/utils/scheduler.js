@@ -0,0 +1,246 @@
+/**
+ * Request scheduling utilities for Messenger Private API
+ * Runs requests by priority class, round robin across threads within a class
+ */
+
+const { RequestPriorities } = require('../constants');
+const { createAbortError } = require('./abort');
+
+// Classes in the order they are served
+const PRIORITY_ORDER = [
+  RequestPriorities.INTERACTIVE,
+  RequestPriorities.REALTIME,
+  RequestPriorities.BACKGROUND
+];
+
+// Requests without a fairness key share one queue
+const DEFAULT_KEY = '*';
+
+class RequestScheduler {
+  constructor(options = {}) {
+    const { maxConcurrent = 5, defaultPriority = RequestPriorities.INTERACTIVE } = options;
+    
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.defaultPriority = this._resolvePriority(defaultPriority, RequestPriorities.INTERACTIVE);
+    this.active = 0;
+    
+    // Per class, a FIFO queue for each fairness key; Map order gives the round robin
+    this.queues = new Map(PRIORITY_ORDER.map(priority => [priority, new Map()]));
+    
+    // Statistics per class
+    this.stats = {};
+    PRIORITY_ORDER.forEach(priority => {
+      this.stats[priority] = {
+        queued: 0,
+        active: 0,
+        completed: 0,
+        totalWait: 0,
+        maxWait: 0
+      };
+    });
+  }
+  
+  /**
+   * Run a task once its turn comes
+   * Options: priority (RequestPriorities), key (fairness key, e.g. a thread ID) and signal
+   */
+  async run(task, options = {}) {
+    const priority = this._resolvePriority(options.priority, this.defaultPriority);
+    
+    await this._acquire(priority, options.key || DEFAULT_KEY, options.signal);
+    
+    try {
+      return await task();
+    } finally {
+      this._release(priority);
+    }
+  }
+  
+  /**
+   * Wait for a slot, queueing behind higher priority work
+   */
+  _acquire(priority, key, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+    
+    if (this.active < this.maxConcurrent && this.getPendingCount() === 0) {
+      this._start(priority, 0);
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, priority, key, enqueuedAt: Date.now() };
+      
+      if (signal) {
+        const onAbort = () => {
+          this._remove(entry);
+          reject(createAbortError(signal));
+        };
+        
+        entry.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      const queues = this.queues.get(priority);
+      if (!queues.has(key)) {
+        queues.set(key, []);
+      }
+      queues.get(key).push(entry);
+      this.stats[priority].queued++;
+    });
+  }
+  
+  /**
+   * Free a slot and start the next queued tasks
+   */
+  _release(priority) {
+    this.active--;
+    this.stats[priority].active--;
+    this.stats[priority].completed++;
+    
+    this._drain();
+  }
+  
+  /**
+   * Start queued tasks while slots are free
+   */
+  _drain() {
+    while (this.active < this.maxConcurrent) {
+      const entry = this._dequeue();
+      if (!entry) {
+        return;
+      }
+      
+      this._start(entry.priority, Date.now() - entry.enqueuedAt);
+      entry.resolve();
+    }
+  }
+  
+  /**
+   * Take the next entry: highest class first, then the next key in turn
+   */
+  _dequeue() {
+    for (const priority of PRIORITY_ORDER) {
+      const queues = this.queues.get(priority);
+      const next = queues.entries().next();
+      
+      if (next.done) {
+        continue;
+      }
+      
+      const [key, queue] = next.value;
+      const entry = queue.shift();
+      
+      // Move the key to the back so other threads get their turn
+      queues.delete(key);
+      if (queue.length > 0) {
+        queues.set(key, queue);
+      }
+      
+      this.stats[priority].queued--;
+      return entry;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Drop an aborted entry from its queue
+   */
+  _remove(entry) {
+    const queues = this.queues.get(entry.priority);
+    const queue = queues.get(entry.key);
+    const index = queue ? queue.indexOf(entry) : -1;
+    
+    if (index === -1) {
+      return;
+    }
+    
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      queues.delete(entry.key);
+    }
+    
+    this.stats[entry.priority].queued--;
+  }
+  
+  /**
+   * Account for a task taking a slot
+   */
+  _start(priority, wait) {
+    const stats = this.stats[priority];
+    
+    this.active++;
+    stats.active++;
+    stats.totalWait += wait;
+    stats.maxWait = Math.max(stats.maxWait, wait);
+  }
+  
+  /**
+   * Validate a priority class
+   */
+  _resolvePriority(priority, fallback) {
+    if (!priority) {
+      return fallback;
+    }
+    
+    if (!PRIORITY_ORDER.includes(priority)) {
+      throw new Error(`Unknown request priority: ${priority}`);
+    }
+    
+    return priority;
+  }
+  
+  /**
+   * Number of queued tasks across all classes
+   */
+  getPendingCount() {
+    return PRIORITY_ORDER.reduce((total, priority) => total + this.stats[priority].queued, 0);
+  }
+  
+  /**
+   * Change the concurrency limit, starting queued tasks if it grew
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this._drain();
+  }
+  
+  /**
+   * Get queue depth and wait time metrics
+   */
+  getStats() {
+    const priorities = {};
+    
+    PRIORITY_ORDER.forEach(priority => {
+      const stats = this.stats[priority];
+      const started = stats.completed + stats.active;
+      
+      priorities[priority] = {
+        queued: stats.queued,
+        threads: this.queues.get(priority).size,
+        active: stats.active,
+        completed: stats.completed,
+        averageWait: started > 0 ? Math.round(stats.totalWait / started) : 0,
+        maxWait: stats.maxWait
+      };
+    });
+    
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      pending: this.getPendingCount(),
+      priorities
+    };
+  }
+}
+
+module.exports = {
+  PRIORITY_ORDER,
+  RequestScheduler
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Session storage for Messenger Private API
+ * Keeps exported sessions per account so restarts can skip password logins
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+  
+  async load(accountId) {
+    return this.sessions.get(accountId) || null;
+  }
+  
+  async save(accountId, session) {
+    this.sessions.set(accountId, session);
+  }
+  
+  async remove(accountId) {
+    this.sessions.delete(accountId);
+  }
+}
+
+class FileSessionStore {
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('FileSessionStore requires a directory');
+    }
+    
+    this.directory = directory;
+  }
+  
+  async load(accountId) {
+    try {
+      const content = await fs.readFile(this._getPath(accountId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  async save(accountId, session) {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    // Write then rename so a crash never leaves a truncated session behind
+    const target = this._getPath(accountId);
+    const temporary = `${target}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session, null, 2), { mode: 0o600 });
+    await fs.rename(temporary, target);
+  }
+  
+  async remove(accountId) {
+    try {
+      await fs.unlink(this._getPath(accountId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  
+  _getPath(accountId) {
+    const safeId = String(accountId).replace(/[^\w.-]/g, '_');
+    return path.join(this.directory, `${safeId}.json`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * TOTP utilities for Messenger Private API
+ * Generates RFC 6238 one-time codes so two-factor login can run unattended
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Defaults used by authenticator apps
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+const DEFAULT_ALGORITHM = 'sha1';
+
+/**
+ * Decode a base32 secret (RFC 4648) into a buffer
+ * Spaces, dashes, padding and lowercase letters are accepted
+ */
+function decodeBase32(secret) {
+  if (!secret || typeof secret !== 'string') {
+    throw new Error('TOTP secret must be a non-empty string');
+  }
+  
+  const normalized = secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  
+  for (const char of normalized) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character in TOTP secret: ${char}`);
+    }
+    
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter value
+ */
+function generateHotp(key, counter, options = {}) {
+  const { digits = DEFAULT_DIGITS, algorithm = DEFAULT_ALGORITHM } = options;
+  
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+  
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+  
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 ((hmac[offset + 1] & 0xff) << 16) |
+                 ((hmac[offset + 2] & 0xff) << 8) |
+                 (hmac[offset + 3] & 0xff);
+  
+  return (binary % Math.pow(10, digits)).toString().padStart(digits, '0');
+}
+
+/**
+ * Get the time step counter for a timestamp
+ */
+function getTimeStep(time = Date.now(), step = DEFAULT_STEP) {
+  return Math.floor(time / 1000 / step);
+}
+
+/**
+ * Generate a TOTP code (RFC 6238) from a base32 secret
+ */
+function generateTotp(secret, options = {}) {
+  const { time = Date.now(), step = DEFAULT_STEP } = options;
+  const key = Buffer.isBuffer(secret) ? secret : decodeBase32(secret);
+  
+  return generateHotp(key, getTimeStep(time, step), options);
+}
+
+/**
+ * Get candidate codes around the current time step to absorb clock drift
+ * Ordered by likelihood: current step first, then alternating past/future steps
+ */
+function getTotpCandidates(secret, options = {}) {
+  const { time = Date.now(), step = DEFAULT_STEP, window = 1 } = options;
+  const key = Buffer.isBuffer(secret) ? secret : decodeBase32(secret);
+  const counter = getTimeStep(time, step);
+  const codes = [generateHotp(key, counter, options)];
+  
+  for (let offset = 1; offset <= window; offset++) {
+    codes.push(generateHotp(key, counter - offset, options));
+    codes.push(generateHotp(key, counter + offset, options));
+  }
+  
+  // Neighbouring steps can collide, no point submitting the same code twice
+  return [...new Set(codes)];
+}
+
+/**
+ * Get milliseconds until the next time step starts
+ */
+function getTimeUntilNextStep(time = Date.now(), step = DEFAULT_STEP) {
+  const stepMs = step * 1000;
+  return stepMs - (time % stepMs);
+}
+
+module.exports = {
+  decodeBase32,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  getTotpCandidates,
+  getTimeUntilNextStep
+};
\ No newline at end of file
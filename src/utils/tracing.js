@@ -0,0 +1,344 @@
+/**
+ * Tracing utilities for Messenger Private API
+ * Spans shaped like OpenTelemetry's ReadableSpan, handed to any exporter with its SpanExporter interface
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { redactString } = require('./redact');
+
+const SpanKind = {
+  INTERNAL: 0,
+  SERVER: 1,
+  CLIENT: 2,
+  PRODUCER: 3,
+  CONSUMER: 4
+};
+
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const ExportResultCode = {
+  SUCCESS: 0,
+  FAILED: 1
+};
+
+const INSTRUMENTATION_SCOPE = { name: 'messenger-private-api' };
+
+// Span of the current async call chain, shared by every tracer so log records can pick it up
+const activeSpan = new AsyncLocalStorage();
+
+/**
+ * Current time as an OpenTelemetry HrTime: [seconds, nanoseconds]
+ */
+function hrTime() {
+  const nanos = Math.round((performance.timeOrigin + performance.now()) * 1e6);
+  return [Math.floor(nanos / 1e9), nanos % 1e9];
+}
+
+/**
+ * Time between two HrTimes
+ */
+function hrDuration(start, end) {
+  let seconds = end[0] - start[0];
+  let nanos = end[1] - start[1];
+  
+  if (nanos < 0) {
+    seconds--;
+    nanos += 1e9;
+  }
+  
+  return [seconds, nanos];
+}
+
+/**
+ * Random lowercase hex id of a byte length (16 for trace ids, 8 for span ids)
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+class Span {
+  constructor(tracer, name, options = {}) {
+    const { parent = null, kind = SpanKind.INTERNAL, attributes = {}, sampled = true } = options;
+    const parentContext = parent ? parent.spanContext() : null;
+    
+    this.name = name;
+    this.kind = kind;
+    this.parentSpanId = parentContext ? parentContext.spanId : undefined;
+    this.attributes = {};
+    this.events = [];
+    this.links = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = hrTime();
+    this.endTime = [0, 0];
+    this.duration = [0, 0];
+    this.ended = false;
+    this.resource = tracer.resource;
+    this.instrumentationScope = INSTRUMENTATION_SCOPE;
+    this.instrumentationLibrary = INSTRUMENTATION_SCOPE;
+    
+    this._tracer = tracer;
+    this._spanContext = {
+      traceId: parentContext ? parentContext.traceId : randomId(16),
+      spanId: randomId(8),
+      traceFlags: sampled ? 1 : 0
+    };
+    
+    this.setAttributes(attributes);
+  }
+  
+  spanContext() {
+    return this._spanContext;
+  }
+  
+  /**
+   * Whether the span still takes attributes and will be exported
+   */
+  isRecording() {
+    return !this.ended && this._spanContext.traceFlags === 1;
+  }
+  
+  setAttribute(key, value) {
+    if (!this.ended && value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+  
+  setAttributes(attributes = {}) {
+    Object.keys(attributes).forEach(key => this.setAttribute(key, attributes[key]));
+    return this;
+  }
+  
+  addEvent(name, attributes = {}) {
+    if (!this.ended) {
+      this.events.push({ name, attributes, time: hrTime() });
+    }
+    return this;
+  }
+  
+  /**
+   * Record an error as an exception event, its message redacted
+   */
+  recordException(error) {
+    return this.addEvent('exception', {
+      'exception.type': (error && error.name) || 'Error',
+      'exception.message': redactString(String((error && error.message) || error))
+    });
+  }
+  
+  setStatus(status) {
+    if (!this.ended) {
+      this.status = status.message ? { ...status, message: redactString(status.message) } : status;
+    }
+    return this;
+  }
+  
+  updateName(name) {
+    if (!this.ended) {
+      this.name = name;
+    }
+    return this;
+  }
+  
+  /**
+   * End the span and export it, later calls do nothing
+   */
+  end() {
+    if (this.ended) {
+      return;
+    }
+    
+    this.endTime = hrTime();
+    this.duration = hrDuration(this.startTime, this.endTime);
+    this.ended = true;
+    this._tracer._onEnd(this);
+  }
+}
+
+/**
+ * Span handed out while tracing is off, records nothing
+ */
+const NOOP_SPAN = {
+  spanContext: () => ({ traceId: '', spanId: '', traceFlags: 0 }),
+  isRecording: () => false,
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  recordException() { return this; },
+  setStatus() { return this; },
+  updateName() { return this; },
+  end() {}
+};
+
+class Tracer {
+  constructor(options = {}, logger = null) {
+    const settings = options || {};
+    
+    this.enabled = Boolean(options);
+    this.exporter = settings.exporter || null;
+    this.sampleRate = settings.sampleRate === undefined ? 1 : settings.sampleRate;
+    this.resource = {
+      attributes: {
+        'service.name': settings.serviceName || 'messenger-private-api',
+        ...(settings.attributes || {})
+      }
+    };
+    this.logger = logger;
+  }
+  
+  /**
+   * Start a span, a child of the active span unless options.parent says otherwise
+   * Whether a trace is sampled is decided once, at its root span
+   */
+  startSpan(name, options = {}) {
+    if (!this.enabled) {
+      return NOOP_SPAN;
+    }
+    
+    const parent = options.parent !== undefined ? options.parent : this.getActiveSpan();
+    const sampled = parent ? parent.spanContext().traceFlags === 1 : Math.random() < this.sampleRate;
+    
+    return new Span(this, name, { ...options, parent, sampled });
+  }
+  
+  /**
+   * Get the span of the current async call chain
+   */
+  getActiveSpan() {
+    return activeSpan.getStore() || null;
+  }
+  
+  /**
+   * Run a function with a span as the active one
+   */
+  withSpan(span, fn) {
+    return this.enabled ? activeSpan.run(span, fn) : fn();
+  }
+  
+  /**
+   * Run an async function inside a new active span
+   * The span ends when the function settles, errors are recorded on it and rethrown
+   */
+  async trace(name, options, fn) {
+    if (!this.enabled) {
+      return await fn(NOOP_SPAN);
+    }
+    
+    const span = this.startSpan(name, options);
+    
+    try {
+      return await this.withSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error && error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+  
+  /**
+   * Hand a finished, sampled span to the exporter
+   */
+  _onEnd(span) {
+    if (!this.exporter || span.spanContext().traceFlags !== 1) {
+      return;
+    }
+    
+    try {
+      this.exporter.export([span], (result) => {
+        if (result && result.code !== ExportResultCode.SUCCESS && this.logger) {
+          this.logger.debug('Span export failed', { span: span.name, error: result.error });
+        }
+      });
+    } catch (error) {
+      // A broken exporter must never break a request
+      if (this.logger) {
+        this.logger.debug('Span export failed', { span: span.name, error });
+      }
+    }
+  }
+  
+  /**
+   * Export spans the exporter still buffers
+   */
+  async forceFlush() {
+    if (this.exporter && typeof this.exporter.forceFlush === 'function') {
+      await this.exporter.forceFlush();
+    }
+  }
+  
+  /**
+   * Flush and stop the exporter
+   */
+  async shutdown() {
+    if (this.exporter && typeof this.exporter.shutdown === 'function') {
+      await this.exporter.shutdown();
+    }
+  }
+}
+
+/**
+ * Exporter keeping finished spans in memory, for tests
+ */
+class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+    this.stopped = false;
+  }
+  
+  export(spans, resultCallback) {
+    if (this.stopped) {
+      resultCallback({ code: ExportResultCode.FAILED, error: new Error('Exporter has been shut down') });
+      return;
+    }
+    
+    this.spans.push(...spans);
+    resultCallback({ code: ExportResultCode.SUCCESS });
+  }
+  
+  getFinishedSpans() {
+    return this.spans.slice();
+  }
+  
+  reset() {
+    this.spans = [];
+  }
+  
+  async forceFlush() {}
+  
+  async shutdown() {
+    this.stopped = true;
+    this.spans = [];
+  }
+}
+
+/**
+ * Get the ids of the active span for log records, null outside of a sampled span
+ */
+function getTraceContext() {
+  const span = activeSpan.getStore();
+  
+  if (!span || span.spanContext().traceFlags !== 1) {
+    return null;
+  }
+  
+  const { traceId, spanId } = span.spanContext();
+  return { traceId, spanId };
+}
+
+module.exports = {
+  SpanKind,
+  SpanStatusCode,
+  ExportResultCode,
+  Span,
+  Tracer,
+  InMemorySpanExporter,
+  getTraceContext
+};
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Tests for AbortSignal cancellation helpers
+ */
+
+const http = require('http');
+const { MessengerClient, AuthStates, AuthMethods } = require('../src/index');
+const { Endpoints } = require('../src/constants');
+const { abortable, abortableWait, linkSignals, throwIfAborted } = require('../src/utils/abort');
+const { ConcurrencyLimiter } = require('../src/utils/limiter');
+const { AbortError } = require('../src/utils/errors');
+
+describe('abort utilities', () => {
+  test('should reject waits with an AbortError', async () => {
+    const controller = new AbortController();
+    const wait = abortableWait(10000, controller.signal, 'retry');
+    
+    controller.abort();
+    
+    await expect(wait).rejects.toBeInstanceOf(AbortError);
+    await expect(abortable(new Promise(() => {}), AbortSignal.abort())).rejects.toThrow('Operation aborted');
+    expect(() => throwIfAborted(AbortSignal.abort())).toThrow(AbortError);
+  });
+  
+  test('should report timeouts', async () => {
+    const error = await abortableWait(10000, AbortSignal.timeout(10)).catch(e => e);
+    
+    expect(error.isTimeout()).toBe(true);
+    expect(error.message).toBe('Operation timed out');
+  });
+  
+  test('should link signals and release their listeners', () => {
+    const parent = new AbortController();
+    const child = new AbortController();
+    const { signal, dispose } = linkSignals(child.signal, parent.signal);
+    
+    parent.abort('destroyed');
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toBe('destroyed');
+    
+    const linked = linkSignals(child.signal);
+    linked.dispose();
+    dispose();
+    child.abort();
+    expect(linked.signal.aborted).toBe(false);
+  });
+  
+  test('should drop aborted tasks from the concurrency queue', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const controller = new AbortController();
+    let release;
+    
+    const running = limiter.run(() => new Promise(resolve => { release = resolve; }));
+    const queued = limiter.run(() => 'never', controller.signal);
+    
+    controller.abort();
+    await expect(queued).rejects.toBeInstanceOf(AbortError);
+    expect(limiter.getStats().pending).toBe(0);
+    
+    release();
+    await running;
+    expect(limiter.getStats().active).toBe(0);
+  });
+});
+
+describe('login cancellation', () => {
+  let server;
+  let url;
+  
+  beforeAll(async () => {
+    // Never answers, so the login form request stays in flight
+    server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/login`;
+  });
+  
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  
+  test('should reject an in-flight login with an AbortError when the client is destroyed', async () => {
+    const client = new MessengerClient({ autoReconnect: false, logger: false });
+    let started;
+    const requested = new Promise(resolve => { started = resolve; });
+    
+    client.network.use(async (ctx, next) => {
+      ctx.url = url;
+      started();
+      await next();
+    });
+    
+    const login = client.login({ email: 'user@example.com', password: 'secret' }).catch(e => e);
+    await requested;
+    client.destroy();
+    
+    const error = await login;
+    expect(error).toBeInstanceOf(AbortError);
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+});
+
+describe('QR login cancellation', () => {
+  let client;
+  let polls;
+  
+  beforeEach(() => {
+    client = new MessengerClient({ autoReconnect: false, logger: false });
+    polls = 0;
+    
+    // The code is never scanned
+    client.network.use(async (ctx) => {
+      if (ctx.url === Endpoints.LOGIN_QR_STATUS) {
+        polls++;
+        ctx.response = { data: { status: 'pending' } };
+      } else {
+        ctx.response = { data: { nonce: 'n1', expires_in: 60 } };
+      }
+    });
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  /**
+   * Start a QR login that is never approved
+   */
+  function startQrLogin(options) {
+    return client.login({ formats: [], pollInterval: 10 }, AuthMethods.QR_CODE, options).catch(e => e);
+  }
+  
+  /**
+   * Wait until the login has polled for the code status
+   */
+  async function waitForPoll() {
+    while (polls === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+  
+  test('should stop polling when the login signal aborts', async () => {
+    const controller = new AbortController();
+    const login = startQrLogin({ signal: controller.signal });
+    await waitForPoll();
+    
+    controller.abort();
+    const error = await login;
+    const pollsAfterAbort = polls;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.message).toBe('Operation aborted: QR code login');
+    expect(polls).toBe(pollsAfterAbort);
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+  
+  test('should stop polling when the client is destroyed', async () => {
+    const login = startQrLogin();
+    await waitForPoll();
+    
+    client.destroy();
+    
+    expect(await login).toBeInstanceOf(AbortError);
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+  
+  test('should not start a login with an aborted signal', async () => {
+    const generate = jest.spyOn(client.auth, '_generateQrCode');
+    
+    const error = await startQrLogin({ signal: AbortSignal.abort() });
+    
+    expect(error).toBeInstanceOf(AbortError);
+    expect(generate).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
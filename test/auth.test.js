@@ -0,0 +1,574 @@
+/**
+ * Tests for the authentication state machine and login flows
+ */
+
+const { MessengerClient, AuthMethods, AuthStates, EventTypes, AuthError, NetworkError } = require('../src/index');
+const { Endpoints } = require('../src/constants');
+
+const CREDENTIALS = { email: 'user@example.com', password: 'secret' };
+const LOGIN_PAGE = '<form><input name="lsd" value="lsd-token"><input name="jazoest" value="2981"></form>';
+
+/**
+ * Create a client that records its auth_state events
+ */
+function createClient() {
+  const client = new MessengerClient({ autoReconnect: false, logger: false, maxRetries: 1 });
+  jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+  
+  client.states = [];
+  client.on(EventTypes.AUTH_STATE, ({ state, previousState }) => client.states.push(`${previousState}->${state}`));
+  
+  return client;
+}
+
+/**
+ * Answer requests by GraphQL operation or URL
+ * A route is either the response data or a function of the request returning it
+ */
+function route(client, routes) {
+  client.requests = [];
+  
+  client.network.use(async (ctx) => {
+    const key = ctx.operation || ctx.url;
+    client.requests.push({ key, data: ctx.data });
+    
+    if (!(key in routes)) {
+      throw new Error(`Unexpected request: ${ctx.method} ${key}`);
+    }
+    
+    const data = typeof routes[key] === 'function' ? routes[key](ctx) : routes[key];
+    ctx.response = { data };
+  });
+}
+
+describe('authentication state', () => {
+  let client;
+  
+  beforeEach(() => {
+    client = createClient();
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should go through submitting to authenticated on a successful login', async () => {
+    jest.spyOn(client.auth, '_authenticateWithEmail').mockImplementation(async () => {
+      client.auth.userId = '1';
+      client.auth.accessToken = 'token';
+      return client.auth.getSessionResult();
+    });
+    
+    await client.login(CREDENTIALS);
+    
+    expect(client.states).toEqual(['idle->submitting', 'submitting->authenticated']);
+    expect(client.auth.state).toBe(AuthStates.AUTHENTICATED);
+  });
+  
+  test('should return to the previous state when a login fails', async () => {
+    const events = [];
+    client.on(EventTypes.AUTH_STATE, event => events.push(event));
+    
+    await expect(client.login({ email: 'user@example.com' })).rejects.toThrow('Email and password are required');
+    
+    expect(client.states).toEqual(['idle->submitting', 'submitting->idle']);
+    expect(events[1]).toMatchObject({ error: 'Email and password are required' });
+  });
+  
+  test('should wait in challenge_required until the challenge is answered', async () => {
+    jest.spyOn(client.auth, '_authenticateWithEmail').mockResolvedValue({
+      success: false,
+      requiresTwoFactor: true,
+      challenge: { type: 'enter_code' }
+    });
+    const completeTwoFactor = jest.spyOn(client.auth, '_completeTwoFactor')
+      .mockRejectedValueOnce(new Error('Wrong code'))
+      .mockImplementationOnce(async () => {
+        client.auth.userId = '1';
+        client.auth.accessToken = 'token';
+        return client.auth.getSessionResult();
+      });
+    
+    const challenge = await client.login(CREDENTIALS);
+    expect(challenge.requiresTwoFactor).toBe(true);
+    expect(client.auth.twoFactorRequired).toBe(true);
+    
+    await expect(client.login({ code: '000000' }, AuthMethods.TWO_FACTOR)).rejects.toThrow('Authentication failed: Wrong code');
+    await client.login({ code: '123456' }, AuthMethods.TWO_FACTOR);
+    
+    expect(completeTwoFactor).toHaveBeenCalledTimes(2);
+    expect(client.states).toEqual([
+      'idle->submitting',
+      'submitting->challenge_required',
+      'challenge_required->submitting',
+      'submitting->challenge_required',
+      'challenge_required->submitting',
+      'submitting->authenticated'
+    ]);
+  });
+  
+  test('should reject illegal transitions', () => {
+    expect(() => client.auth._transition(AuthStates.EXPIRED))
+      .toThrow('Invalid authentication state transition: idle -> expired');
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+    expect(client.states).toEqual([]);
+  });
+  
+  test('should reject a second login while one is in progress', async () => {
+    let finish;
+    jest.spyOn(client.auth, '_authenticateWithEmail').mockImplementation(() => new Promise(resolve => {
+      finish = () => resolve({ success: false, requiresTwoFactor: true, challenge: { type: 'enter_code' } });
+    }));
+    
+    const first = client.login(CREDENTIALS);
+    
+    await expect(client.auth.authenticate(CREDENTIALS)).rejects.toThrow('Authentication is already in progress');
+    expect(client.auth.state).toBe(AuthStates.SUBMITTING);
+    
+    finish();
+    await first;
+    expect(client.auth.state).toBe(AuthStates.CHALLENGE_REQUIRED);
+  });
+  
+  test('should reject a two-factor code when no challenge is pending', async () => {
+    await expect(client.login({ code: '123456' }, AuthMethods.TWO_FACTOR))
+      .rejects.toThrow('Two-factor authentication not required: no login challenge is pending');
+    
+    expect(client.states).toEqual([]);
+  });
+});
+
+describe('automatic TOTP verification', () => {
+  const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  let client;
+  let completeTwoFactor;
+  
+  beforeEach(() => {
+    client = createClient();
+    completeTwoFactor = jest.spyOn(client.auth, '_completeTwoFactor');
+    
+    // 10ms before the next time step, so the retry does not wait long
+    jest.spyOn(Date, 'now').mockReturnValue(59990);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    client.destroy();
+  });
+  
+  /**
+   * Reject the codes of the current step and its neighbours
+   */
+  function rejectCandidates() {
+    for (let i = 0; i < 3; i++) {
+      completeTwoFactor.mockRejectedValueOnce(new AuthError('Wrong code'));
+    }
+  }
+  
+  test('should retry on the next time step', async () => {
+    rejectCandidates();
+    completeTwoFactor.mockResolvedValueOnce({ success: true });
+    
+    expect(await client.auth._completeTwoFactorWithTotp(SECRET)).toEqual({ success: true });
+    expect(completeTwoFactor).toHaveBeenCalledTimes(4);
+  });
+  
+  test('should report the last rejected code', async () => {
+    rejectCandidates();
+    completeTwoFactor.mockRejectedValueOnce(new AuthError('Code expired'));
+    
+    await expect(client.auth._completeTwoFactorWithTotp(SECRET)).rejects.toThrow('Automatic TOTP verification failed: Code expired');
+  });
+  
+  test('should pass on errors other than a rejected code', async () => {
+    const failure = new NetworkError('Request failed');
+    rejectCandidates();
+    completeTwoFactor.mockRejectedValueOnce(failure);
+    
+    await expect(client.auth._completeTwoFactorWithTotp(SECRET)).rejects.toBe(failure);
+    
+    completeTwoFactor.mockReset();
+    completeTwoFactor.mockRejectedValueOnce(failure);
+    await expect(client.auth._completeTwoFactorWithTotp(SECRET)).rejects.toBe(failure);
+    expect(completeTwoFactor).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('one-time code login', () => {
+  let client;
+  let routes;
+  
+  beforeEach(() => {
+    client = createClient();
+    routes = {
+      [Endpoints.LOGIN]: LOGIN_PAGE,
+      [Endpoints.LOGIN_CODE_SEND]: { expires_in: 300, contact_point_masked: '+1******890' },
+      [Endpoints.LOGIN_CODE_VERIFY]: ({ data }) => (data.code === '123456'
+        ? '<script>document.cookie = "c_user=1"</script>'
+        : { error: { message: 'The code you entered is incorrect' } }),
+      GetViewer: { data: { viewer: { id: '1' } } }
+    };
+    route(client, routes);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should send a code and log in with it', async () => {
+    const sent = jest.fn();
+    client.on(EventTypes.CODE_SENT, sent);
+    
+    const result = await client.login({ phone: '+1234567890' }, AuthMethods.ONE_TIME_CODE);
+    
+    expect(result).toMatchObject({ success: false, requiresCode: true, channel: 'sms', destination: '+1******890' });
+    expect(sent).toHaveBeenCalledWith({ channel: 'sms', destination: '+1******890', expiresAt: result.expiresAt });
+    expect(client.auth.state).toBe(AuthStates.CHALLENGE_REQUIRED);
+    
+    await client.login({ code: '123 456' }, AuthMethods.ONE_TIME_CODE);
+    
+    expect(client.isAuthenticated).toBe(true);
+    expect(client.auth.oneTimeCode).toBeNull();
+    expect(client.requests.map(request => request.key)).toEqual([
+      Endpoints.LOGIN,
+      Endpoints.LOGIN_CODE_SEND,
+      Endpoints.LOGIN_CODE_VERIFY,
+      'GetViewer'
+    ]);
+    expect(client.requests[1].data).toMatchObject({ contactpoint: '+1234567890', channel: 'sms', lsd: 'lsd-token' });
+    expect(client.requests[2].data).toMatchObject({ code: '123456', lsd: 'lsd-token' });
+  });
+  
+  test('should reject a code that was never requested', async () => {
+    await expect(client.login({ code: '123456' }, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('No login code has been requested');
+    await expect(client.login({}, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('Email or phone number is required to request a login code');
+    
+    expect(client.requests).toEqual([]);
+  });
+  
+  test('should keep the request after a wrong code', async () => {
+    await client.login({ email: 'user@example.com' }, AuthMethods.ONE_TIME_CODE);
+    
+    await expect(client.login({ code: '000000' }, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('The code you entered is incorrect');
+    expect(client.auth.state).toBe(AuthStates.CHALLENGE_REQUIRED);
+    expect(client.auth.oneTimeCode).toMatchObject({ contactpoint: 'user@example.com', channel: 'email' });
+    
+    await client.login({ code: '123456' }, AuthMethods.ONE_TIME_CODE);
+    expect(client.isAuthenticated).toBe(true);
+  });
+  
+  test('should drop an expired code', async () => {
+    await client.login({ email: 'user@example.com' }, AuthMethods.ONE_TIME_CODE);
+    client.auth.oneTimeCode.expiresAt = Date.now() - 1;
+    
+    await expect(client.login({ code: '123456' }, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('Login code has expired, request a new one');
+    await expect(client.login({ code: '123456' }, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('No login code has been requested');
+    expect(client.requests.map(request => request.key)).not.toContain(Endpoints.LOGIN_CODE_VERIFY);
+  });
+  
+  test('should map a send error from the server', async () => {
+    routes[Endpoints.LOGIN_CODE_SEND] = '<div class="login_error">Too many codes requested</div>';
+    
+    await expect(client.login({ email: 'user@example.com' }, AuthMethods.ONE_TIME_CODE))
+      .rejects.toThrow('Too many codes requested');
+    expect(client.auth.oneTimeCode).toBeNull();
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+});
+
+describe('access token and cookie login', () => {
+  let client;
+  let routes;
+  
+  beforeEach(() => {
+    client = createClient();
+    routes = {
+      [Endpoints.ACCESS_TOKEN_PAGE]: '<script>{"accessToken":"EAAcookietoken"}</script>',
+      GetViewer: ({ data }) => ({ data: { viewer: { id: data.access_token === 'EAAother' ? '2' : '1' } } })
+    };
+    route(client, routes);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should log in with an access token', async () => {
+    await client.login({ accessToken: 'EAAtoken', userId: '1' }, AuthMethods.ACCESS_TOKEN);
+    
+    expect(client.isAuthenticated).toBe(true);
+    expect(client.auth.accessToken).toBe('EAAtoken');
+    expect(client.requests.map(request => request.key)).toEqual(['GetViewer']);
+  });
+  
+  test('should require an access token', async () => {
+    await expect(client.login({ userId: '1' }, AuthMethods.ACCESS_TOKEN)).rejects.toThrow('Access token is required');
+    await expect(client.login(null, AuthMethods.ACCESS_TOKEN)).rejects.toThrow('Access token is required');
+    
+    expect(client.requests).toEqual([]);
+  });
+  
+  test('should reject a token that belongs to another user', async () => {
+    await expect(client.login({ accessToken: 'EAAother', userId: '1' }, AuthMethods.ACCESS_TOKEN))
+      .rejects.toThrow('Session belongs to user 2, expected 1');
+    
+    expect(client.auth.accessToken).toBeNull();
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+  
+  test('should exchange session cookies for a token', async () => {
+    await client.login('c_user=1; xs=abc; datr=xyz', AuthMethods.COOKIES);
+    
+    expect(client.auth.accessToken).toBe('EAAcookietoken');
+    expect(client.auth.userId).toBe('1');
+    expect(client.cookieJar.toObject(Endpoints.LOGIN)).toMatchObject({ c_user: '1', xs: 'abc', datr: 'xyz' });
+    expect(client.requests.map(request => request.key)).toEqual([Endpoints.ACCESS_TOKEN_PAGE, 'GetViewer']);
+  });
+  
+  test('should reject malformed cookies', async () => {
+    await expect(client.login('[{"name": "c_user"', AuthMethods.COOKIES)).rejects.toThrow(/^Invalid cookies: /);
+    await expect(client.login(42, AuthMethods.COOKIES))
+      .rejects.toThrow('Invalid cookies: Cookies must be an array, a JSON string, a Cookie header or a name/value map');
+    
+    expect(client.requests).toEqual([]);
+  });
+  
+  test('should require the c_user and xs cookies', async () => {
+    await expect(client.login('c_user=1; datr=xyz', AuthMethods.COOKIES))
+      .rejects.toThrow('Cookies must include the c_user and xs session cookies');
+    await expect(client.login([{ name: 'xs', value: 'abc' }], AuthMethods.COOKIES))
+      .rejects.toThrow('Cookies must include the c_user and xs session cookies');
+    
+    expect(client.requests).toEqual([]);
+  });
+  
+  test('should fail when the cookies no longer give out a token', async () => {
+    routes[Endpoints.ACCESS_TOKEN_PAGE] = '<html>Log in to Facebook</html>';
+    
+    await expect(client.login('c_user=1; xs=abc', AuthMethods.COOKIES))
+      .rejects.toThrow('Could not obtain an access token, the cookies may have expired');
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+  
+  test('should reject cookies of another user', async () => {
+    await expect(client.login({ cookies: 'c_user=1; xs=abc', accessToken: 'EAAother' }, AuthMethods.COOKIES))
+      .rejects.toThrow('Session belongs to user 2, expected 1');
+    
+    expect(client.auth.accessToken).toBeNull();
+  });
+});
+describe('QR code login', () => {
+  let client;
+  let statuses;
+  let events;
+  
+  beforeEach(() => {
+    client = createClient();
+    statuses = [];
+    events = [];
+    
+    let nonces = 0;
+    route(client, {
+      [Endpoints.LOGIN_QR]: () => ({ nonce: `n${++nonces}`, expires_in: 60 }),
+      [Endpoints.LOGIN_QR_STATUS]: () => statuses.shift() || { status: 'pending' },
+      GetViewer: { data: { viewer: { id: '1' } } }
+    });
+    
+    [EventTypes.QR_GENERATED, EventTypes.QR_SCANNED, EventTypes.QR_EXPIRED].forEach(event => {
+      client.on(event, ({ nonce }) => events.push(`${event}:${nonce}`));
+    });
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should log in once the scanned code is approved', async () => {
+    statuses.push(
+      { status: 'pending' },
+      { status: 'scanned' },
+      { status: 'scanned' },
+      { status: 'approved', access_token: 'EAAqr' }
+    );
+    
+    await client.login({ formats: ['terminal'], pollInterval: 1 }, AuthMethods.QR_CODE);
+    
+    expect(events).toEqual(['qr_generated:n1', 'qr_scanned:n1']);
+    expect(client.isAuthenticated).toBe(true);
+    expect(client.auth.accessToken).toBe('EAAqr');
+  });
+  
+  test('should render the requested formats', async () => {
+    const generated = new Promise(resolve => client.once(EventTypes.QR_GENERATED, resolve));
+    statuses.push({ status: 'approved', access_token: 'EAAqr' });
+    
+    await client.login({ formats: ['png', 'dataUrl'], pollInterval: 1 }, AuthMethods.QR_CODE);
+    const qrCode = await generated;
+    
+    expect(qrCode.url).toBe(`${Endpoints.LOGIN_QR_APPROVE}?nonce=n1`);
+    expect(qrCode.png.subarray(1, 4).toString()).toBe('PNG');
+    expect(qrCode.dataUrl).toMatch(/^data:image\/png;base64,/);
+    expect(qrCode.terminal).toBeUndefined();
+  });
+  
+  test('should regenerate expired codes up to maxRegenerations', async () => {
+    statuses.push({ status: 'scanned' }, { status: 'expired' }, { status: 'expired' }, { status: 'expired' });
+    
+    await expect(client.login({ formats: [], pollInterval: 1, maxRegenerations: 2 }, AuthMethods.QR_CODE))
+      .rejects.toThrow('QR code expired too many times');
+    
+    expect(events).toEqual([
+      'qr_generated:n1',
+      'qr_scanned:n1',
+      'qr_expired:n1',
+      'qr_generated:n2',
+      'qr_expired:n2',
+      'qr_generated:n3',
+      'qr_expired:n3'
+    ]);
+    expect(client.auth.state).toBe(AuthStates.IDLE);
+  });
+  
+  test('should time out when the code is never approved', async () => {
+    await expect(client.login({ formats: [], pollInterval: 5, timeout: 30 }, AuthMethods.QR_CODE))
+      .rejects.toThrow('QR code login timed out');
+    
+    expect(events).toEqual(['qr_generated:n1']);
+    expect(client.requests.filter(request => request.key === Endpoints.LOGIN_QR_STATUS).length).toBeGreaterThan(0);
+  });
+});
+
+describe('account sessions', () => {
+  let client;
+  let routes;
+  
+  beforeEach(async () => {
+    client = createClient();
+    jest.spyOn(client.websocket, 'disconnect').mockResolvedValue();
+    await client._handleAuthenticated(client.auth.restoreSession({ accessToken: 'token', userId: '1' }));
+    
+    routes = {
+      GetActiveSessions: {
+        data: {
+          viewer: {
+            active_sessions: {
+              nodes: [
+                {
+                  id: 's1',
+                  is_current: true,
+                  device: { name: 'Pixel 8', os: 'Android', app: 'Messenger' },
+                  location: { city: 'Lisbon', country: 'Portugal', ip_address: '192.0.2.1' },
+                  created_time: 1700000000,
+                  last_active_time: '2024-01-02T03:04:05Z'
+                },
+                { id: 's2' }
+              ]
+            }
+          }
+        }
+      },
+      RevokeSession: ({ data }) => ({ data: { revokeSession: { success: true, was_current: data.variables.sessionId === 's1' } } }),
+      LogoutAllSessions: { data: { logoutAllSessions: { success: true, revoked_count: 3 } } },
+      GetTrustedDevices: {
+        data: {
+          viewer: {
+            trusted_devices: {
+              nodes: [{ id: 'd1', name: 'Work laptop', browser: 'Firefox', added_time: 1700000000 }]
+            }
+          }
+        }
+      },
+      RemoveTrustedDevice: ({ data }) => ({ data: { removeTrustedDevice: { success: data.variables.deviceId === 'd1' } } })
+    };
+    route(client, routes);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should list active sessions', async () => {
+    const sessions = await client.auth.getActiveSessions();
+    
+    expect(sessions).toEqual([
+      {
+        id: 's1',
+        isCurrent: true,
+        device: { name: 'Pixel 8', os: 'Android', app: 'Messenger', type: null },
+        location: { city: 'Lisbon', region: null, country: 'Portugal', ip: '192.0.2.1', description: 'Lisbon, Portugal' },
+        createdAt: 1700000000000,
+        lastActive: Date.parse('2024-01-02T03:04:05Z')
+      },
+      {
+        id: 's2',
+        isCurrent: false,
+        device: { name: null, os: null, app: null, type: null },
+        location: { city: null, region: null, country: null, ip: null, description: null },
+        createdAt: null,
+        lastActive: null
+      }
+    ]);
+  });
+  
+  test('should wrap GraphQL errors', async () => {
+    routes.GetActiveSessions = { errors: [{ message: 'Rate limited' }] };
+    
+    await expect(client.auth.getActiveSessions()).rejects.toThrow('Failed to get active sessions: Rate limited');
+  });
+  
+  test('should revoke another session and stay logged in', async () => {
+    expect(await client.auth.revokeSession('s2')).toEqual({ success: true, sessionId: 's2', wasCurrent: false });
+    
+    expect(client.requests[0].data.variables).toEqual({ sessionId: 's2' });
+    expect(client.isAuthenticated).toBe(true);
+    await expect(client.auth.revokeSession()).rejects.toThrow('Session ID is required');
+  });
+  
+  test('should log out locally when the current session is revoked', async () => {
+    expect(await client.auth.revokeSession('s1')).toEqual({ success: true, sessionId: 's1', wasCurrent: true });
+    
+    expect(client.isAuthenticated).toBe(false);
+    expect(client.auth.accessToken).toBeNull();
+    expect(client.auth.state).toBe(AuthStates.LOGGED_OUT);
+    // The token is already gone on the server, it is not revoked a second time
+    expect(client.requests.map(request => request.key)).toEqual(['RevokeSession']);
+    
+    await expect(client.auth.getActiveSessions()).rejects.toThrow('Not authenticated');
+  });
+  
+  test('should log out everywhere else', async () => {
+    expect(await client.auth.logoutEverywhere()).toEqual({ success: true, revokedCount: 3 });
+    
+    expect(client.requests[0].data.variables).toEqual({ keepCurrent: true });
+    expect(client.isAuthenticated).toBe(true);
+  });
+  
+  test('should log out everywhere including the current session', async () => {
+    await client.auth.logoutEverywhere({ includeCurrent: true });
+    
+    expect(client.requests[0].data.variables).toEqual({ keepCurrent: false });
+    expect(client.isAuthenticated).toBe(false);
+    expect(client.auth.state).toBe(AuthStates.LOGGED_OUT);
+  });
+  
+  test('should list and remove trusted devices', async () => {
+    expect(await client.auth.getTrustedDevices()).toEqual([{
+      id: 'd1',
+      name: 'Work laptop',
+      os: null,
+      browser: 'Firefox',
+      location: { city: null, region: null, country: null, ip: null, description: null },
+      addedAt: 1700000000000,
+      lastUsed: null
+    }]);
+    
+    expect(await client.auth.removeTrustedDevice('d1')).toEqual({ success: true, deviceId: 'd1' });
+    await expect(client.auth.removeTrustedDevice('d2')).rejects.toThrow('Failed to remove trusted device');
+    await expect(client.auth.removeTrustedDevice()).rejects.toThrow('Device ID is required');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Tests for GraphQL request batching and deduplication
+ */
+
+const http = require('http');
+const { MessengerClient, NetworkError, EventTypes } = require('../src/index');
+const { RequestBatcher, stableStringify } = require('../src/utils/batcher');
+
+describe('RequestBatcher', () => {
+  test('should share identical requests and batch the ones queued together', async () => {
+    const execute = jest.fn(async (request) => `single:${request.id}`);
+    const executeBatch = jest.fn(async (requests) => requests.map(request => ({ value: `batched:${request.id}` })));
+    const batcher = new RequestBatcher({ maxBatchSize: 2 }, { execute, executeBatch });
+    
+    const results = await Promise.all([
+      batcher.load({ id: 1, key: 'a', group: 'g' }),
+      batcher.load({ id: 1, key: 'a', group: 'g' }),
+      batcher.load({ id: 2, key: 'b', group: 'g' }),
+      batcher.load({ id: 3, key: 'c', group: 'g' }),
+      batcher.load({ id: 4, key: 'd', group: null })
+    ]);
+    
+    expect(results).toEqual(['batched:1', 'batched:1', 'batched:2', 'single:3', 'single:4']);
+    expect(executeBatch).toHaveBeenCalledTimes(1);
+    expect(batcher.getStats()).toMatchObject({ requests: 5, deduped: 1, batches: 1, batched: 2, inflight: 0 });
+  });
+  
+  test('should build the same key regardless of property order', () => {
+    expect(stableStringify({ b: 1, a: { d: [1, { f: 2, e: 1 }], c: undefined } }))
+      .toBe(stableStringify({ a: { d: [1, { e: 1, f: 2 }] }, b: 1 }));
+  });
+});
+
+describe('NetworkManager GraphQL batching', () => {
+  let client;
+  let server;
+  let endpoint;
+  let requests;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const data = JSON.parse(body);
+        requests.push(req.url);
+        res.setHeader('Content-Type', 'application/json');
+        
+        if (req.url === '/') {
+          res.end(JSON.stringify(data.batch.map(item => {
+            const { variables } = JSON.parse(item.body);
+            return variables.userId === 'broken'
+              ? { code: 500, headers: [], body: JSON.stringify({ error: 'boom' }) }
+              : { code: 200, headers: [{ name: 'Content-Type', value: 'application/json' }], body: JSON.stringify({ data: { user: { id: variables.userId } } }) };
+          })));
+          return;
+        }
+        
+        res.end(JSON.stringify({ data: { user: { id: data.variables.userId } } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/graphql`;
+  });
+  
+  afterAll(() => {
+    server.close();
+  });
+  
+  beforeEach(() => {
+    requests = [];
+    client = new MessengerClient({ autoReconnect: false, maxRetries: 1 });
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should send queries issued together as one batch and split the results', async () => {
+    const load = (userId) => client.network.graphql('GetUser', { userId }, { endpoint });
+    
+    const [first, again, second, broken] = await Promise.all([
+      load('1'),
+      load('1'),
+      load('2'),
+      load('broken').catch(error => error)
+    ]);
+    
+    expect(requests).toEqual(['/']);
+    expect(first.data.data.user.id).toBe('1');
+    expect(again).toBe(first);
+    expect(second.data.data.user.id).toBe('2');
+    expect(broken).toBeInstanceOf(NetworkError);
+    expect(broken.getStatusCode()).toBe(500);
+  });
+  
+  test('should send lone queries and mutations on their own', async () => {
+    await client.network.graphql('GetUser', { userId: '1' }, { endpoint });
+    await Promise.all([
+      client.network.graphql('AddFriend', { userId: '1' }, { endpoint }),
+      client.network.graphql('AddFriend', { userId: '1' }, { endpoint })
+    ]);
+    expect(requests).toEqual(['/graphql', '/graphql', '/graphql']);
+    
+    client.destroy();
+    client = new MessengerClient({ autoReconnect: false, batching: false });
+    requests = [];
+    
+    await Promise.all([
+      client.network.graphql('GetUser', { userId: '1' }, { endpoint }),
+      client.network.graphql('GetUser', { userId: '2' }, { endpoint })
+    ]);
+    expect(requests).toEqual(['/graphql', '/graphql']);
+  });  
+  test('should queue a batch under the thread key its queries share', async () => {
+    const scheduled = jest.spyOn(client.network, '_getScheduleOptions');
+    const load = (userId, queueKey) => client.network.graphql('GetUser', { userId }, { endpoint, queueKey });
+    
+    await Promise.all([load('1', 't1'), load('2', 't1')]);
+    await Promise.all([load('3', 't1'), load('4', 't2')]);
+    
+    expect(requests).toEqual(['/', '/']);
+    expect(scheduled.mock.results.map(result => result.value.key)).toEqual(['t1', undefined]);
+  });
+});
+
+describe('GraphQL batching during a session restore', () => {
+  let client;
+  let sent;
+  
+  /**
+   * Answer a GraphQL payload: data for the new token, an expired session for any other
+   */
+  function answer(payload) {
+    if (payload.access_token !== 'new') {
+      return { status: 401, data: { error: { code: 190 } } };
+    }
+    return { status: 200, data: { data: { viewer: { id: '1' }, user: { id: payload.variables.userId } } } };
+  }
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should send the restore on its own while other queries are queued', async () => {
+    let releaseSession;
+    const sessionReady = new Promise(resolve => { releaseSession = resolve; });
+    
+    client = new MessengerClient({
+      autoReconnect: false,
+      logger: false,
+      maxRetries: 1,
+      sessionProvider: async () => {
+        await sessionReady;
+        return { accessToken: 'new', userId: '1' };
+      }
+    });
+    jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+    await client._handleAuthenticated(client.auth.restoreSession({ accessToken: 'old', userId: '1' }));
+    
+    sent = [];
+    client.network.use(async (ctx) => {
+      if (ctx.data.batch) {
+        const items = ctx.data.batch.map(item => answer(JSON.parse(item.body)));
+        sent.push(`batch:${items.length}`);
+        ctx.response = { data: items.map(item => ({ code: item.status, headers: [], body: JSON.stringify(item.data) })) };
+        return;
+      }
+      
+      sent.push(`${ctx.operation}:${ctx.data.access_token}`);
+      ctx.response = answer(ctx.data);
+    });
+    
+    const load = (userId) => client.network.graphql('GetUser', { userId }, { accessToken: client.auth.accessToken });
+    const expired = new Promise(resolve => client.once(EventTypes.SESSION_EXPIRED, resolve));
+    
+    const queries = Promise.all([load('a'), load('b')]);
+    await expired;
+    
+    // Queued before the restore validates the session, so both would share one flush
+    const queued = load('c');
+    releaseSession();
+    
+    const results = await Promise.all([queries, queued]).then(([batched, other]) => [...batched, other]);
+    
+    expect(results.map(response => response.data.data.user.id)).toEqual(['a', 'b', 'c']);
+    expect(sent[0]).toBe('batch:2');
+    expect(sent).toContain('GetViewer:new');
+    expect(sent.indexOf('GetViewer:new')).toBeLessThan(sent.indexOf('GetUser:new'));
+    expect(client.auth.accessToken).toBe('new');
+  });
+});
\ No newline at end of file
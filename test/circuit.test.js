@@ -0,0 +1,114 @@
+/**
+ * Tests for the circuit breaker around failing endpoints
+ */
+
+const http = require('http');
+const { MessengerClient, EventTypes, CircuitStates, CircuitOpenError } = require('../src/index');
+const { CircuitBreaker, CircuitBreakerRegistry } = require('../src/utils/circuit');
+
+describe('CircuitBreaker', () => {
+  test('should open after repeated failures and close after a successful trial', () => {
+    const transitions = [];
+    const circuit = new CircuitBreaker('graph.facebook.com/GetChats', { failureThreshold: 2, cooldown: 1000 }, (breaker, previous) => {
+      transitions.push(`${previous}->${breaker.state}`);
+    });
+    
+    circuit.onFailure(0);
+    expect(circuit.state).toBe(CircuitStates.CLOSED);
+    circuit.onFailure(0);
+    expect(circuit.state).toBe(CircuitStates.OPEN);
+    
+    expect(circuit.tryAcquire(500)).toBe(false);
+    expect(circuit.getRetryAfter(500)).toBe(500);
+    
+    // One trial request at a time once the cool-down is over
+    expect(circuit.tryAcquire(1000)).toBe(true);
+    expect(circuit.tryAcquire(1000)).toBe(false);
+    circuit.onSuccess();
+    
+    expect(circuit.state).toBe(CircuitStates.CLOSED);
+    expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+  
+  test('should reopen when the trial request fails', () => {
+    const circuit = new CircuitBreaker('graph.facebook.com', { failureThreshold: 1, cooldown: 1000 });
+    
+    circuit.onFailure(0);
+    expect(circuit.tryAcquire(1000)).toBe(true);
+    circuit.onFailure(1000);
+    
+    expect(circuit.state).toBe(CircuitStates.OPEN);
+    expect(circuit.getRetryAfter(1000)).toBe(1000);
+  });
+  
+  test('should key circuits by host and operation', () => {
+    const registry = new CircuitBreakerRegistry();
+    
+    expect(registry.getKey('https://graph.facebook.com/graphql', 'GetChats')).toBe('graph.facebook.com/GetChats');
+    expect(registry.getKey('https://graph.facebook.com/me')).toBe('graph.facebook.com');
+    expect(new CircuitBreakerRegistry({ scope: 'host' }).getKey('https://graph.facebook.com/graphql', 'GetChats')).toBe('graph.facebook.com');
+    expect(new CircuitBreakerRegistry(false).acquire('https://graph.facebook.com/graphql')).toBeNull();
+  });
+});
+
+describe('NetworkManager circuit breaking', () => {
+  let client;
+  let server;
+  let healthy;
+  let hits;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      res.statusCode = healthy ? 200 : 503;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: { viewer: { id: '1' } } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+  
+  afterAll(() => {
+    server.close();
+  });
+  
+  beforeEach(() => {
+    healthy = false;
+    hits = 0;
+    client = new MessengerClient({
+      autoReconnect: false,
+      circuitBreaker: { failureThreshold: 2, cooldown: 50 }
+    });
+    client.network.updateRateLimit(null, 3, 1);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should fail fast while open and recover after the cool-down', async () => {
+    const endpoint = `http://127.0.0.1:${server.address().port}/graphql`;
+    const events = [];
+    
+    client.on(EventTypes.CIRCUIT_OPEN, (details) => events.push(['open', details.circuit]));
+    client.on(EventTypes.CIRCUIT_CLOSED, (details) => events.push(['closed', details.circuit]));
+    
+    const error = await client.network.graphql('GetViewer', {}, { endpoint }).catch(e => e);
+    
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.isRetryable()).toBe(false);
+    expect(hits).toBe(2);
+    
+    await expect(client.network.graphql('GetViewer', {}, { endpoint })).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(hits).toBe(2);
+    
+    healthy = true;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    
+    const response = await client.network.graphql('GetViewer', {}, { endpoint });
+    
+    expect(response.data.data.viewer.id).toBe('1');
+    const circuit = `127.0.0.1:${server.address().port}/GetViewer`;
+    expect(events).toEqual([['open', circuit], ['closed', circuit]]);
+    expect(client.network.getStats().circuits.circuits[circuit].state).toBe(CircuitStates.CLOSED);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Tests for the RFC 6265 cookie jar
+ */
+
+const { CookieJar, parseCookieList } = require('../src/utils/cookies');
+
+const LOGIN_URL = 'https://m.facebook.com/login/device-based/regular/login/';
+
+describe('CookieJar', () => {
+  let jar;
+  
+  beforeEach(() => {
+    jar = new CookieJar();
+  });
+  
+  test('should send domain cookies to subdomains and the WebSocket host', () => {
+    jar.setCookie('c_user=100; Domain=.facebook.com; Path=/; Secure; HttpOnly', LOGIN_URL);
+    jar.setCookie('xs=abc; Domain=facebook.com; Path=/; Secure', LOGIN_URL);
+    
+    expect(jar.getCookieString('https://www.facebook.com/')).toBe('c_user=100; xs=abc');
+    expect(jar.getCookieString('wss://edge-chat.facebook.com/chat')).toBe('c_user=100; xs=abc');
+  });
+  
+  test('should keep host-only cookies on their host', () => {
+    jar.setCookie('datr=1; Path=/', LOGIN_URL);
+    
+    expect(jar.getValue('datr', 'https://m.facebook.com/')).toBe('1');
+    expect(jar.getValue('datr', 'https://www.facebook.com/')).toBeNull();
+  });
+  
+  test('should reject cookies for unrelated domains', () => {
+    expect(jar.setCookie('evil=1; Domain=example.com', LOGIN_URL)).toBeNull();
+    expect(jar.setCookie('tld=1; Domain=com', LOGIN_URL)).toBeNull();
+    expect(jar.size).toBe(0);
+  });
+  
+  test('should not send secure cookies over plain connections', () => {
+    jar.setCookie('xs=abc; Domain=facebook.com; Path=/; Secure', LOGIN_URL);
+    
+    expect(jar.getCookieString('http://m.facebook.com/')).toBe('');
+  });
+  
+  test('should match paths and order longer paths first', () => {
+    jar.setCookie('a=1; Path=/', LOGIN_URL);
+    jar.setCookie('b=2; Path=/login', LOGIN_URL);
+    
+    expect(jar.getCookieString('https://m.facebook.com/login/x')).toBe('b=2; a=1');
+    expect(jar.getCookieString('https://m.facebook.com/loginx')).toBe('a=1');
+  });
+  
+  test('should overwrite and expire cookies', () => {
+    jar.setCookie('xs=old; Domain=facebook.com; Path=/', LOGIN_URL);
+    jar.setCookie('xs=new; Domain=facebook.com; Path=/', LOGIN_URL);
+    expect(jar.getValue('xs', LOGIN_URL)).toBe('new');
+    expect(jar.size).toBe(1);
+    
+    jar.setCookie('xs=; Domain=facebook.com; Path=/; Max-Age=0', LOGIN_URL);
+    expect(jar.getValue('xs', LOGIN_URL)).toBeNull();
+    
+    jar.setCookie('fr=1; Path=/; Max-Age=1', LOGIN_URL, 0);
+    expect(jar.getCookies(LOGIN_URL, 2000)).toEqual([]);
+  });
+  
+  test('should survive serialization', () => {
+    jar.setCookie('c_user=100; Domain=facebook.com; Path=/; Secure', LOGIN_URL);
+    
+    const restored = CookieJar.fromJSON(JSON.parse(JSON.stringify(jar)));
+    
+    expect(restored.getValue('c_user', 'https://www.facebook.com/')).toBe('100');
+  });
+});
+
+describe('parseCookieList', () => {
+  test('should accept appstate JSON and browser exports', () => {
+    const cookies = parseCookieList(JSON.stringify([
+      { key: 'c_user', value: '100', domain: 'facebook.com', path: '/' },
+      { name: 'xs', value: 'abc', domain: '.facebook.com', expirationDate: 4102444800 }
+    ]));
+    
+    const jar = new CookieJar(cookies);
+    
+    expect(jar.getCookieString('https://www.facebook.com/')).toBe('c_user=100; xs=abc');
+    expect(cookies[1].expires).toBe(4102444800000);
+  });
+  
+  test('should accept a Cookie header string', () => {
+    const cookies = parseCookieList('c_user=100; xs=a=b');
+    
+    expect(cookies.map(cookie => [cookie.name, cookie.value])).toEqual([['c_user', '100'], ['xs', 'a=b']]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Tests for HTML form parsing and login checkpoint steps
+ */
+
+const { MessengerClient, ChallengeTypes, AuthError } = require('../src/index');
+const { Endpoints } = require('../src/constants');
+const { parseForm, parseHiddenInputs, resolveUrl } = require('../src/utils/forms');
+
+const PAGE_URL = 'https://m.facebook.com/login/checkpoint/';
+
+/**
+ * Wrap inputs in a checkpoint form
+ */
+function checkpointPage(inputs, text = '') {
+  return `<html><body><p>${text}</p><form method="post" action="/login/checkpoint/?next=%2F&amp;ref=1">${inputs}</form></body></html>`;
+}
+
+describe('form utilities', () => {
+  test('should resolve relative and entity-encoded URLs against the page', () => {
+    expect(resolveUrl('/login/device-based/', PAGE_URL)).toBe('https://m.facebook.com/login/device-based/');
+    expect(resolveUrl('?next=a&amp;b=1', PAGE_URL)).toBe('https://m.facebook.com/login/checkpoint/?next=a&b=1');
+    expect(resolveUrl('https://www.facebook.com/home.php', PAGE_URL)).toBe('https://www.facebook.com/home.php');
+    expect(resolveUrl('', PAGE_URL)).toBe(PAGE_URL);
+    expect(resolveUrl('http://[broken', PAGE_URL)).toBe(PAGE_URL);
+  });
+  
+  test('should collect hidden inputs whatever their quoting and attribute order', () => {
+    const html = [
+      '<input type="hidden" name="fb_dtsg" value="AQH&quot;x&amp;y" />',
+      "<input value='123' name='jazoest' type='hidden'>",
+      '<input type=hidden name=nh value=abc>',
+      '<input type="hidden" name="empty">',
+      '<input type="text" name="email" value="user@example.com">',
+      '<input type="hidden" value="no-name">'
+    ].join('\n');
+    
+    expect(parseHiddenInputs(html)).toEqual({
+      fb_dtsg: 'AQH"x&y',
+      jazoest: '123',
+      nh: 'abc',
+      empty: ''
+    });
+    expect(parseHiddenInputs(null)).toEqual({});
+  });
+  
+  test('should parse the matching form into fields, inputs, options and buttons', () => {
+    const html = [
+      '<form action="/search/" method="get"><input type="hidden" name="q" value="x"></form>',
+      checkpointPage([
+        '<input type="hidden" name="nh" value="abc">',
+        '<input type="text" name="approvals_code">',
+        '<input type="radio" name="verification_method" value="14">',
+        '<input type="radio" name="verification_method" value="20">',
+        '<input type="checkbox" name="remember" value="1" checked>',
+        '<input type="submit" name="submit[Continue]" value="Continue">',
+        '<button type="submit" name="submit[Cancel]">Cancel</button>',
+        '<button type="button" name="help">Help</button>'
+      ].join(''))
+    ].join('');
+    
+    expect(parseForm(html, PAGE_URL)).toEqual({
+      action: 'https://m.facebook.com/login/checkpoint/?next=%2F&ref=1',
+      method: 'POST',
+      fields: { nh: 'abc' },
+      inputs: ['approvals_code'],
+      options: { verification_method: ['14', '20'], remember: ['1'] },
+      buttons: [
+        { name: 'submit[Continue]', value: 'Continue' },
+        { name: 'submit[Cancel]', value: '' }
+      ]
+    });
+  });
+  
+  test('should fall back to the first form, or the whole page without one', () => {
+    const first = parseForm('<form action="/a" method="get"><input type="hidden" name="x" value="1"></form>', PAGE_URL);
+    const bare = parseForm('<input type="hidden" name="lsd" value="token">', PAGE_URL);
+    
+    expect(first).toMatchObject({ action: 'https://m.facebook.com/a', method: 'GET', fields: { x: '1' } });
+    expect(bare).toMatchObject({ action: PAGE_URL, method: 'POST', fields: { lsd: 'token' } });
+  });
+});
+
+describe('checkpoint challenges', () => {
+  let client;
+  
+  /**
+   * Announce a checkpoint page as the current login step
+   */
+  function setCheckpoint(html) {
+    return client.auth._setCheckpoint({ status: 200, headers: {}, data: html });
+  }
+  
+  beforeEach(() => {
+    client = new MessengerClient({ autoReconnect: false, logger: false });
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should detect what each checkpoint step asks for', async () => {
+    const pages = {
+      [ChallengeTypes.SAVE_BROWSER]: checkpointPage('<input type="radio" name="name_action_selected" value="save_device"><input type="radio" name="name_action_selected" value="dont_save">'),
+      [ChallengeTypes.CHOOSE_METHOD]: checkpointPage('<input type="radio" name="verification_method" value="14">'),
+      [ChallengeTypes.ENTER_CODE]: checkpointPage('<input type="tel" name="approvals_code">'),
+      [ChallengeTypes.APPROVE_DEVICE]: checkpointPage('<input type="submit" name="submit[Continue]" value="Continue">', 'Check your notifications on another device'),
+      [ChallengeTypes.UNKNOWN]: checkpointPage('<input type="submit" name="submit[Continue]" value="Continue">', 'Something else')
+    };
+    
+    for (const [type, html] of Object.entries(pages)) {
+      const challenge = await setCheckpoint(html);
+      expect(challenge.type).toBe(type);
+    }
+    
+    const choose = await setCheckpoint(pages[ChallengeTypes.CHOOSE_METHOD]);
+    expect(choose.methods).toEqual(['14']);
+    expect(choose.step).toBe(6);
+  });
+  
+  test('should let a failed step be submitted again', async () => {
+    const codes = [];
+    client.network.use(async (ctx) => {
+      codes.push(ctx.data.approvals_code);
+      ctx.response = { data: '<div class="error">The login code you entered is incorrect</div>' };
+    });
+    
+    const challenge = await setCheckpoint(checkpointPage('<input type="hidden" name="nh" value="abc"><input type="tel" name="approvals_code">'));
+    
+    await expect(challenge.submit({ code: '111111' })).rejects.toThrow('The login code you entered is incorrect');
+    await expect(challenge.submit({ code: '222222' })).rejects.toBeInstanceOf(AuthError);
+    
+    expect(codes).toEqual(['111111', '222222']);
+    expect(challenge.submitted).toBe(false);
+  });  
+  test('should start a new login from the first checkpoint step', async () => {
+    const previous = await setCheckpoint(checkpointPage('<input type="radio" name="verification_method" value="14">'));
+    await setCheckpoint(checkpointPage('<input type="tel" name="approvals_code">'));
+    expect(client.auth.checkpoint.step).toBe(2);
+    
+    client.network.use(async (ctx) => {
+      ctx.response = ctx.method === 'GET'
+        ? { data: '<input name="lsd" value="lsd-token">' }
+        : { status: 200, headers: {}, data: checkpointPage('<input type="tel" name="approvals_code">') };
+    });
+    
+    const result = await client.login({ email: 'user@example.com', password: 'secret' });
+    
+    expect(result.challenge).toMatchObject({ type: ChallengeTypes.ENTER_CODE, step: 1, url: Endpoints.LOGIN_2FA });
+    await expect(previous.submit({ method: '14' })).rejects.toThrow('Checkpoint step is no longer active');
+  });
+});
\ No newline at end of file
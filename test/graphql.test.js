@@ -0,0 +1,68 @@
+/**
+ * Tests for the GraphQL query registry
+ */
+
+const { QueryRegistry, parseVariableDefinitions } = require('../src/utils/graphql');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('QueryRegistry', () => {
+  let registry;
+  
+  beforeEach(() => {
+    registry = new QueryRegistry({ docIds: { GetThread: '1234' } });
+  });
+  
+  test('should parse variable definitions', () => {
+    expect(parseVariableDefinitions('query AddParticipants($threadId: ID!, $participantIds: [ID!]!, $note: String) {')).toEqual({
+      threadId: 'ID!',
+      participantIds: '[ID!]!',
+      note: 'String'
+    });
+  });
+  
+  test('should send the document or the persisted doc_id', () => {
+    const full = registry.build('GetThread', { threadId: '42' });
+    expect(full.query).toContain('query GetThread($threadId: ID!)');
+    expect(full.variables).toEqual({ threadId: '42' });
+    
+    expect(registry.build('GetThread', { threadId: '42' }, { persisted: true })).toEqual({
+      doc_id: '1234',
+      variables: { threadId: '42' },
+      fb_api_req_friendly_name: 'GetThread'
+    });
+    
+    // Without a doc_id the document is sent even in persisted mode
+    expect(registry.build('GetChats', { limit: 1, offset: 0, type: 'all' }, { persisted: true }).query).toBeDefined();
+  });
+  
+  test('should reject invalid and unknown variables', () => {
+    expect(() => registry.build('GetChats', { limit: '10', type: 'all', extra: true })).toThrow(ValidationError);
+    
+    let error = null;
+    try {
+      registry.validate('AddParticipants', { threadId: '1', participantIds: ['2', null] });
+    } catch (e) {
+      error = e;
+    }
+    
+    expect(error.getFieldErrors()).toEqual({ participantIds: 'has an item that is required' });
+  });
+  
+  test('should apply and reset runtime overrides', () => {
+    registry.override('GetThread', {
+      document: 'query GetThread($id: ID!) { thread(id: $id) { id } }',
+      docId: '5678',
+      mapVariables: ({ threadId }) => ({ id: threadId })
+    });
+    
+    expect(registry.build('GetThread', { threadId: '42' }, { persisted: true })).toMatchObject({
+      doc_id: '5678',
+      variables: { id: '42' }
+    });
+    expect(registry.getStats().overridden).toEqual(['GetThread']);
+    
+    registry.reset('GetThread');
+    expect(registry.get('GetThread').docId).toBe('1234');
+    expect(registry.build('GetThread', { threadId: '42' }).variables).toEqual({ threadId: '42' });
+  });
+});
\ No newline at end of file
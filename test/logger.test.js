@@ -0,0 +1,103 @@
+/**
+ * Tests for structured logging and redaction
+ */
+
+const { MessengerClient } = require('../src/index');
+const { Logger, createLogger } = require('../src/utils/logger');
+
+/**
+ * Minimal pino-style logger recording (fields, message) calls
+ */
+function createPinoLike() {
+  const records = [];
+  const logger = {};
+  
+  ['trace', 'debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (fields, message) => records.push({ level, fields, message });
+  });
+  
+  return { logger, records };
+}
+
+describe('Logger', () => {
+  test('should pass structured records to a pino-style logger with secrets redacted', () => {
+    const { logger, records } = createPinoLike();
+    const log = createLogger(logger).child({ component: 'network' });
+    
+    log.warn('Request failed, retrying', {
+      requestId: 7,
+      operation: 'SendMessage',
+      url: 'https://graph.facebook.com/me?access_token=EAAB123&fields=id',
+      headers: { Authorization: 'OAuth EAAB123', Cookie: 'c_user=1; xs=secret' },
+      variables: { text: 'hello there', thread_id: '42' },
+      error: new Error('Invalid password=hunter2')
+    });
+    
+    expect(records).toHaveLength(1);
+    expect(records[0].level).toBe('warn');
+    expect(records[0].message).toBe('Request failed, retrying');
+    expect(records[0].fields).toEqual({
+      component: 'network',
+      requestId: 7,
+      operation: 'SendMessage',
+      url: 'https://graph.facebook.com/me?access_token=[REDACTED]&fields=id',
+      headers: { Authorization: '[REDACTED]', Cookie: '[REDACTED]' },
+      variables: { text: '[REDACTED]', thread_id: '42' },
+      error: { name: 'Error', message: 'Invalid password=[REDACTED]' }
+    });
+  });
+  
+  test('should call winston-style loggers with the message first and honor levels', () => {
+    const calls = [];
+    const winston = {
+      transports: [],
+      debug: (message, meta) => calls.push(['debug', message, meta]),
+      warn: (message, meta) => calls.push(['warn', message, meta])
+    };
+    const log = createLogger(winston, { level: 'debug' });
+    
+    log.trace('Hidden');
+    log.debug('Shown', { component: 'auth' });
+    log.setLevel('warn');
+    log.child({ component: 'auth' }).info('Hidden');
+    log.warn('Token is Bearer abc.def');
+    
+    expect(calls).toEqual([
+      ['debug', 'Shown', { component: 'auth' }],
+      ['warn', 'Token is Bearer [REDACTED]', {}]
+    ]);
+  });
+  
+  test('should log to the console at warn level by default and not at all when disabled', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const debug = jest.spyOn(console, 'debug').mockImplementation(() => {});
+    
+    try {
+      const log = new Logger().child({ component: 'websocket' });
+      log.debug('Unknown WebSocket message type', { type: 'typing' });
+      log.warn('Heartbeat timeout, reconnecting', { session_key: 'abc' });
+      createLogger(false).error('Never written');
+      
+      expect(debug).not.toHaveBeenCalled();
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/^\[.+\] WARN websocket: Heartbeat timeout, reconnecting \{"session_key":"\[REDACTED\]"\}$/);
+    } finally {
+      warn.mockRestore();
+      debug.mockRestore();
+    }
+  });
+  
+  test('should give each manager a logger tagged with its component', () => {
+    const { logger, records } = createPinoLike();
+    const client = new MessengerClient({ autoReconnect: false, logger, logLevel: 'info' });
+    
+    try {
+      client.websocket.log.info('Connected');
+      client.network.log.debug('Hidden');
+      
+      expect(records).toEqual([{ level: 'info', fields: { component: 'websocket' }, message: 'Connected' }]);
+    } finally {
+      client.destroy();
+    }
+  });
+});
\ No newline at end of file
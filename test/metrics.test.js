@@ -0,0 +1,124 @@
+/**
+ * Tests for client metrics and the Prometheus text format
+ */
+
+const http = require('http');
+const { MessengerClient, EventTypes } = require('../src/index');
+const { MetricsRegistry } = require('../src/utils/metrics');
+
+/**
+ * GET a URL and resolve to { status, type, body }
+ */
+function fetchText(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+describe('MetricsRegistry', () => {
+  test('should render counters, gauges and histograms in the Prometheus text format', () => {
+    const registry = new MetricsRegistry({ prefix: 'app_', labels: { account: 'main' } });
+    const errors = registry.counter('errors_total', 'Errors by class', ['error']);
+    const latency = registry.histogram('latency_seconds', 'Latency', ['operation'], [0.1, 1]);
+    registry.gauge('connected', 'Connected', [], (gauge) => gauge.set({}, 1));
+    registry.counter('reconnects_total', 'Reconnects');
+    
+    errors.inc({ error: 'Network"Error' });
+    errors.inc({ error: 'Network"Error' }, 2);
+    latency.observe({ operation: 'GetChats' }, 0.05);
+    latency.observe({ operation: 'GetChats' }, 0.5);
+    
+    expect(registry.render()).toBe([
+      '# HELP app_errors_total Errors by class',
+      '# TYPE app_errors_total counter',
+      'app_errors_total{account="main",error="Network\\"Error"} 3',
+      '# HELP app_latency_seconds Latency',
+      '# TYPE app_latency_seconds histogram',
+      'app_latency_seconds_bucket{account="main",operation="GetChats",le="0.1"} 1',
+      'app_latency_seconds_bucket{account="main",operation="GetChats",le="1"} 2',
+      'app_latency_seconds_bucket{account="main",operation="GetChats",le="+Inf"} 2',
+      'app_latency_seconds_sum{account="main",operation="GetChats"} 0.55',
+      'app_latency_seconds_count{account="main",operation="GetChats"} 2',
+      '# HELP app_connected Connected',
+      '# TYPE app_connected gauge',
+      'app_connected{account="main"} 1',
+      '# HELP app_reconnects_total Reconnects',
+      '# TYPE app_reconnects_total counter',
+      'app_reconnects_total{account="main"} 0',
+      ''
+    ].join('\n'));
+    expect(() => errors.inc({}, -1)).toThrow('cannot be decreased');
+  });
+});
+
+describe('MetricsManager', () => {
+  let client;
+  let server;
+  let endpoint;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url === '/broken' ? 503 : 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: { viewer: { id: '1' } } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterAll(() => {
+    server.close();
+  });
+  
+  beforeEach(() => {
+    client = new MessengerClient({ autoReconnect: false, circuitBreaker: false, logger: false });
+    client.network.updateRateLimit(null, 2, 1);
+  });
+  
+  afterEach(async () => {
+    await client.metrics.close();
+    client.destroy();
+  });
+  
+  test('should record requests, errors, messages and cache lookups', async () => {
+    await client.network.graphql('GetViewer', {}, { endpoint: `${endpoint}/graphql` });
+    await expect(client.network.get(`${endpoint}/broken`)).rejects.toThrow();
+    
+    client.emit('messageSent', { id: 'm1' });
+    client.websocket.emit(EventTypes.MESSAGE, { message_id: 'm2' });
+    client.websocket.emit('reconnecting', { attempt: 1, delay: 1000 });
+    client.metrics.trackCache('threads', false);
+    client.metrics.trackCache('threads', true);
+    
+    const { metrics } = client;
+    expect(metrics.requestDuration.get({ operation: 'GetViewer', outcome: 'success' }).count).toBe(1);
+    expect(metrics.requestDuration.get({ operation: 'rest', outcome: 'error' }).count).toBe(1);
+    expect(metrics.retries.get({ operation: 'rest' })).toBe(1);
+    expect(metrics.errors.get({ component: 'network', error: 'NetworkError' })).toBe(1);
+    
+    const text = metrics.render();
+    expect(text).toContain('messenger_messages_total{direction="sent"} 1');
+    expect(text).toContain('messenger_messages_per_minute{direction="received"} 1');
+    expect(text).toContain('messenger_websocket_reconnects_total 1');
+    expect(text).toContain('messenger_websocket_connected 0');
+    expect(text).toContain('messenger_request_queue_depth{priority="interactive"} 0');
+    expect(text).toContain('messenger_cache_hit_ratio{cache="threads"} 0.5');
+  });
+  
+  test('should serve the metrics from a local HTTP listener', async () => {
+    const { host, port } = await client.metrics.listen({ port: 0 });
+    
+    const metrics = await fetchText(`http://${host}:${port}/metrics`);
+    const missing = await fetchText(`http://${host}:${port}/`);
+    
+    expect(metrics.status).toBe(200);
+    expect(metrics.type).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(metrics.body).toContain('# TYPE messenger_request_duration_seconds histogram');
+    expect(missing.status).toBe(404);
+    await expect(client.metrics.listen({ port: 0 })).rejects.toThrow('already running');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Tests for the NetworkManager middleware pipeline
+ */
+
+const http = require('http');
+const { MessengerClient } = require('../src/index');
+const { compose } = require('../src/utils/middleware');
+
+describe('compose', () => {
+  test('should run middlewares around the handler in order', async () => {
+    const calls = [];
+    const middleware = (name) => async (ctx, next) => {
+      calls.push(`${name}:before`);
+      await next();
+      calls.push(`${name}:after`);
+    };
+    
+    await compose([middleware('a'), middleware('b')])({}, () => calls.push('handler'));
+    
+    expect(calls).toEqual(['a:before', 'b:before', 'handler', 'b:after', 'a:after']);
+  });
+  
+  test('should reject calling next() twice', async () => {
+    const pipeline = compose([async (ctx, next) => {
+      await next();
+      await next();
+    }]);
+    
+    await expect(pipeline({})).rejects.toThrow('next() called multiple times');
+  });
+});
+
+describe('NetworkManager middleware', () => {
+  let client;
+  let server;
+  let url;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ audit: req.headers['x-audit'] || null }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/graphql`;
+  });
+  
+  afterAll(() => {
+    server.close();
+  });
+  
+  beforeEach(() => {
+    client = new MessengerClient({ autoReconnect: false });
+    client.network.updateRateLimit(null, 3, 1);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should change requests and transform responses', async () => {
+    const seen = [];
+    
+    client.network.use(async (ctx, next) => {
+      ctx.headers['X-Audit'] = `request-${ctx.requestId}`;
+      await next();
+      seen.push([ctx.operation, ctx.response.status]);
+    });
+    client.network.use(async (ctx, next) => {
+      await next();
+      ctx.response.data.transformed = true;
+    });
+    
+    const response = await client.network.graphql('GetViewer', {}, { endpoint: url });
+    
+    expect(response.data).toEqual({ audit: 'request-1', transformed: true });
+    expect(seen).toEqual([['GetViewer', 200]]);
+  });
+  
+  test('should short-circuit with a cached response', async () => {
+    client.network.use(async (ctx, next) => {
+      if (ctx.operation === 'GetViewer') {
+        ctx.response = { data: { cached: true } };
+        return;
+      }
+      await next();
+    });
+    
+    const response = await client.network.graphql('GetViewer', {}, { endpoint: 'http://127.0.0.1:1/graphql' });
+    
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ cached: true });
+    expect(client.network.scheduler.getStats().priorities.interactive.completed).toBe(0);
+  });
+  
+  test('should retry injected faults and let middlewares observe errors', async () => {
+    const errors = [];
+    
+    client.network.use(async (ctx, next) => {
+      try {
+        await next();
+      } catch (error) {
+        errors.push(`${ctx.attempt}:${error.code}`);
+        throw error;
+      }
+    });
+    const remove = client.network.use(async (ctx, next) => {
+      if (ctx.attempt === 1) {
+        throw Object.assign(new Error('Injected reset'), { code: 'ECONNRESET' });
+      }
+      await next();
+    });
+    
+    const response = await client.network.get(url);
+    
+    expect(response.data.audit).toBeNull();
+    expect(errors).toEqual(['1:ECONNRESET']);
+    
+    remove();
+    expect(client.network.middleware).toHaveLength(1);
+  });
+});
\ No newline at end of file
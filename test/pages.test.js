@@ -0,0 +1,93 @@
+/**
+ * Tests for managed Pages and acting as a Page
+ */
+
+const { MessengerClient, EventTypes } = require('../src/index');
+
+describe('PageManager', () => {
+  let client;
+  let requests;
+  
+  beforeEach(async () => {
+    client = new MessengerClient({ autoReconnect: false, logger: false });
+    jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+    jest.spyOn(client.websocket, 'disconnect').mockResolvedValue();
+    await client._handleAuthenticated(client.auth.restoreSession({ accessToken: 'user-token', userId: '1' }));
+    
+    requests = [];
+    client.network.use(async (ctx) => {
+      requests.push({ operation: ctx.operation, authorization: ctx.headers.Authorization });
+      
+      const data = {
+        GetManagedPages: {
+          viewer: {
+            managed_pages: {
+              nodes: [
+                { id: 'p1', name: 'Shop', tasks: ['MESSAGING'] },
+                { id: 'p2', name: 'Blog', tasks: ['ANALYZE'], access_token: 'p2-token' }
+              ]
+            }
+          }
+        },
+        GetPageToken: { page: { access_token: `${ctx.data.variables.pageId}-token` } },
+        SendMessage: { sendMessage: { success: true, message: { id: `m${requests.length}` } } }
+      };
+      ctx.response = { data: { data: data[ctx.operation] } };
+    });
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  /**
+   * Operations sent so far, with the token each one carried
+   */
+  function sent() {
+    return requests.map(({ operation, authorization }) => `${operation}:${authorization}`);
+  }
+  
+  test('should list Pages once and keep their tokens', async () => {
+    const pages = await client.pages.listPages();
+    await client.pages.listPages();
+    
+    expect(pages.map(page => [page.id, page.canMessage])).toEqual([['p1', true], ['p2', false]]);
+    expect(await client.pages.getPageToken('p2')).toBe('p2-token');
+    expect(await client.pages.getPageToken('p1')).toBe('p1-token');
+    expect(await client.pages.getPageToken('p1')).toBe('p1-token');
+    await client.pages.getPageToken('p1', { forceRefresh: true });
+    
+    // Page tokens are always requested with the user token
+    expect(sent()).toEqual([
+      'GetManagedPages:Bearer user-token',
+      'GetPageToken:Bearer user-token',
+      'GetPageToken:Bearer user-token'
+    ]);
+    expect(client.pages.getStats()).toMatchObject({ totalPages: 2, cachedTokens: 2 });
+    await expect(client.pages.getPage('p3')).rejects.toThrow('Page p3 is not managed by this account');
+  });
+  
+  test('should send with the Page token while acting as a Page', async () => {
+    const identities = [];
+    client.on(EventTypes.IDENTITY_CHANGED, ({ identity }) => identities.push(identity));
+    
+    await client.actAs('p1');
+    requests = [];
+    await client.sendMessage('thread1', 'Hello from the Page');
+    
+    expect(client.identity).toEqual({ type: 'page', id: 'p1', name: 'Shop' });
+    expect(client.getAccessToken()).toBe('p1-token');
+    expect(sent()).toEqual(['SendMessage:Bearer p1-token']);
+    
+    await client.actAs(null);
+    requests = [];
+    await client.sendMessage('thread1', 'Hello from the profile');
+    
+    expect(sent()).toEqual(['SendMessage:Bearer user-token']);
+    expect(identities).toEqual([
+      { type: 'page', id: 'p1', name: 'Shop' },
+      { type: 'user', id: '1' }
+    ]);
+    expect(client.websocket.connect).toHaveBeenCalledTimes(3);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * Tests for the client pool and its shared request limit
+ */
+
+const http = require('http');
+const { MessengerClientPool, AbortError } = require('../src/index');
+const { ConcurrencyLimiter } = require('../src/utils/limiter');
+
+/**
+ * Create a promise with its resolve function
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('ConcurrencyLimiter', () => {
+  test('should cap running tasks and free the slot of a failed one', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const tasks = [deferred(), deferred(), deferred()];
+    const started = [];
+    
+    const runs = tasks.map((task, index) => limiter.run(() => {
+      started.push(index);
+      return task.promise;
+    }).catch(e => e));
+    await Promise.resolve();
+    
+    expect(started).toEqual([0, 1]);
+    expect(limiter.getStats()).toEqual({ maxConcurrent: 2, active: 2, pending: 1 });
+    
+    const failure = new Error('boom');
+    tasks[0].resolve(Promise.reject(failure));
+    await runs[0];
+    
+    expect(started).toEqual([0, 1, 2]);
+    expect(limiter.getStats()).toEqual({ maxConcurrent: 2, active: 2, pending: 0 });
+    
+    tasks[1].resolve('b');
+    tasks[2].resolve('c');
+    expect(await Promise.all(runs)).toEqual([failure, 'b', 'c']);
+    expect(limiter.getStats().active).toBe(0);
+  });
+  
+  test('should start waiting tasks when the limit grows', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const blocker = deferred();
+    const started = [];
+    
+    const runs = [0, 1, 2].map(index => limiter.run(() => {
+      started.push(index);
+      return blocker.promise;
+    }));
+    
+    limiter.setMaxConcurrent(3);
+    await Promise.resolve();
+    
+    expect(started).toEqual([0, 1, 2]);
+    blocker.resolve();
+    await Promise.all(runs);
+    expect(limiter.getStats()).toEqual({ maxConcurrent: 3, active: 0, pending: 0 });
+  });
+});
+
+describe('MessengerClientPool', () => {
+  let server;
+  let endpoint;
+  let held;
+  let pool;
+  
+  /**
+   * Wait until the server holds a number of requests
+   */
+  function waitForRequests(count) {
+    return new Promise(resolve => {
+      const check = () => (held.length >= count ? resolve() : setTimeout(check, 5));
+      check();
+    });
+  }
+  
+  /**
+   * Answer the held requests in the order they arrived
+   */
+  function releaseRequests() {
+    held.splice(0).forEach(({ res }) => res.end(JSON.stringify({ ok: true })));
+  }
+  
+  /**
+   * Create a pool of accounts logged in from stored sessions
+   * Session validation is answered locally, every other request goes to the test server
+   */
+  function createPool(accountIds, options = {}) {
+    pool = new MessengerClientPool({
+      logger: false,
+      // Each client alone could run every request at once, only the pool limit holds them back
+      clientOptions: { autoReconnect: false, maxRetries: 1, maxConcurrentRequests: 4 },
+      ...options
+    });
+    
+    const createClient = pool._createClient;
+    jest.spyOn(pool, '_createClient').mockImplementation(function (account) {
+      const client = createClient.call(this, account);
+      
+      jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+      client.network.use(async (ctx, next) => {
+        if (ctx.operation !== 'GetViewer') {
+          return await next();
+        }
+        ctx.response = { data: { data: { viewer: { id: ctx.data.access_token.replace('token-', '') } } } };
+      });
+      
+      return client;
+    });
+    
+    accountIds.forEach(accountId => {
+      pool.addAccount(accountId, { session: { accessToken: `token-${accountId}`, userId: accountId } });
+    });
+    
+    return Promise.all(accountIds.map(accountId => pool.getClient(accountId)));
+  }
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      held.push({ url: req.url, res });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  
+  beforeEach(() => {
+    held = [];
+  });
+  
+  afterEach(() => {
+    releaseRequests();
+    pool.destroy();
+  });
+  
+  test('should keep the requests of all clients under the shared limit', async () => {
+    const [support, sales] = await createPool(['support', 'sales'], { maxConcurrentRequests: 2 });
+    
+    const requests = [
+      support.network.get(`${endpoint}/support/1`),
+      sales.network.get(`${endpoint}/sales/1`),
+      support.network.get(`${endpoint}/support/2`),
+      sales.network.get(`${endpoint}/sales/2`)
+    ];
+    await waitForRequests(2);
+    
+    expect(held.map(request => request.url).sort()).toEqual(['/sales/1', '/support/1']);
+    expect(pool.getHealth().requests).toEqual({ maxConcurrent: 2, active: 2, pending: 2 });
+    
+    releaseRequests();
+    await waitForRequests(2);
+    expect(held.map(request => request.url).sort()).toEqual(['/sales/2', '/support/2']);
+    
+    releaseRequests();
+    await Promise.all(requests);
+    expect(pool.getHealth().requests).toEqual({ maxConcurrent: 2, active: 0, pending: 0 });
+  });
+  
+  test('should hand the slot of an aborted request to the next client', async () => {
+    const [support, sales] = await createPool(['support', 'sales'], { maxConcurrentRequests: 1 });
+    const controller = new AbortController();
+    
+    const aborted = support.network.get(`${endpoint}/support`, { signal: controller.signal });
+    const waiting = sales.network.get(`${endpoint}/sales`);
+    await waitForRequests(1);
+    
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+    await waitForRequests(2);
+    
+    expect(held[1].url).toBe('/sales');
+    releaseRequests();
+    await expect(waiting).resolves.toMatchObject({ data: { ok: true } });
+    expect(pool.getHealth().requests.active).toBe(0);
+  });
+  
+  test('should destroy every client and abort their requests', async () => {
+    const clients = await createPool(['support', 'sales'], { maxConcurrentRequests: 1 });
+    const destroyed = clients.map(client => jest.spyOn(client, 'destroy'));
+    
+    const requests = clients.map(client => client.network.get(`${endpoint}/request`).catch(e => e));
+    await waitForRequests(1);
+    
+    pool.destroy();
+    const errors = await Promise.all(requests);
+    
+    errors.forEach(error => expect(error).toBeInstanceOf(AbortError));
+    destroyed.forEach(destroy => expect(destroy).toHaveBeenCalledTimes(1));
+    expect(pool.getHealth()).toMatchObject({
+      requests: { active: 0, pending: 0 },
+      accounts: [
+        { accountId: 'support', state: 'closed', status: null },
+        { accountId: 'sales', state: 'closed', status: null }
+      ]
+    });
+    await expect(pool.getClient('support')).rejects.toThrow('Account support has been closed');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Tests for the persisted device profile and the headers it drives
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { MessengerClient } = require('../src/index');
+const { DeviceProfile, buildAcceptLanguage } = require('../src/utils/profile');
+
+describe('DeviceProfile', () => {
+  let directory;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-profile-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  test('should keep a generated profile across save and load', async () => {
+    const file = path.join(directory, 'nested', 'device.json');
+    const profile = DeviceProfile.generate({ model: 'Pixel 8', locale: 'pt_BR' });
+    
+    await profile.save(file);
+    const loaded = await DeviceProfile.load(file);
+    
+    expect(loaded.toJSON()).toEqual(profile.toJSON());
+    expect(loaded.getHeaders()).toEqual(profile.getHeaders());
+    expect(loaded.userAgent).toContain('Pixel 8');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+  
+  test('should create a profile once and reuse it afterwards', async () => {
+    const file = path.join(directory, 'device.json');
+    
+    const created = await DeviceProfile.loadOrCreate(file, { locale: 'de_DE' });
+    const reused = await DeviceProfile.loadOrCreate(file, { locale: 'fr_FR' });
+    
+    expect(reused.toJSON()).toEqual(created.toJSON());
+    expect(reused.locale).toBe('de_DE');
+  });
+  
+  test('should reject invalid profile data', () => {
+    expect(() => DeviceProfile.fromJSON(null)).toThrow('Invalid device profile data');
+    expect(() => DeviceProfile.fromJSON({ deviceId: 'd', clientId: 'c', version: 99 }))
+      .toThrow('Unsupported device profile version: 99');
+    expect(() => new DeviceProfile({ deviceId: 'd' })).toThrow('DeviceProfile requires a deviceId and clientId');
+  });
+  
+  test('should build Accept-Language from the locale', () => {
+    expect(buildAcceptLanguage('en_US')).toBe('en-US,en;q=0.9');
+    expect(buildAcceptLanguage('pt_br')).toBe('pt-BR,pt;q=0.9,en;q=0.8');
+    expect(buildAcceptLanguage('de')).toBe('de,en;q=0.9');
+  });
+});
+
+describe('device profile headers', () => {
+  let server;
+  let requests;
+  let client;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+    
+    // The client sets Sec-WebSocket-Protocol as a plain header, so no subprotocol is answered
+    const sockets = new WebSocket.Server({ server, handleProtocols: () => false });
+    sockets.on('connection', (socket, req) => requests.push(req.headers));
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+  
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  
+  beforeEach(() => {
+    requests = [];
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should send the same identity over HTTP and the WebSocket handshake', async () => {
+    const profile = DeviceProfile.generate({ model: 'Pixel 8', osVersion: '14', locale: 'pt_BR' });
+    client = new MessengerClient({ autoReconnect: false, logger: false, deviceProfile: profile.toJSON() });
+    
+    const endpoint = `127.0.0.1:${server.address().port}`;
+    client.network.use(async (ctx, next) => {
+      ctx.url = `http://${endpoint}/me`;
+      await next();
+    });
+    await client.network.get('https://graph.facebook.com/me');
+    
+    const socket = client.websocket._createSocket({ url: `ws://${endpoint}`, token: 'token' });
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    socket.close();
+    
+    expect(client.deviceProfile.toJSON()).toEqual(profile.toJSON());
+    expect(requests).toHaveLength(2);
+    requests.forEach(headers => {
+      expect(headers).toMatchObject({ 'user-agent': profile.userAgent, 'accept-language': 'pt-BR,pt;q=0.9,en;q=0.8' });
+    });
+    expect(client.auth.deviceId).toBe(profile.deviceId);
+    expect(client.auth.clientId).toBe(profile.clientId);
+  });
+});
\ No newline at end of file
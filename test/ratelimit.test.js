@@ -0,0 +1,68 @@
+/**
+ * Tests for the token-bucket rate limiter
+ */
+
+const { RateLimiter, TokenBucket, parseRetryAfter, parseRateLimitHeaders } = require('../src/utils/ratelimit');
+const { Endpoints } = require('../src/constants');
+
+describe('TokenBucket', () => {
+  test('should allow a burst and then wait for refills', () => {
+    const bucket = new TokenBucket({ rate: 2, burst: 3 });
+    const now = bucket.lastRefill;
+    
+    expect([1, 2, 3].map(() => bucket.take(now))).toEqual([0, 0, 0]);
+    expect(bucket.take(now)).toBe(500);
+    expect(bucket.take(now + 500)).toBe(0);
+  });
+});
+
+describe('RateLimiter', () => {
+  test('should route endpoints to their buckets', () => {
+    const limiter = new RateLimiter({ routes: [{ match: /\/custom$/, bucket: 'upload' }] });
+    
+    expect(limiter.resolveBucket('https://graph.facebook.com/graphql')).toBe('graphql');
+    expect(limiter.resolveBucket('https://m.facebook.com/login/checkpoint/')).toBe('login');
+    expect(limiter.resolveBucket(Endpoints.LOGIN_QR)).toBe('login');
+    expect(limiter.resolveBucket(`${Endpoints.LOGIN_QR_STATUS}?nonce=n1`)).toBe('default');
+    expect(limiter.resolveBucket('https://b-upload.facebook.com/ajax/mercury/upload.php')).toBe('upload');
+    expect(limiter.resolveBucket('https://example.com/custom')).toBe('upload');
+    expect(limiter.resolveBucket('https://www.facebook.com/')).toBe('default');
+  });
+  
+  test('should block a bucket for Retry-After and cool down after repeated 429s', () => {
+    const limiter = new RateLimiter({ cooldown: { threshold: 2, duration: 30000 } });
+    const now = Date.now();
+    
+    const first = limiter.handleRateLimited('graphql', { 'retry-after': '5' }, now);
+    expect(first.retryAfter).toBe(5000);
+    expect(first.cooldown).toBe(false);
+    expect(limiter.buckets.get('graphql').take(now + 1000)).toBe(4000);
+    
+    const second = limiter.handleRateLimited('login', {}, now);
+    expect(second.retryAfter).toBe(limiter.defaultRetryAfter);
+    expect(second.cooldown).toBe(true);
+    expect(limiter.getStats().cooldown.active).toBe(true);
+  });
+});
+
+describe('rate limit headers', () => {
+  test('should parse Retry-After seconds and dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+  
+  test('should parse X-RateLimit and usage headers', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    const info = parseRateLimitHeaders({
+      'x-ratelimit-limit': '200',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': '60',
+      'x-app-usage': '{"call_count":100,"total_time":12,"total_cputime":3}'
+    }, now);
+    
+    expect(info).toMatchObject({ limit: 200, remaining: 0, reset: now + 60000, usage: 100 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Tests for recording and replaying NetworkManager traffic
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { MessengerClient, EventTypes } = require('../src/index');
+const { redact, redactUrl, REDACTED } = require('../src/utils/recorder');
+const { NetworkError } = require('../src/utils/errors');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'replay-session.json');
+
+function createClient(recording) {
+  return new MessengerClient({
+    autoReconnect: false,
+    maxRetries: 1,
+    recording
+  });
+}
+
+describe('redaction', () => {
+  test('should hide tokens and cookie values', () => {
+    expect(redact({
+      Authorization: 'Bearer abc',
+      Cookie: 'c_user=1; xs=abc',
+      'set-cookie': ['xs=abc; Domain=.facebook.com; Path=/'],
+      body: { access_token: 'abc', threadId: '1' }
+    })).toEqual({
+      Authorization: REDACTED,
+      Cookie: `c_user=${REDACTED}; xs=${REDACTED}`,
+      'set-cookie': [`xs=${REDACTED}; Domain=.facebook.com; Path=/`],
+      body: { access_token: REDACTED, threadId: '1' }
+    });
+    
+    expect(redactUrl('https://graph.facebook.com/me?access_token=abc&fields=id'))
+      .toBe('https://graph.facebook.com/me?access_token=%5BREDACTED%5D&fields=id');
+  });
+});
+
+describe('record and replay', () => {
+  let client;
+  
+  afterEach(() => {
+    if (client) {
+      client.destroy();
+      client = null;
+    }
+  });
+  
+  test('should record traffic without secrets and replay it offline', async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Set-Cookie', 'xs=server-secret; Path=/');
+      res.end(JSON.stringify({ data: { thread: { id: '7', name: 'Recorded' } } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const endpoint = `http://127.0.0.1:${server.address().port}/graphql`;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-replay-'));
+    const fixture = path.join(directory, 'session.json');
+    const request = {
+      endpoint,
+      accessToken: 'token-secret',
+      headers: { Cookie: 'xs=cookie-secret' }
+    };
+    
+    try {
+      client = createClient({ mode: 'record', fixture });
+      await client.network.graphql('GetThread', { threadId: '7' }, request);
+      await client.network.recorder.save();
+    } finally {
+      server.close();
+    }
+    
+    const content = fs.readFileSync(fixture, 'utf8');
+    expect(content).not.toMatch(/token-secret|cookie-secret|server-secret/);
+    expect(JSON.parse(content).http[0].request).toMatchObject({ method: 'POST', operation: 'GetThread', variables: { threadId: '7' } });
+    
+    client.destroy();
+    client = createClient({ mode: 'replay', fixture });
+    
+    const response = await client.network.graphql('GetThread', { threadId: '7' }, request);
+    expect(response.data.data.thread.name).toBe('Recorded');
+    
+    const error = await client.network.graphql('GetThread', { threadId: '8' }, request).catch(e => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(client.network.recorder.getUnmatched()).toEqual([
+      { type: 'http', method: 'POST', url: endpoint, operation: 'GetThread', variables: { threadId: '8' } }
+    ]);
+    
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  test('should serve fixtures to the managers', async () => {
+    client = createClient({ mode: 'replay', fixture: FIXTURE });
+    client.isAuthenticated = true;
+    
+    const thread = await client.chats.getChatById('100');
+    
+    expect(thread.name).toBe('Replay Group');
+    expect(client.network.recorder.getUnused().http.map(request => request.operation)).toEqual(['GetWebSocketInfo']);
+  });
+  
+  test('should replay WebSocket frames', async () => {
+    client = createClient({ mode: 'replay', fixture: FIXTURE });
+    client.userId = '1';
+    
+    const received = new Promise(resolve => client.websocket.once(EventTypes.MESSAGE, resolve));
+    
+    await client.websocket.connect();
+    
+    expect(await received).toMatchObject({ message_id: 'mid.1', text: 'hello from the fixture', thread_id: '100' });
+    expect(client.network.recorder.getUnmatched()).toEqual([]);
+    
+    await client.websocket.disconnect();
+  });
+});
\ No newline at end of file
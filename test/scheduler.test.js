@@ -0,0 +1,103 @@
+/**
+ * Tests for the priority request scheduler
+ */
+
+const { MessengerClient } = require('../src/index');
+const { RequestScheduler } = require('../src/utils/scheduler');
+const { RequestPriorities } = require('../src/constants');
+const { AbortError } = require('../src/utils/errors');
+
+describe('RequestScheduler', () => {
+  let scheduler;
+  let order;
+  let release;
+  
+  beforeEach(() => {
+    scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    order = [];
+  });
+  
+  // Occupy the only slot so later tasks have to queue
+  const block = () => scheduler.run(() => new Promise(resolve => { release = resolve; }));
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const task = (name, options) => scheduler.run(async () => order.push(name), options);
+  
+  test('should run higher priority classes first', async () => {
+    const blocker = block();
+    const tasks = [
+      task('export', { priority: RequestPriorities.BACKGROUND }),
+      task('ack', { priority: RequestPriorities.REALTIME }),
+      task('reply', { priority: RequestPriorities.INTERACTIVE })
+    ];
+    
+    expect(scheduler.getStats().pending).toBe(3);
+    
+    await tick();
+    release();
+    await Promise.all([blocker, ...tasks]);
+    
+    expect(order).toEqual(['reply', 'ack', 'export']);
+  });
+  
+  test('should take turns between threads of the same class', async () => {
+    const background = { priority: RequestPriorities.BACKGROUND };
+    const blocker = block();
+    const tasks = [
+      task('a1', { ...background, key: 'a' }),
+      task('a2', { ...background, key: 'a' }),
+      task('a3', { ...background, key: 'a' }),
+      task('b1', { ...background, key: 'b' })
+    ];
+    
+    expect(scheduler.getStats().priorities.background).toMatchObject({ queued: 4, threads: 2 });
+    
+    await tick();
+    release();
+    await Promise.all([blocker, ...tasks]);
+    
+    expect(order).toEqual(['a1', 'b1', 'a2', 'a3']);
+  });
+  
+  test('should drop aborted tasks from the queue', async () => {
+    const controller = new AbortController();
+    const blocker = block();
+    const aborted = task('aborted', { signal: controller.signal });
+    
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+    expect(scheduler.getStats().pending).toBe(0);
+    
+    await tick();
+    release();
+    await blocker;
+    
+    await expect(scheduler.run(() => {}, { priority: 'urgent' })).rejects.toThrow('Unknown request priority');
+  });
+});
+
+describe('Message request priorities', () => {
+  test('should read history and search results in the background unless asked otherwise', async () => {
+    const client = new MessengerClient({ autoReconnect: false, logger: false });
+    const priorities = [];
+    
+    client.isAuthenticated = true;
+    client.network.use(async (ctx) => {
+      priorities.push(`${ctx.operation}:${ctx.options.priority}`);
+      ctx.response = { data: { data: { thread: { messages: [] }, searchMessages: [] } } };
+    });
+    
+    try {
+      await client.getMessageHistory('thread1');
+      await client.searchMessages('hello');
+      await client.getMessageHistory('thread1', { priority: RequestPriorities.INTERACTIVE });
+    } finally {
+      client.destroy();
+    }
+    
+    expect(priorities).toEqual([
+      'GetMessageHistory:background',
+      'SearchMessages:background',
+      'GetMessageHistory:interactive'
+    ]);
+  });
+});
\ No newline at end of file
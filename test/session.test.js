@@ -0,0 +1,116 @@
+/**
+ * Tests for the NetworkManager session expiry guard
+ */
+
+const { MessengerClient, AuthError, EventTypes } = require('../src/index');
+
+const API = 'https://graph.facebook.com/me/threads';
+
+describe('NetworkManager session guard', () => {
+  let client;
+  let sent;
+  let releaseSession;
+  
+  /**
+   * Create an authenticated client whose stored session is handed out once released
+   */
+  async function createClient(session) {
+    const sessionReady = new Promise(resolve => { releaseSession = resolve; });
+    
+    client = new MessengerClient({
+      autoReconnect: false,
+      logger: false,
+      maxRetries: 1,
+      sessionProvider: async () => {
+        await sessionReady;
+        return session;
+      }
+    });
+    jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+    await client._handleAuthenticated(client.auth.restoreSession({ accessToken: 'old', userId: '1' }));
+    
+    // Only the new token is accepted, as the body token or the bearer token
+    sent = [];
+    client.network.use(async (ctx) => {
+      const token = (ctx.data && ctx.data.access_token) || String(ctx.headers.Authorization || '').replace(/^Bearer /, '');
+      sent.push({ url: ctx.url, token, authorization: ctx.headers.Authorization });
+      
+      ctx.response = token === 'new'
+        ? { data: { data: { viewer: { id: '1' } }, ok: true } }
+        : { status: 401, data: { error: { code: 190 } } };
+    });
+  }
+  
+  /**
+   * Resolve once the client noticed the expired session
+   */
+  function onceExpired() {
+    return new Promise(resolve => client.once(EventTypes.SESSION_EXPIRED, resolve));
+  }
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should replay an expired request with the refreshed token', async () => {
+    await createClient({ accessToken: 'new', userId: '1' });
+    const restored = new Promise(resolve => client.once(EventTypes.SESSION_RESTORED, resolve));
+    
+    const request = client.network.post(API, { access_token: 'old' }, { headers: { Authorization: 'Bearer old' } });
+    releaseSession();
+    const response = await request;
+    
+    expect(response.data.ok).toBe(true);
+    expect(await restored).toEqual({ userId: '1', reason: 'http_401' });
+    expect(sent.map(({ url, token }) => `${url}:${token}`)).toEqual([
+      `${API}:old`,
+      'https://graph.facebook.com/graphql:new',
+      `${API}:new`
+    ]);
+    expect(sent[2].authorization).toBe('Bearer new');
+    expect(client.auth.accessToken).toBe('new');
+  });
+  
+  test('should hold requests made during a restore until it completes', async () => {
+    await createClient({ accessToken: 'new', userId: '1' });
+    const expired = onceExpired();
+    
+    const first = client.network.post(API, { access_token: 'old' });
+    await expired;
+    
+    const held = client.network.post(API, { access_token: 'old' });
+    await new Promise(resolve => setImmediate(resolve));
+    
+    // Nothing but the expired request went out while the session is being restored
+    expect(sent).toHaveLength(1);
+    expect(client.network.sessionRestorePromise).not.toBeNull();
+    
+    releaseSession();
+    await Promise.all([first, held]);
+    
+    expect(sent.slice(1).every(({ token }) => token === 'new')).toBe(true);
+    expect(sent.filter(({ token }) => token === 'old')).toHaveLength(1);
+    expect(client.network.sessionRestorePromise).toBeNull();
+  });
+  
+  test('should reject held callers when the session cannot be restored', async () => {
+    await createClient(null);
+    const expired = onceExpired();
+    const disconnected = new Promise(resolve => client.once(EventTypes.DISCONNECTION, resolve));
+    
+    const first = client.network.post(API, { access_token: 'old' }).catch(e => e);
+    await expired;
+    const held = client.network.post(API, { access_token: 'old' }).catch(e => e);
+    releaseSession();
+    
+    const errors = await Promise.all([first, held]);
+    
+    errors.forEach(error => {
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.message).toBe('Session expired and no session or credential provider is configured');
+    });
+    expect(sent).toHaveLength(1);
+    expect(client.isAuthenticated).toBe(false);
+    expect((await disconnected).status).toBe('session_lost');
+  });
+});
\ No newline at end of file
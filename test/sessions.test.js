@@ -0,0 +1,151 @@
+/**
+ * Tests for session stores and restoring an expired session
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessengerClient, MemorySessionStore, FileSessionStore, AuthMethods, AuthStates, EventTypes } = require('../src/index');
+const { Endpoints } = require('../src/constants');
+
+const API = 'https://graph.facebook.com/me/threads';
+
+/**
+ * Create a client logged in with a token, its requests answered by the test
+ * Only the "fresh" token is accepted, as the body token or the bearer token
+ */
+async function createClient(accessToken, options = {}) {
+  const client = new MessengerClient({ autoReconnect: false, logger: false, maxRetries: 1, ...options });
+  jest.spyOn(client.websocket, 'connect').mockResolvedValue();
+  await client._handleAuthenticated(client.auth.restoreSession({ accessToken, userId: '1' }));
+  
+  client.network.use(async (ctx) => {
+    const token = (ctx.data && ctx.data.access_token) || String(ctx.headers.Authorization || '').replace(/^Bearer /, '');
+    
+    ctx.response = token === 'fresh'
+      ? { data: { data: { viewer: { id: '1' } }, ok: true } }
+      : { status: 401, data: { error: { code: 190 } } };
+  });
+  
+  return client;
+}
+
+describe('session stores', () => {
+  let directory;
+  let client;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-sessions-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    if (client) {
+      client.destroy();
+      client = null;
+    }
+  });
+  
+  test('should save and load an exported session', async () => {
+    client = await createClient('fresh');
+    client.cookieJar.setCookies([{ name: 'c_user', value: '1', domain: '.facebook.com' }]);
+    const session = client.exportSession();
+    
+    for (const store of [new MemorySessionStore(), new FileSessionStore(directory)]) {
+      await store.save('support/eu', session);
+      expect(await store.load('support/eu')).toEqual(JSON.parse(JSON.stringify(session)));
+      
+      await store.remove('support/eu');
+      await store.remove('support/eu');
+      expect(await store.load('support/eu')).toBeNull();
+    }
+  });
+  
+  test('should write one private file per account and log in from it', async () => {
+    const store = new FileSessionStore(path.join(directory, 'nested'));
+    client = await createClient('fresh');
+    await store.save('support/eu', client.exportSession());
+    
+    const file = path.join(directory, 'nested', 'support_eu.json');
+    expect(fs.readdirSync(path.join(directory, 'nested'))).toEqual(['support_eu.json']);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    
+    const restored = new MessengerClient({ autoReconnect: false, logger: false });
+    jest.spyOn(restored.websocket, 'connect').mockResolvedValue();
+    restored.network.use(async (ctx) => {
+      ctx.response = { data: { data: { viewer: { id: ctx.data.access_token === 'fresh' ? '1' : '2' } } } };
+    });
+    
+    try {
+      await restored.loginWithSession(await store.load('support/eu'));
+      expect(restored.isAuthenticated).toBe(true);
+      expect(restored.deviceProfile.toJSON()).toEqual(client.deviceProfile.toJSON());
+    } finally {
+      restored.destroy();
+    }
+    
+    expect(() => new FileSessionStore()).toThrow('FileSessionStore requires a directory');
+  });
+});
+
+describe('MessengerClient session restore', () => {
+  let client;
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should restore the stored session without asking for credentials', async () => {
+    const store = new MemorySessionStore();
+    await store.save('1', { accessToken: 'fresh', userId: '1' });
+    const credentialProvider = jest.fn();
+    
+    client = await createClient('expired', {
+      sessionProvider: (userId) => store.load(userId),
+      credentialProvider
+    });
+    
+    const response = await client.network.post(API, { access_token: 'expired' });
+    
+    expect(response.data.ok).toBe(true);
+    expect(credentialProvider).not.toHaveBeenCalled();
+    expect(client.auth.accessToken).toBe('fresh');
+  });
+  
+  test('should fall back to the credential provider when the stored session is stale', async () => {
+    const store = new MemorySessionStore();
+    await store.save('1', { accessToken: 'stale', userId: '1' });
+    const sessionProvider = jest.fn(userId => store.load(userId));
+    const credentialProvider = jest.fn(async () => ({
+      credentials: { accessToken: 'fresh', userId: '1' },
+      method: AuthMethods.ACCESS_TOKEN
+    }));
+    
+    client = await createClient('expired', { sessionProvider, credentialProvider });
+    const restored = new Promise(resolve => client.once(EventTypes.SESSION_RESTORED, resolve));
+    
+    const response = await client.network.post(API, { access_token: 'expired' });
+    
+    expect(response.data.ok).toBe(true);
+    expect(sessionProvider).toHaveBeenCalledWith('1');
+    expect(credentialProvider).toHaveBeenCalledTimes(1);
+    expect(credentialProvider.mock.calls[0][0]).toMatchObject({ userId: '1', accessToken: 'expired' });
+    expect(await restored).toEqual({ userId: '1', reason: 'http_401' });
+    expect(client.auth.state).toBe(AuthStates.AUTHENTICATED);
+    expect(client.auth.accessToken).toBe('fresh');
+  });  
+  test('should replace the cookies of the current session', async () => {
+    client = await createClient('stale');
+    client.cookieJar.setCookies([
+      { name: 'c_user', value: '1', domain: 'facebook.com' },
+      { name: 'xs', value: 'old', domain: 'facebook.com' },
+      { name: 'presence', value: 'p', domain: 'facebook.com' }
+    ]);
+    
+    await client.loginWithSession({ accessToken: 'fresh', userId: '1', cookies: { c_user: '1', xs: 'new' } });
+    
+    expect(client.cookieJar.toObject(Endpoints.LOGIN)).toEqual({ c_user: '1', xs: 'new' });
+    expect(client.auth.sessionCookies).toEqual({ c_user: '1', xs: 'new' });
+    expect(client.auth.accessToken).toBe('fresh');
+  });
+});
\ No newline at end of file
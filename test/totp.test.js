@@ -0,0 +1,58 @@
+/**
+ * Tests for TOTP code generation
+ */
+
+const {
+  decodeBase32,
+  generateHotp,
+  generateTotp,
+  getTotpCandidates,
+  getTimeUntilNextStep
+} = require('../src/utils/totp');
+
+// RFC 6238 SHA-1 seed, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  test('should decode padded, lowercase and grouped base32 secrets', () => {
+    expect(decodeBase32(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(decodeBase32('MZXW6YTBOI======').toString()).toBe('foobar');
+    expect(decodeBase32('mzxw6ytboi======').toString()).toBe('foobar');
+    expect(decodeBase32('mzxw 6ytb-oi').toString()).toBe('foobar');
+    expect(decodeBase32('MY======').toString()).toBe('f');
+    expect(() => decodeBase32('MZXW1')).toThrow('Invalid base32 character in TOTP secret: 1');
+    expect(() => decodeBase32('')).toThrow('TOTP secret must be a non-empty string');
+  });
+  
+  test('should match the RFC 4226 HOTP test values', () => {
+    const key = Buffer.from('12345678901234567890');
+    const codes = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(counter => generateHotp(key, counter));
+    
+    expect(codes).toEqual(['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489']);
+  });
+  
+  test('should match the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+    
+    vectors.forEach(([seconds, code]) => {
+      expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+    expect(generateTotp(RFC_SECRET.toLowerCase(), { time: 59000 })).toBe('287082');
+  });
+  
+  test('should offer the neighbouring steps to absorb clock drift', () => {
+    const key = Buffer.from('12345678901234567890');
+    
+    expect(getTotpCandidates(key, { time: 59000 })).toEqual(['287082', '755224', '359152']);
+    expect(getTotpCandidates(key, { time: 59000, window: 0 })).toEqual(['287082']);
+    expect(getTimeUntilNextStep(59000)).toBe(1000);
+    expect(getTimeUntilNextStep(60000)).toBe(30000);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Tests for tracing spans and their exporter
+ */
+
+const http = require('http');
+const { MessengerClient, MessageTypes, InMemorySpanExporter } = require('../src/index');
+const { Tracer, SpanStatusCode } = require('../src/utils/tracing');
+
+/**
+ * Find the one exported span with a name
+ */
+function findSpan(spans, name) {
+  const matches = spans.filter(span => span.name === name);
+  expect(matches).toHaveLength(1);
+  return matches[0];
+}
+
+describe('Tracer', () => {
+  test('should nest spans of one async call chain and record errors', async () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new Tracer({ exporter });
+    
+    const error = await tracer.trace('outer', { attributes: { thread: '1' } }, async () => {
+      await tracer.trace('inner', {}, async () => {});
+      await tracer.trace('failing', {}, async () => {
+        throw new Error('Request failed: GET https://graph.facebook.com/me?access_token=EAAB123');
+      });
+    }).catch(e => e);
+    
+    const spans = exporter.getFinishedSpans();
+    const outer = findSpan(spans, 'outer');
+    const failing = findSpan(spans, 'failing');
+    
+    expect(error.message).toContain('EAAB123');
+    expect(spans.map(span => span.name)).toEqual(['inner', 'failing', 'outer']);
+    expect(spans.every(span => span.spanContext().traceId === outer.spanContext().traceId)).toBe(true);
+    expect(findSpan(spans, 'inner').parentSpanId).toBe(outer.spanContext().spanId);
+    expect(outer.parentSpanId).toBeUndefined();
+    expect(outer.attributes).toEqual({ thread: '1' });
+    expect(outer.spanContext().traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(failing.status).toEqual({
+      code: SpanStatusCode.ERROR,
+      message: 'Request failed: GET https://graph.facebook.com/me?access_token=[REDACTED]'
+    });
+    expect(failing.events[0].name).toBe('exception');
+  });
+  
+  test('should export nothing when a trace is not sampled or tracing is off', async () => {
+    const exporter = new InMemorySpanExporter();
+    
+    await new Tracer({ exporter, sampleRate: 0 }).trace('dropped', {}, async () => {});
+    const result = await new Tracer(null).trace('off', {}, async (span) => span.isRecording());
+    
+    expect(exporter.getFinishedSpans()).toEqual([]);
+    expect(result).toBe(false);
+  });
+});
+
+describe('Client tracing', () => {
+  let client;
+  let exporter;
+  let records;
+  
+  beforeEach(() => {
+    exporter = new InMemorySpanExporter();
+    records = [];
+    const logger = {
+      warn: (fields, message) => records.push({ fields, message })
+    };
+    client = new MessengerClient({ autoReconnect: false, tracing: { exporter }, logger, logLevel: 'warn' });
+    client.network.updateRateLimit(null, 2, 1);
+  });
+  
+  afterEach(() => {
+    client.destroy();
+  });
+  
+  test('should trace attempts, retries and waits of a request and tag its logs', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      res.statusCode = ++hits === 1 ? 503 : 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: { viewer: { id: '1' } } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    try {
+      await client.network.graphql('GetViewer', {}, { endpoint: `http://127.0.0.1:${server.address().port}/graphql` });
+    } finally {
+      server.close();
+    }
+    
+    const spans = exporter.getFinishedSpans();
+    const root = findSpan(spans, 'graphql GetViewer');
+    const request = findSpan(spans, 'HTTP POST');
+    const attempts = spans.filter(span => span.name === 'network.attempt');
+    const { traceId } = root.spanContext();
+    
+    expect(request.parentSpanId).toBe(root.spanContext().spanId);
+    expect(attempts.map(span => span.attributes['messenger.attempt'])).toEqual([1, 2]);
+    expect(attempts.map(span => span.attributes['http.response.status_code'])).toEqual([503, 200]);
+    expect(attempts[0].status.code).toBe(SpanStatusCode.ERROR);
+    expect(findSpan(spans, 'network.retry_wait').parentSpanId).toBe(request.spanContext().spanId);
+    expect(spans.filter(span => span.name === 'network.queue')).toHaveLength(2);
+    expect(spans.filter(span => span.name === 'network.rate_limit')).toHaveLength(2);
+    expect(spans.filter(span => span.name === 'network.send')).toHaveLength(2);
+    expect(spans.every(span => span.spanContext().traceId === traceId)).toBe(true);
+    
+    expect(records).toHaveLength(1);
+    expect(records[0].message).toBe('Request failed, retrying');
+    expect(records[0].fields).toMatchObject({ component: 'network', traceId, spanId: request.spanContext().spanId });
+  });
+  
+  test('should trace the upload and the send of a media message', async () => {
+    client.isAuthenticated = true;
+    jest.spyOn(client.messages, '_uploadMedia').mockResolvedValue({ media_id: 'media1' });
+    client.network.use(async (ctx) => {
+      ctx.response = { data: { data: { sendMessage: { success: true, message: { id: 'm1' } } } } };
+    });
+    
+    const message = await client.sendMedia('thread1', { type: MessageTypes.IMAGE, data: Buffer.alloc(16), filename: 'a.png' });
+    
+    const spans = exporter.getFinishedSpans();
+    const root = findSpan(spans, 'messages.sendMedia');
+    const rootId = root.spanContext().spanId;
+    
+    expect(message.id).toBe('m1');
+    expect(root.attributes).toEqual({
+      'messenger.thread_id': 'thread1',
+      'messenger.message_type': MessageTypes.IMAGE,
+      'messenger.media_size': 16
+    });
+    expect(findSpan(spans, 'media.upload').parentSpanId).toBe(rootId);
+    expect(findSpan(spans, 'messages.rate_limit').parentSpanId).toBe(rootId);
+    expect(findSpan(spans, 'graphql SendMessage').parentSpanId).toBe(rootId);
+  });
+});
\ No newline at end of file